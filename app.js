@@ -1,14 +1,14 @@
 // State management
 let state = {
     currentPage: null,
+    view: null,
     pages: [],
     blocks: [],
-    copiedBlockLink: null,
     lastBlockType: 'text',
     sidebarCollapsed: false,
-    theme: localStorage.getItem('theme') || 'light',
-    favorites: JSON.parse(localStorage.getItem('favorites')) || [],
-    recentPages: JSON.parse(localStorage.getItem('recentPages')) || []
+    theme: 'light',
+    favorites: [],
+    recentPages: []
 };
 
 // DOM elements
@@ -27,7 +27,11 @@ const elements = {
     themeToggle: document.getElementById('theme-toggle'),
     commandPalette: document.getElementById('command-palette'),
     commandInput: document.getElementById('command-input'),
-    commandResults: document.getElementById('command-results')
+    commandResults: document.getElementById('command-results'),
+    searchResults: document.getElementById('search-results'),
+    references: document.getElementById('references'),
+    journalNav: document.getElementById('journal-nav'),
+    journalCalendar: document.getElementById('journal-calendar')
 };
 
 // Enhanced block types with more options
@@ -41,856 +45,7880 @@ const blockTypes = {
     numbered: { label: 'Numbered List', description: 'Numbered list items', icon: '1.', shortcut: '1. + Space' },
     toggle: { label: 'Toggle List', description: 'Collapsible content', icon: '▸', shortcut: '> + Space' },
     quote: { label: 'Quote', description: 'Highlighted quote', icon: '❝', shortcut: '" + Space' },
+    callout: { label: 'Callout', description: 'Colored box with an icon', icon: '💡', shortcut: '/callout' },
     divider: { label: 'Divider', description: 'Horizontal line divider', icon: '―', shortcut: '---' },
     code: { label: 'Code', description: 'Code block with syntax highlighting', icon: '</>', shortcut: '``` + Space' },
     image: { label: 'Image', description: 'Embed an image', icon: '🖼️', shortcut: '/image' },
     embed: { label: 'Embed', description: 'Embed a website', icon: '🌐', shortcut: '/embed' },
-    table: { label: 'Table', description: 'Create a data table', icon: '⊞', shortcut: '/table' }
+    database: { label: 'Database', description: 'Table with typed columns and views', icon: '⊞', shortcut: '/database' },
+    board: { label: 'Task Board', description: 'To-dos on this page by status', icon: '▥', shortcut: '/board' },
+    math: { label: 'Math Equation', description: 'Formula written in LaTeX', icon: '∑', shortcut: '$$ + Space' },
+    diagram: { label: 'Diagram', description: 'Flowchart or sequence diagram from text', icon: '⇄', shortcut: '/diagram' },
+    columns: { label: 'Columns', description: 'Blocks side by side', icon: '▥▥', shortcut: '/columns' },
+    synced: { label: 'Synced Block', description: 'A block from another page, kept in sync', icon: '⟳', shortcut: '/synced' }
 };
 
+// Palette commands
+// Each feature registers its commands with registerCommand() next to its own
+// code. `when` decides from the palette's context (the page, focused block and
+// block selection at the time it opened) whether a command is offered, and
+// `run` receives the same context.
+const commandRegistry = new Map();
+
+function registerCommand({ id, title, category, icon = '•', description = '', keywords = [], when = () => true, run }) {
+    commandRegistry.set(id, { id, title, category, icon, description, keywords, when, run });
+}
+
 // Initialize the app
-function init() {
+async function init() {
+    registerServiceWorker();
+    await initStorage();
+    requestPersistentStorage();
+    state.theme = storageGet('theme', 'light');
+    state.favorites = storageGet('favorites', []);
+    state.recentPages = storageGet('recentPages', []);
+    loadKeymap();
+
     applyTheme();
     loadPages();
+    purgeExpiredTrash();
     setupEventListeners();
     handleRouting();
     renderRecentPages();
     renderFavorites();
+    startDueReminders();
+    startTabSync();
 }
 
-// Data persistence functions
-function loadPages() {
-    state.pages = JSON.parse(localStorage.getItem('pages')) || [];
-    renderPagesList();
-    if (state.pages.length === 0) createPage('Welcome');
+// Storage adapters
+// Every adapter exposes the same async key/value interface:
+// get(key), set(key, value), remove(key) and entries().
+function createIndexedDBAdapter(dbName = 'mejakerja', storeName = 'workspace') {
+    const dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const run = (mode, operation) => dbPromise.then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+
+    return {
+        name: 'indexeddb',
+        ready: () => dbPromise.then(() => true),
+        get: (key) => run('readonly', store => store.get(key)),
+        set: (key, value) => run('readwrite', store => store.put(value, key)),
+        remove: (key) => run('readwrite', store => store.delete(key)),
+        entries: async () => {
+            const [keys, values] = await Promise.all([
+                run('readonly', store => store.getAllKeys()),
+                run('readonly', store => store.getAll())
+            ]);
+            return keys.map((key, i) => [key, values[i]]);
+        }
+    };
 }
 
-function savePages() {
-    localStorage.setItem('pages', JSON.stringify(state.pages));
+function createLocalStorageAdapter() {
+    return {
+        name: 'localstorage',
+        ready: async () => true,
+        get: async (key) => parseStoredValue(localStorage.getItem(key)),
+        set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+        remove: async (key) => localStorage.removeItem(key),
+        entries: async () => Object.keys(localStorage)
+            .map(key => [key, parseStoredValue(localStorage.getItem(key))])
+    };
 }
 
-function saveBlocks() {
-    if (state.currentPage) {
-        localStorage.setItem(`page-${state.currentPage}`, JSON.stringify(state.blocks));
-    }
+function createMemoryAdapter(initialData = {}) {
+    const data = new Map(Object.entries(initialData));
+    return {
+        name: 'memory',
+        ready: async () => true,
+        get: async (key) => data.has(key) ? structuredClone(data.get(key)) : null,
+        set: async (key, value) => { data.set(key, structuredClone(value)); },
+        remove: async (key) => { data.delete(key); },
+        entries: async () => [...data.entries()].map(([key, value]) => [key, structuredClone(value)])
+    };
 }
 
-function saveFavorites() {
-    localStorage.setItem('favorites', JSON.stringify(state.favorites));
+// Older versions stored the theme as a raw string rather than JSON
+function parseStoredValue(raw) {
+    if (raw === null) return null;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
 }
 
-function saveRecentPages() {
-    localStorage.setItem('recentPages', JSON.stringify(state.recentPages));
+function isQuotaError(error) {
+    return error && (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
 }
 
-// Page management
-function createPage(name, parentId = null) {
-    if (state.pages.some(page => page.name === name)) {
-        showToast('Page name already exists');
-        return;
-    }
+// Storage layer: reads are served from an in-memory cache hydrated at startup,
+// writes are queued in order to the active adapter.
+const storage = {
+    adapter: null,
+    cache: new Map(),
+    queue: Promise.resolve(),
+    failedKeys: new Set(),
+    quotaWarningShown: false
+};
 
-    const newPage = { 
-        id: generateId(),
-        name, 
-        parentId,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
-    
-    state.pages.push(newPage);
-    savePages();
-    renderPagesList();
-    loadPage(name);
-    window.location.hash = `#page=${encodeURIComponent(name)}`;
+async function initStorage(adapter = null) {
+    storage.adapter = adapter || await selectStorageAdapter();
+    const entries = await storage.adapter.entries();
+    storage.cache = new Map(entries);
+
+    if (storage.adapter.name === 'indexeddb' && !storage.cache.has('storageMigrated')) {
+        await migrateLocalStorage();
+    }
 }
 
-function deletePage(name) {
-    if (!confirm(`Delete "${name}" and all its contents? This cannot be undone.`)) return;
-    
-    // Delete all child pages first
-    const pageToDelete = state.pages.find(p => p.name === name);
-    if (pageToDelete) {
-        const childPages = state.pages.filter(p => p.parentId === pageToDelete.id);
-        childPages.forEach(child => deletePage(child.name));
+async function selectStorageAdapter() {
+    if (new URLSearchParams(window.location.search).get('storage') === 'memory') {
+        return createMemoryAdapter();
     }
-    
-    state.pages = state.pages.filter(page => page.name !== name);
-    state.favorites = state.favorites.filter(fav => fav !== name);
-    state.recentPages = state.recentPages.filter(rp => rp !== name);
-    
-    savePages();
-    saveFavorites();
-    saveRecentPages();
-    renderPagesList();
-    renderFavorites();
-    renderRecentPages();
-    
-    if (state.currentPage === name) {
-        state.currentPage = state.pages[0]?.name || null;
-        state.blocks = state.currentPage ? 
-            JSON.parse(localStorage.getItem(`page-${state.currentPage}`)) || [] : [];
-        renderBlocks();
+    if (window.indexedDB) {
+        const adapter = createIndexedDBAdapter();
+        try {
+            await adapter.ready();
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage', error);
+        }
     }
-    localStorage.removeItem(`page-${name}`);
+    return createLocalStorageAdapter();
 }
 
-function loadPage(name) {
-    if (!state.pages.some(page => page.name === name)) return;
-    
-    state.currentPage = name;
-    state.blocks = JSON.parse(localStorage.getItem(`page-${name}`)) || [];
-    
-    // Update recent pages
-    state.recentPages = state.recentPages.filter(rp => rp !== name);
-    state.recentPages.unshift(name);
-    if (state.recentPages.length > 5) state.recentPages.pop();
-    saveRecentPages();
-    renderRecentPages();
-    
-    if (state.blocks.length === 0) {
-        state.blocks = [createBlock('text', 'Type / for commands')];
-        saveBlocks();
+// Every key this app writes. Other apps on the same origin keep theirs, so
+// only these are moved out of localStorage.
+const STORAGE_KEYS = [
+    'pages', 'favorites', 'recentPages', 'theme', 'pageIdsMigrated', 'blockTreeMigrated',
+    'richTextMigrated', 'databasesMigrated', 'templates', 'journal', 'trash', 'trashRetentionDays',
+    'persistenceWarningShown', 'keymap', 'recentCommands'
+];
+
+// Content stored per page, under its id or the name older versions used, and
+// the page's version history
+function getPageStorageKeys(pages) {
+    return pages.flatMap(page => [
+        ...[page.id, page.name].filter(Boolean).map(ref => `page-${ref}`),
+        ...(page.id ? [`history-${page.id}`] : [])
+    ]);
+}
+
+// One-time copy of data saved by versions that used localStorage directly
+async function migrateLocalStorage() {
+    const legacy = createLocalStorageAdapter();
+    const trashedPages = (await legacy.get('trash') || [])
+        .filter(entry => entry.kind === 'page')
+        .flatMap(entry => entry.pages);
+    const pages = [...(await legacy.get('pages') || []), ...trashedPages];
+    const keys = [...STORAGE_KEYS, ...getPageStorageKeys(pages)];
+    const entries = (await Promise.all(keys.map(async key => [key, await legacy.get(key)])))
+        .filter(([, value]) => value !== null);
+    entries.forEach(([key, value]) => {
+        if (!storage.cache.has(key)) storageSet(key, value);
+    });
+    storageSet('storageMigrated', true);
+
+    try {
+        await flushStorage();
+        entries.forEach(([key]) => localStorage.removeItem(key));
+    } catch (error) {
+        console.warn('Keeping localStorage data after failed migration', error);
     }
-    
-    // Update page title
-    elements.pageTitle.textContent = name;
-    elements.pageTitle.contentEditable = true;
-    
-    renderPagesList();
-    renderBlocks();
-    window.location.hash = `#page=${encodeURIComponent(name)}`;
-    
-    // Focus on first block if empty
-    if (state.blocks.length === 1 && state.blocks[0].content === 'Type / for commands') {
-        setTimeout(() => document.getElementById(state.blocks[0].id)?.focus(), 0);
+}
+
+function storageGet(key, fallback = null) {
+    return storage.cache.has(key) ? structuredClone(storage.cache.get(key)) : fallback;
+}
+
+function storageSet(key, value) {
+    const previous = storage.cache.get(key);
+    storage.cache.set(key, structuredClone(value));
+    trackStorageChange(key, previous);
+    queueStorageWrite(key);
+}
+
+function storageRemove(key) {
+    const previous = storage.cache.get(key);
+    storage.cache.delete(key);
+    trackStorageChange(key, previous);
+    queueStorageWrite(key);
+}
+
+function storageKeys() {
+    return [...storage.cache.keys()];
+}
+
+// Writes always persist the latest cached value, so a key that failed earlier
+// (e.g. over quota) is retried with its current content on the next save.
+function queueStorageWrite(key) {
+    const keys = [...storage.failedKeys, key];
+    storage.failedKeys.clear();
+
+    storage.queue = storage.queue.then(() => Promise.all(keys.map(async k => {
+        const exists = storage.cache.has(k);
+        const value = exists ? storage.cache.get(k) : null;
+        try {
+            if (exists) {
+                await storage.adapter.set(k, value);
+            } else {
+                await storage.adapter.remove(k);
+            }
+            announceStorageWrite(k, value);
+        } catch (error) {
+            storage.failedKeys.add(k);
+            handleStorageError(error);
+        }
+    })));
+    return storage.queue;
+}
+
+function flushStorage() {
+    return storage.queue.then(() => {
+        if (storage.failedKeys.size > 0) throw new Error('Some changes could not be saved');
+    });
+}
+
+function handleStorageError(error) {
+    console.error('Storage write failed', error);
+    if (storage.quotaWarningShown) return;
+    storage.quotaWarningShown = true;
+    showToast(isQuotaError(error) ?
+        'Storage is full. Your latest changes are kept in this tab only until space is freed.' :
+        'Could not save changes. They are kept in this tab and will be retried.', 5000);
+    setTimeout(() => { storage.quotaWarningShown = false; }, 10000);
+}
+
+// Cross-tab sync
+// Every write is announced to the other open tabs once it is persisted, which
+// apply it to their cache and state. The page list, favorites and page content
+// are merged against the value the other tabs last heard of, so edits made in
+// both tabs at once are combined instead of the last save winning.
+const SYNC_ANNOUNCE_DELAY_MS = 300;
+
+const sync = {
+    tabId: generateId(),
+    channel: null,
+    // Blocks edited in two tabs at once: block id -> the version not shown
+    conflicts: new Map(),
+    // Keys changed since their last announcement: key -> { previous, value, timer }
+    outgoing: new Map()
+};
+
+function isMergedKey(key) {
+    return key === 'pages' || key === 'favorites' || key.startsWith('page-');
+}
+
+// Memory storage isn't shared between tabs, so there is nothing to sync
+function startTabSync() {
+    if (!('BroadcastChannel' in window) || storage.adapter.name === 'memory') return;
+    sync.channel = new BroadcastChannel('mejakerja-sync');
+    sync.channel.addEventListener('message', (e) => handleSyncMessage(e.data));
+    window.addEventListener('pagehide', () => {
+        sync.outgoing.forEach((pending, key) => { if (pending.timer) postStorageChange(key); });
+    });
+}
+
+// Keeps the value the other tabs hold from before the first unannounced change
+function trackStorageChange(key, previous) {
+    if (!sync.channel || sync.outgoing.has(key)) return;
+    sync.outgoing.set(key, { previous: previous ?? null, value: null, timer: null });
+}
+
+// Typing saves a page on every keystroke, so each key is announced at most
+// once per delay, with the latest value written to storage
+function announceStorageWrite(key, value) {
+    const pending = sync.outgoing.get(key);
+    if (!pending) return;
+    pending.value = value;
+    if (!pending.timer) pending.timer = setTimeout(() => postStorageChange(key), SYNC_ANNOUNCE_DELAY_MS);
+}
+
+function postStorageChange(key) {
+    const pending = sync.outgoing.get(key);
+    clearTimeout(pending.timer);
+    sync.channel.postMessage({
+        tabId: sync.tabId,
+        key,
+        value: pending.value,
+        previous: isMergedKey(key) ? pending.previous : undefined
+    });
+
+    // A change made since the announced write goes out once it is written
+    const current = storage.cache.has(key) ? storage.cache.get(key) : null;
+    if (current === pending.value) {
+        sync.outgoing.delete(key);
+    } else {
+        sync.outgoing.set(key, { previous: pending.value, value: null, timer: null });
     }
 }
 
-function renamePage(oldName, newName) {
-    if (state.pages.some(page => page.name === newName)) {
-        showToast('Page name already exists');
-        return false;
+// Announcements are only sent once the writing tab has persisted the value, so
+// it only goes to the cache
+function handleSyncMessage({ tabId, key, value, previous }) {
+    if (tabId === sync.tabId) return;
+    const cached = storage.cache.has(key) ? storage.cache.get(key) : null;
+    // A local write not yet announced is superseded by the merge below, which
+    // saves again if this tab's changes aren't in the incoming value
+    const pending = sync.outgoing.get(key);
+    if (pending) {
+        clearTimeout(pending.timer);
+        sync.outgoing.set(key, { previous: value, value: null, timer: null });
     }
-    
-    const pageIndex = state.pages.findIndex(page => page.name === oldName);
-    if (pageIndex === -1) return false;
-    
-    state.pages[pageIndex].name = newName;
-    state.pages[pageIndex].updatedAt = new Date().toISOString();
-    
-    // Update in favorites
-    const favIndex = state.favorites.indexOf(oldName);
-    if (favIndex !== -1) state.favorites[favIndex] = newName;
-    
-    // Update in recent pages
-    const recentIndex = state.recentPages.indexOf(oldName);
-    if (recentIndex !== -1) state.recentPages[recentIndex] = newName;
-    
-    // Update current page reference
-    if (state.currentPage === oldName) {
-        state.currentPage = newName;
-        elements.pageTitle.textContent = newName;
+    if (value === null) {
+        storage.cache.delete(key);
+    } else {
+        storage.cache.set(key, value);
     }
-    
-    // Move localStorage data
-    const blocks = localStorage.getItem(`page-${oldName}`);
-    if (blocks) {
-        localStorage.setItem(`page-${newName}`, blocks);
-        localStorage.removeItem(`page-${oldName}`);
+    const base = previous === undefined ? cached : previous;
+
+    if (key === 'pages') {
+        applyRemotePages(base || [], value || []);
+    } else if (key === 'favorites') {
+        state.favorites = mergeLists(base || [], state.favorites, value || []);
+        if (JSON.stringify(state.favorites) !== JSON.stringify(value)) saveFavorites();
+        renderPagesList();
+        renderFavorites();
+    } else if (key === 'recentPages') {
+        state.recentPages = value || [];
+        renderRecentPages();
+    } else if (key === 'theme') {
+        state.theme = value || 'light';
+        applyTheme();
+        elements.themeToggle.textContent = state.theme === 'light' ? '🌙' : '☀️';
+    } else if (key === 'journal') {
+        renderPagesList();
+    } else if (key === 'keymap') {
+        loadKeymap();
+        renderSelectionToolbar();
+    } else if (key.startsWith('page-')) {
+        applyRemoteBlocks(key.substring(5), base, cached, value);
+        if (key.substring(5) !== state.currentPage) refreshSyncedBlocks(key.substring(5));
+    } else if (key === 'trash' || key === 'trashRetentionDays') {
+        if (state.view) refreshOpenPage();
+    }
+}
+
+function applyRemotePages(base, remote) {
+    const namesOf = (pages) => JSON.stringify(pages.map(page => [page.id, page.name, page.icon]));
+    const renamed = namesOf(state.pages) !== namesOf(remote);
+
+    state.pages = mergeLists(base, state.pages, remote, page => page.id);
+    if (JSON.stringify(state.pages) !== JSON.stringify(remote)) {
+        savePages();
+    } else {
+        invalidateSearchIndex();
+        invalidateLinkIndex();
     }
-    
-    savePages();
-    saveFavorites();
-    saveRecentPages();
     renderPagesList();
     renderFavorites();
     renderRecentPages();
-    
-    return true;
+
+    if (state.currentPage && !getPage(state.currentPage)) {
+        showToast('This page was moved to Trash in another tab');
+        if (state.pages.length > 0) {
+            loadPage(state.pages[0].id);
+        } else {
+            state.currentPage = null;
+            state.blocks = [];
+            elements.pageTitle.textContent = '';
+            renderBlocks();
+        }
+        return;
+    }
+    // Links show the current page names, so renames re-render the page
+    if (state.currentPage && document.activeElement !== elements.pageTitle) {
+        elements.pageTitle.textContent = getPage(state.currentPage).name;
+    }
+    if (renamed || state.view) refreshOpenPage();
 }
 
-function toggleFavorite(pageName) {
-    const index = state.favorites.indexOf(pageName);
-    if (index === -1) {
-        state.favorites.push(pageName);
-    } else {
-        state.favorites.splice(index, 1);
+function applyRemoteBlocks(pageId, base, cached, remote) {
+    invalidateSearchIndex(pageId);
+    invalidateLinkIndex(pageId);
+    if (!remote) return;
+
+    const isOpen = pageId === state.currentPage;
+    const local = isOpen ? state.blocks : cached || [];
+    const { blocks, conflicts } = mergeBlockTrees(base || local, local, remote);
+    const keepsLocalEdits = JSON.stringify(blocks) !== JSON.stringify(remote);
+
+    // Pages that aren't open only differ when this tab wrote them too,
+    // e.g. by completing a task from All tasks
+    if (!isOpen) {
+        if (keepsLocalEdits) storageSet(`page-${pageId}`, blocks);
+        if (state.view === 'tasks') {
+            renderBlocks();
+        } else if (state.currentPage) {
+            scheduleReferencesRender();
+        }
+        return;
     }
-    saveFavorites();
-    renderFavorites();
+
+    const changed = JSON.stringify(blocks) !== JSON.stringify(state.blocks);
+    state.blocks = blocks;
+    if (keepsLocalEdits) saveBlocks();
+
+    conflicts.forEach(({ id, other }) => sync.conflicts.set(id, other));
+    if (conflicts.length > 0) {
+        showToast('This page was edited in another tab at the same time. Check the highlighted blocks.', 5000);
+    }
+    if (changed || conflicts.length > 0) refreshOpenPage();
 }
 
-// UI rendering
-function renderPagesList() {
-    const rootPages = state.pages.filter(page => !page.parentId);
-    
-    elements.pagesList.innerHTML = rootPages.map(page => {
-        const isActive = page.name === state.currentPage;
-        const hasChildren = state.pages.some(p => p.parentId === page.id);
-        const isFavorite = state.favorites.includes(page.name);
-        
-        return `
-            <div class="page-item ${isActive ? 'active' : ''}" data-id="${page.id}">
-                <div class="page-item-main">
-                    <span class="page-item-icon">${isFavorite ? '★' : '📄'}</span>
-                    <span class="page-item-name">${page.name}</span>
-                    <div class="page-item-actions">
-                        <button class="favorite-page-btn" data-page="${page.name}" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
-                            ${isFavorite ? '★' : '☆'}
-                        </button>
-                        <button class="add-subpage-btn" data-parent="${page.id}" title="Add subpage">+</button>
-                        <button class="delete-page-btn" data-page="${page.name}" title="Delete page">×</button>
-                    </div>
-                </div>
-                ${hasChildren ? `
-                    <div class="subpages-list">
-                        ${renderSubpages(page.id)}
-                    </div>
-                ` : ''}
-            </div>
-        `;
-    }).join('');
+// Re-renders after a change from another tab without losing the caret
+function refreshOpenPage() {
+    const active = document.activeElement;
+    const blockId = active?.classList.contains('block-content') ? active.id : null;
+    const offsets = blockId ? getSelectionOffsets(active) : null;
+    renderBlocks();
+    if (offsets) focusBlockAt(blockId, offsets.start, offsets.end);
+}
 
-    // Add event listeners
-    document.querySelectorAll('.page-item-name').forEach(item => {
-        item.addEventListener('click', (e) => {
-            loadPage(e.target.textContent.trim());
-        });
-    });
+// Three-way merge of a list of ids, or of records with ids. The result
+// follows `remote`, keeping what this tab added, removed or changed since
+// `base`.
+function mergeLists(base, local, remote, idOf = item => item) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const baseById = new Map(base.map(item => [idOf(item), item]));
+    const localById = new Map(local.map(item => [idOf(item), item]));
+    const remoteIds = new Set(remote.map(idOf));
 
-    document.querySelectorAll('.favorite-page-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toggleFavorite(e.target.dataset.page);
+    const merged = remote
+        .filter(item => localById.has(idOf(item)) || !baseById.has(idOf(item)))
+        .map(item => {
+            const mine = localById.get(idOf(item));
+            const before = baseById.get(idOf(item));
+            return mine && before && same(item, before) ? mine : item;
         });
+    local.forEach((item, i) => {
+        if (remoteIds.has(idOf(item)) || baseById.has(idOf(item))) return;
+        // Added here: keep it after the item it follows in this tab
+        const after = i === 0 ? -1 : merged.findIndex(other => idOf(other) === idOf(local[i - 1]));
+        merged.splice(i === 0 ? 0 : (after === -1 ? merged.length : after + 1), 0, item);
     });
+    return merged;
+}
 
-    document.querySelectorAll('.add-subpage-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const parentId = e.target.dataset.parent;
-            const parentPage = state.pages.find(p => p.id === parentId);
-            const name = prompt(`Add subpage under ${parentPage.name}:`);
-            if (name) createPage(name, parentId);
-        });
+function indexBlockTree(blocks, parentId = null, index = new Map()) {
+    blocks.forEach((block, i) => {
+        index.set(block.id, { block, parentId, previousId: blocks[i - 1]?.id || null });
+        indexBlockTree(block.children || [], block.id, index);
     });
+    return index;
+}
 
-    document.querySelectorAll('.delete-page-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            deletePage(e.target.dataset.page);
-        });
+// Three-way merge of a page's blocks. The result follows `remote` except
+// where only this tab changed a block: its content, position, addition or
+// deletion. When both tabs changed the same block the newer edit wins in
+// both tabs, and the other version is returned as a conflict.
+function mergeBlockTrees(base, local, remote) {
+    const baseIndex = indexBlockTree(base);
+    const localIndex = indexBlockTree(local);
+    const remoteIndex = indexBlockTree(remote);
+    const merged = structuredClone(remote);
+    const conflicts = [];
+    const samePosition = (a, b) => a.parentId === b.parentId && a.previousId === b.previousId;
+
+    // Deleted here and left alone there. Children still on this tab's page
+    // take the deleted block's place.
+    baseIndex.forEach((entry, id) => {
+        const theirs = remoteIndex.get(id);
+        if (localIndex.has(id) || !theirs || !isSameBlock(entry.block, theirs.block)) return;
+        const location = findBlockLocation(id, merged);
+        if (!location) return;
+        const kept = (location.block.children || []).filter(child => localIndex.has(child.id));
+        location.siblings.splice(location.index, 1, ...kept);
     });
 
-    // Make page names editable
-    document.querySelectorAll('.page-item-name').forEach(item => {
-        item.contentEditable = true;
-        item.addEventListener('blur', (e) => {
-            const newName = e.target.textContent.trim();
-            const oldName = e.target.dataset.originalName || e.target.textContent.trim();
-            if (newName && newName !== oldName) {
-                if (!renamePage(oldName, newName)) {
-                    e.target.textContent = oldName;
-                }
-            } else {
-                e.target.textContent = oldName;
+    flattenBlocksWithDepth(local).forEach(({ block }) => {
+        const mine = localIndex.get(block.id);
+        const before = baseIndex.get(block.id);
+        const theirs = remoteIndex.get(block.id);
+
+        if (!theirs) {
+            // Added here, or edited here after being deleted there
+            if ((!before || !isSameBlock(before.block, block)) && !findBlock(block.id, merged)) {
+                insertRestoredBlock(merged, structuredClone(block), mine);
             }
-        });
-        item.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                e.target.blur();
+            return;
+        }
+        if (before && !isSameBlock(block, theirs.block) && !isSameBlock(before.block, block)) {
+            const location = findBlockLocation(block.id, merged);
+            const { children, ...content } = block;
+            const ours = { ...structuredClone(content), children: location.block.children || [] };
+            if (isSameBlock(before.block, theirs.block)) {
+                location.siblings[location.index] = ours;
+            } else if (isNewerEdit(block, theirs.block)) {
+                location.siblings[location.index] = ours;
+                conflicts.push({ id: block.id, other: theirs.block });
+            } else {
+                conflicts.push({ id: block.id, other: ours });
             }
-        });
-        item.dataset.originalName = item.textContent.trim();
+        }
+        if (before && samePosition(before, theirs) && !samePosition(before, mine)) {
+            const location = findBlockLocation(block.id, merged);
+            location.siblings.splice(location.index, 1);
+            insertRestoredBlock(merged, location.block, mine);
+        }
     });
+    return { blocks: merged, conflicts };
 }
 
-function renderSubpages(parentId) {
-    const subpages = state.pages.filter(page => page.parentId === parentId);
-    return subpages.map(page => {
-        const isActive = page.name === state.currentPage;
-        const hasChildren = state.pages.some(p => p.parentId === page.id);
-        const isFavorite = state.favorites.includes(page.name);
-        
-        return `
-            <div class="subpage-item ${isActive ? 'active' : ''}" data-id="${page.id}">
-                <div class="page-item-main">
-                    <span class="page-item-icon">${isFavorite ? '★' : '📄'}</span>
-                    <span class="page-item-name">${page.name}</span>
-                    <div class="page-item-actions">
-                        <button class="favorite-page-btn" data-page="${page.name}" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
-                            ${isFavorite ? '★' : '☆'}
-                        </button>
-                        <button class="add-subpage-btn" data-parent="${page.id}" title="Add subpage">+</button>
-                        <button class="delete-page-btn" data-page="${page.name}" title="Delete page">×</button>
-                    </div>
-                </div>
-                ${hasChildren ? `
-                    <div class="subpages-list">
-                        ${renderSubpages(page.id)}
-                    </div>
-                ` : ''}
-            </div>
-        `;
-    }).join('');
+// Both tabs have to pick the same winner, so ties fall back to the content
+function isNewerEdit(a, b) {
+    if (a.updatedAt !== b.updatedAt) return (a.updatedAt || '') > (b.updatedAt || '');
+    return JSON.stringify(a.content) > JSON.stringify(b.content);
 }
 
-function renderFavorites() {
-    elements.favoritesList.innerHTML = state.favorites.map(pageName => {
-        const page = state.pages.find(p => p.name === pageName);
-        if (!page) return '';
-        
-        const isActive = page.name === state.currentPage;
-        return `
-            <div class="favorite-item ${isActive ? 'active' : ''}">
-                <span class="favorite-icon">★</span>
-                <span class="favorite-name">${page.name}</span>
+function renderSyncConflicts() {
+    sync.conflicts.forEach((other, blockId) => {
+        const blockElement = document.getElementById(`block-${blockId}`);
+        if (!blockElement) return;
+        const preview = isRichText(other.type) ? runsToText(other.content) : '';
+        blockElement.classList.add('sync-conflict');
+        blockElement.querySelector(':scope > .block-row').insertAdjacentHTML('afterend', `
+            <div class="sync-conflict-bar">
+                <span class="sync-conflict-label">Also edited in another tab${preview ? ':' : ''}</span>
+                ${preview ? `<span class="sync-conflict-preview">${escapeHTML(preview)}</span>` : ''}
+                <button class="sync-keep-btn">Keep this</button>
+                <button class="sync-other-btn">Use other</button>
             </div>
-        `;
-    }).join('');
-
-    document.querySelectorAll('.favorite-item').forEach(item => {
-        item.addEventListener('click', () => {
-            const pageName = item.querySelector('.favorite-name').textContent;
-            loadPage(pageName);
+        `);
+        const bar = blockElement.querySelector(':scope > .sync-conflict-bar');
+        bar.querySelector('.sync-keep-btn').addEventListener('click', () => {
+            sync.conflicts.delete(blockId);
+            renderBlocks();
         });
+        bar.querySelector('.sync-other-btn').addEventListener('click', () => useConflictVersion(blockId));
     });
 }
 
-function renderRecentPages() {
-    elements.recentList.innerHTML = state.recentPages.map(pageName => {
-        const page = state.pages.find(p => p.name === pageName);
-        if (!page) return '';
-        
-        const isActive = page.name === state.currentPage;
-        return `
-            <div class="recent-item ${isActive ? 'active' : ''}">
-                <span class="recent-icon">🕒</span>
-                <span class="recent-name">${page.name}</span>
-            </div>
-        `;
-    }).join('');
+function useConflictVersion(blockId) {
+    const other = sync.conflicts.get(blockId);
+    sync.conflicts.delete(blockId);
+    if (!other || !findBlock(blockId)) return;
 
-    document.querySelectorAll('.recent-item').forEach(item => {
-        item.addEventListener('click', () => {
-            const pageName = item.querySelector('.recent-name').textContent;
-            loadPage(pageName);
-        });
+    transact('Use other version', { blockId }, () => {
+        const location = findBlockLocation(blockId);
+        location.siblings[location.index] = {
+            ...other,
+            children: location.block.children || [],
+            updatedAt: new Date().toISOString()
+        };
+        saveBlocks();
+        renderBlocks();
     });
 }
 
-function renderBlocks() {
-    elements.blocksContainer.innerHTML = state.blocks.map((block, index) => {
-        const placeholder = {
-            text: 'Type / for commands',
-            h1: 'Heading 1',
-            h2: 'Heading 2',
-            h3: 'Heading 3',
-            todo: 'To-do item',
-            bullet: 'List item',
-            numbered: 'List item',
-            toggle: 'Toggle title',
-            quote: 'Quote',
-            divider: '',
-            code: 'Code goes here...',
-            image: 'Paste image URL or upload',
-            embed: 'Paste URL to embed',
-            table: ''
-        }[block.type];
-
-        const isChecked = block.type === 'todo' && block.content.startsWith('~');
-        const content = isChecked ? block.content.replace(/^~/, '') : block.content;
-        
-        let blockContent = '';
-        
-        if (block.type === 'divider') {
-            blockContent = '<div class="divider-line"></div>';
-        } else if (block.type === 'image') {
-            blockContent = `
-                <div class="image-block">
-                    ${content ? `<img src="${content}" alt="Image">` : ''}
-                    <div class="image-upload">
-                        <button class="upload-image-btn">Upload image</button>
-                        <span>or paste image URL</span>
-                    </div>
-                </div>
-            `;
-        } else if (block.type === 'embed') {
-            blockContent = `
-                <div class="embed-block">
-                    ${content ? `
-                        <iframe src="${content}" frameborder="0"></iframe>
-                        <div class="embed-url">${content}</div>
-                    ` : ''}
-                    <div class="embed-input">
-                        <input type="text" placeholder="Paste URL to embed (e.g., YouTube, Twitter)">
-                    </div>
-                </div>
-            `;
-        } else if (block.type === 'table') {
-            const rows = content.split('\n').filter(row => row.trim());
-            blockContent = `
-                <div class="table-block">
-                    <table>
-                        ${rows.map(row => {
-                            const cells = row.split('|').filter(cell => cell.trim());
-                            return `<tr>${cells.map(cell => `<td contenteditable="true">${cell}</td>`).join('')}</tr>`;
-                        }).join('')}
-                    </table>
-                    <div class="table-controls">
-                        <button class="add-row-btn">+ Row</button>
-                        <button class="add-col-btn">+ Column</button>
-                    </div>
-                </div>
-            `;
-        } else if (block.type === 'code') {
-            blockContent = `
-                <div class="code-block">
-                    <div class="code-language">javascript</div>
-                    <pre><code>${content}</code></pre>
-                </div>
-            `;
-        } else if (block.type === 'todo') {
-            blockContent = `
-                <input type="checkbox" class="todo-checkbox" ${isChecked ? 'checked' : ''}>
-                <div class="block-content todo-text" id="${block.id}" 
-                     contenteditable="true" data-placeholder="${placeholder}"
-                     data-block-index="${index}">
-                    ${processContent(content)}
-                </div>
-            `;
-        } else if (block.type === 'toggle') {
-            blockContent = `
-                <div class="toggle-header">
-                    <span class="toggle-icon">▸</span>
-                    <div class="block-content toggle-title" id="${block.id}" 
-                         contenteditable="true" data-placeholder="${placeholder}"
-                         data-block-index="${index}">
-                        ${processContent(content)}
-                    </div>
-                </div>
-                <div class="toggle-content" style="display: none;">
-                    ${block.children ? block.children.map(child => 
-                        `<div class="block-content">${processContent(child.content)}</div>`
-                    ).join('') : ''}
-                </div>
-            `;
-        } else {
-            blockContent = `
-                <div class="block-content" id="${block.id}" 
-                     contenteditable="true" data-placeholder="${placeholder}"
-                     data-block-index="${index}">
-                    ${processContent(content)}
-                </div>
-            `;
-        }
+// Offline support
+// sw.js caches the app so it works without a network. Updates it finds are
+// offered with a banner, and reloading waits for pending writes.
+const appUpdate = {
+    worker: null,
+    accepted: false
+};
 
-        return `
-            <div class="block ${block.type} ${block.indent ? `indent-${block.indent}` : ''}" 
-                 id="block-${block.id}" draggable="true" data-block-id="${block.id}">
-                <div class="block-controls">
-                    <span class="block-handle" title="Drag">☰</span>
-                    <span class="block-type-selector" title="Change type">⋯</span>
-                    <span class="copy-block-link-btn" title="Copy block link">🔗</span>
-                    <span class="delete-block-btn" title="Delete">×</span>
-                </div>
-                ${blockContent}
-            </div>
-        `;
-    }).join('');
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    const hadController = !!navigator.serviceWorker.controller;
 
-    setupDragAndDrop();
-    setupBlockEventListeners();
-    
-    // Initialize toggles
-    document.querySelectorAll('.toggle-header').forEach(header => {
-        header.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('block-content')) {
-                const content = header.nextElementSibling;
-                const icon = header.querySelector('.toggle-icon');
-                if (content.style.display === 'none') {
-                    content.style.display = 'block';
-                    icon.textContent = '▾';
-                } else {
-                    content.style.display = 'none';
-                    icon.textContent = '▸';
-                }
-            }
-        });
-    });
-    
-    // Initialize image blocks
-    document.querySelectorAll('.upload-image-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = 'image/*';
-            input.onchange = (e) => {
-                const file = e.target.files[0];
-                if (file) {
-                    const reader = new FileReader();
-                    reader.onload = (event) => {
-                        const blockId = btn.closest('.block').dataset.blockId;
-                        updateBlock(blockId, { content: event.target.result });
-                    };
-                    reader.readAsDataURL(file);
-                }
-            };
-            input.click();
-        });
-    });
-    
-    // Initialize embed blocks
-    document.querySelectorAll('.embed-input input').forEach(input => {
-        input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                const url = e.target.value.trim();
-                if (url) {
-                    const blockId = input.closest('.block').dataset.blockId;
-                    updateBlock(blockId, { content: url });
-                }
-            }
-        });
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data?.type === 'update-available') showUpdateBanner();
     });
-    
-    // Initialize table blocks
-    document.querySelectorAll('.add-row-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const blockId = btn.closest('.block').dataset.blockId;
-            const block = state.blocks.find(b => b.id === blockId);
-            if (block) {
-                const newContent = block.content + '\n|  |';
-                updateBlock(blockId, { content: newContent });
-            }
-        });
+    // Another tab may have accepted the update; this one still runs the old code
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (appUpdate.accepted) {
+            reloadApp();
+        } else if (hadController) {
+            showUpdateBanner();
+        }
     });
-    
-    document.querySelectorAll('.add-col-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const blockId = btn.closest('.block').dataset.blockId;
-            const block = state.blocks.find(b => b.id === blockId);
-            if (block) {
-                const newContent = block.content.split('\n').map(row => row + ' | ').join('\n');
-                updateBlock(blockId, { content: newContent });
-            }
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // The worker installed on the first visit has nothing to replace
+        const offer = (worker) => {
+            if (worker && navigator.serviceWorker.controller) showUpdateBanner(worker);
+        };
+        offer(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offer(worker);
+            });
         });
-    });
+    }).catch(error => console.warn('Service worker registration failed', error));
 }
 
-// Block management
-function createBlock(type, content = '', indent = 0, children = []) {
-    state.lastBlockType = type;
-    return {
-        id: generateId(),
-        type,
-        content,
-        indent,
-        children,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
+function showUpdateBanner(worker = null) {
+    if (worker) appUpdate.worker = worker;
+    if (document.getElementById('update-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'update-banner';
+    banner.className = 'update-banner';
+    banner.innerHTML = `
+        <span>A new version is available.</span>
+        <button class="update-reload-btn">Reload</button>
+        <button class="update-dismiss-btn" title="Later">×</button>
+    `;
+    document.body.appendChild(banner);
+
+    banner.querySelector('.update-reload-btn').addEventListener('click', (e) => {
+        e.target.disabled = true;
+        if (appUpdate.worker) {
+            // The page reloads once the new worker takes over
+            appUpdate.accepted = true;
+            appUpdate.worker.postMessage({ type: 'skip-waiting' });
+        } else {
+            reloadApp();
+        }
+    });
+    banner.querySelector('.update-dismiss-btn').addEventListener('click', () => banner.remove());
 }
 
-function addBlock(type, content = '', indent = 0, position = null, children = []) {
-    const newBlock = createBlock(type, content, indent, children);
-    position === null ? state.blocks.push(newBlock) : state.blocks.splice(position, 0, newBlock);
-    saveBlocks();
-    renderBlocks();
-    setTimeout(() => document.getElementById(newBlock.id)?.focus(), 0);
-    return newBlock;
+function reloadApp() {
+    flushStorage().then(
+        () => window.location.reload(),
+        () => showToast('Some changes could not be saved yet, so the app was not reloaded.', 5000)
+    );
 }
 
-function updateBlock(id, updates) {
-    const index = state.blocks.findIndex(b => b.id === id);
-    if (index !== -1) {
-        updates.updatedAt = new Date().toISOString();
-        state.blocks[index] = { ...state.blocks[index], ...updates };
-        saveBlocks();
-        
-        // For immediate feedback on certain block types
-        if (updates.content && ['image', 'embed', 'table'].includes(state.blocks[index].type)) {
-            renderBlocks();
+// Without persistence the browser may clear the workspace when space runs low
+async function requestPersistentStorage() {
+    if (!navigator.storage?.persist || storage.adapter.name === 'memory') return;
+    try {
+        if (await navigator.storage.persisted()) return;
+        const granted = await navigator.storage.persist();
+        if (!granted && !storageGet('persistenceWarningShown')) {
+            storageSet('persistenceWarningShown', true);
+            showToast('This browser may clear the workspace when space runs low. Export a backup to keep a copy.', 6000);
         }
+    } catch (error) {
+        console.warn('Could not request persistent storage', error);
     }
 }
 
-function deleteBlock(id) {
-    const index = state.blocks.findIndex(b => b.id === id);
-    if (index !== -1) {
-        state.blocks.splice(index, 1);
-        saveBlocks();
-        renderBlocks();
-        if (state.blocks.length > 0) {
-            setTimeout(() => {
-                const prevId = state.blocks[Math.max(0, index - 1)].id;
-                document.getElementById(prevId)?.focus();
-            }, 0);
-        }
-    }
+// Data persistence functions
+function loadPages() {
+    state.pages = storageGet('pages', []);
+    migratePageIds();
+    migrateBlockTree();
+    migrateRichText();
+    migrateDatabases();
+    renderPagesList();
+    if (state.pages.length === 0) createPage('Welcome');
 }
 
-function duplicateBlock(id) {
-    const index = state.blocks.findIndex(b => b.id === id);
-    if (index !== -1) {
-        const block = state.blocks[index];
-        const newBlock = createBlock(block.type, block.content, block.indent, [...block.children]);
-        state.blocks.splice(index + 1, 0, newBlock);
-        saveBlocks();
-        renderBlocks();
-        setTimeout(() => document.getElementById(newBlock.id)?.focus(), 0);
+function savePages() {
+    storageSet('pages', state.pages);
+    invalidateSearchIndex();
+    invalidateLinkIndex();
+}
+
+function saveBlocks() {
+    if (state.currentPage) {
+        recordVersion(state.currentPage);
+        storageSet(`page-${state.currentPage}`, state.blocks);
+        invalidateSearchIndex(state.currentPage);
+        invalidateLinkIndex(state.currentPage);
+        scheduleReferencesRender();
+        refreshSyncedBlocks(state.currentPage);
     }
 }
 
-// Event handling
-function setupEventListeners() {
-    // Page title editing
-    elements.pageTitle.addEventListener('blur', () => {
-        const newName = elements.pageTitle.textContent.trim();
-        if (newName && newName !== state.currentPage) {
-            renamePage(state.currentPage, newName);
+function saveFavorites() {
+    storageSet('favorites', state.favorites);
+}
+
+function saveRecentPages() {
+    storageSet('recentPages', state.recentPages);
+}
+
+// Undo/redo history
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+
+const undoHistory = {
+    undo: [],
+    redo: [],
+    lastCoalesceKey: null,
+    lastRecordedAt: 0,
+    inTransaction: false
+};
+
+function takeSnapshot(pageIds = [], { trash = false } = {}) {
+    return {
+        currentPage: state.currentPage,
+        view: state.view,
+        blocks: JSON.parse(JSON.stringify(state.blocks)),
+        pages: state.pages.map(page => ({ ...page })),
+        favorites: [...state.favorites],
+        recentPages: [...state.recentPages],
+        // Only operations that move things in or out of the trash copy it
+        trash: trash ? getTrash() : null,
+        // Stored block lists of other pages touched by the operation (null = no data)
+        pageData: pageIds.reduce((data, id) => {
+            data[id] = storageGet(`page-${id}`);
+            return data;
+        }, {})
+    };
+}
+
+function restoreSnapshot(snapshot) {
+    state.pages = snapshot.pages;
+    state.favorites = snapshot.favorites;
+    state.recentPages = snapshot.recentPages;
+    if (snapshot.trash) saveTrash(snapshot.trash);
+
+    Object.entries(snapshot.pageData).forEach(([id, data]) => {
+        if (data === null) {
+            storageRemove(`page-${id}`);
         } else {
-            elements.pageTitle.textContent = state.currentPage;
-        }
-    });
-    
-    elements.pageTitle.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            elements.pageTitle.blur();
+            storageSet(`page-${id}`, data);
         }
     });
 
-    // Page creation
-    elements.addPageBtn.addEventListener('click', () => {
-        const name = elements.newPageInput.value.trim();
-        if (name) {
-            createPage(name);
-            elements.newPageInput.value = '';
-        }
+    state.currentPage = snapshot.currentPage;
+    state.view = snapshot.view;
+    state.blocks = snapshot.blocks;
+
+    savePages();
+    saveFavorites();
+    saveRecentPages();
+    saveBlocks();
+    renderPagesList();
+    renderFavorites();
+    renderRecentPages();
+
+    elements.pageTitle.textContent = state.view ? views[state.view].title : getPage(state.currentPage)?.name || '';
+    renderBlocks();
+
+    // Avoid triggering handleRouting, which would reload the page from storage
+    if (state.view) {
+        window.history.replaceState(null, '', `#${state.view}`);
+    } else if (state.currentPage) {
+        window.history.replaceState(null, '', `#page=${state.currentPage}`);
+    }
+}
+
+function getFocusedBlockId() {
+    return document.activeElement?.closest?.('.block')?.dataset.blockId || null;
+}
+
+// Record the current state before a mutation. Calls made with the same
+// coalesce key in quick succession (e.g. typing in one block) share one step.
+function recordHistory(label, { blockId = getFocusedBlockId(), coalesce = null, pageIds = [], trash = false } = {}) {
+    if (undoHistory.inTransaction) return;
+
+    const now = Date.now();
+    const coalesceKey = coalesce ? `${coalesce}:${state.currentPage}:${blockId}` : null;
+    const isContinuation = coalesceKey &&
+        coalesceKey === undoHistory.lastCoalesceKey &&
+        now - undoHistory.lastRecordedAt < HISTORY_COALESCE_MS;
+
+    undoHistory.lastCoalesceKey = coalesceKey;
+    undoHistory.lastRecordedAt = now;
+    if (isContinuation) return;
+
+    undoHistory.undo.push({
+        label,
+        blockId,
+        blockIndex: getVisibleBlocks().findIndex(b => b.id === blockId),
+        pageIds,
+        trash,
+        snapshot: takeSnapshot(pageIds, { trash })
     });
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+    undoHistory.redo = [];
+}
 
-    elements.newPageInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter' && elements.newPageInput.value.trim()) {
-            createPage(elements.newPageInput.value.trim());
-            elements.newPageInput.value = '';
+// Group several mutations into a single undo step
+function transact(label, options, fn) {
+    if (undoHistory.inTransaction) return fn();
+
+    recordHistory(label, options);
+    undoHistory.inTransaction = true;
+    try {
+        return fn();
+    } finally {
+        undoHistory.inTransaction = false;
+    }
+}
+
+function undo() {
+    applyHistoryEntry(undoHistory.undo, undoHistory.redo, 'Undo');
+}
+
+function redo() {
+    applyHistoryEntry(undoHistory.redo, undoHistory.undo, 'Redo');
+}
+
+function applyHistoryEntry(fromStack, toStack, verb) {
+    const entry = fromStack.pop();
+    if (!entry) return;
+
+    toStack.push({ ...entry, snapshot: takeSnapshot(entry.pageIds, { trash: entry.trash }) });
+    undoHistory.lastCoalesceKey = null;
+    restoreSnapshot(entry.snapshot);
+    showToast(`${verb}: ${entry.label}`);
+
+    setTimeout(() => {
+        const visible = getVisibleBlocks();
+        const index = visible.findIndex(b => b.id === entry.blockId);
+        if (index !== -1) {
+            navigateToBlock(index);
+        } else if (entry.blockIndex !== -1) {
+            navigateToBlock(Math.min(entry.blockIndex, visible.length - 1));
         }
-    });
+    }, 0);
+}
 
-    // Routing
-    window.addEventListener('hashchange', handleRouting);
+registerCommand({ id: 'app.undo', title: 'Undo', category: 'Edit', icon: '↶', run: () => undo() });
+registerCommand({ id: 'app.redo', title: 'Redo', category: 'Edit', icon: '↷', run: () => redo() });
 
-    // Theme toggle
-    elements.themeToggle.addEventListener('click', toggleTheme);
+// Version history
+// Each page keeps snapshots of its blocks in `history-<pageId>`, oldest first.
+// Before a save the stored content is snapshotted, at most once every
+// VERSION_INTERVAL_MS, so each stretch of editing leaves the page as it was.
+const VERSION_INTERVAL_MS = 5 * 60 * 1000;
+const VERSION_LIMIT = 50;
+const VERSION_MAX_AGE_DAYS = 30;
+// Time of each page's latest snapshot, so most saves skip reading the history
+const lastVersionTimes = new Map();
 
-    // Sidebar toggle
-    elements.sidebarToggle.addEventListener('click', toggleSidebar);
+function getVersions(pageId) {
+    return storageGet(`history-${pageId}`, []);
+}
 
-    // Search
-    elements.searchInput.addEventListener('input', (e) => {
-        // Implement search functionality
+function recordVersion(pageId, { force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - (lastVersionTimes.get(pageId) ?? 0) < VERSION_INTERVAL_MS) return;
+
+    const versions = getVersions(pageId);
+    const latest = versions[versions.length - 1];
+    if (!force && latest && now - Date.parse(latest.savedAt) < VERSION_INTERVAL_MS) {
+        lastVersionTimes.set(pageId, Date.parse(latest.savedAt));
+        return;
+    }
+    lastVersionTimes.set(pageId, now);
+
+    const blocks = storageGet(`page-${pageId}`);
+    if (!blocks || (latest && JSON.stringify(latest.blocks) === JSON.stringify(blocks))) return;
+
+    const cutoff = now - VERSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    storageSet(`history-${pageId}`, [...versions, { id: generateId(), savedAt: new Date(now).toISOString(), blocks }]
+        .filter(version => Date.parse(version.savedAt) >= cutoff)
+        .slice(-VERSION_LIMIT));
+}
+
+function flattenBlocksWithDepth(blocks, depth = 0) {
+    return blocks.flatMap(block => [
+        { block, depth },
+        ...flattenBlocksWithDepth(block.children || [], depth + 1)
+    ]);
+}
+
+function isSameBlock(a, b) {
+    const { children: ac, createdAt: aCreated, updatedAt: aUpdated, ...aRest } = a;
+    const { children: bc, createdAt: bCreated, updatedAt: bUpdated, ...bRest } = b;
+    return JSON.stringify(aRest) === JSON.stringify(bRest);
+}
+
+// Blocks keep their ids across edits, so versions are compared block by
+// block. Rows follow the newer version; a removed block is shown right after
+// the block that preceded it in the older one.
+function diffBlockVersions(fromBlocks, toBlocks) {
+    const from = flattenBlocksWithDepth(fromBlocks);
+    const to = flattenBlocksWithDepth(toBlocks);
+    const previousById = new Map(from.map(entry => [entry.block.id, entry.block]));
+    const toIds = new Set(to.map(entry => entry.block.id));
+
+    const rows = to.map(entry => {
+        const previous = previousById.get(entry.block.id);
+        if (!previous) return { status: 'added', ...entry };
+        return { status: isSameBlock(previous, entry.block) ? 'unchanged' : 'changed', previous, ...entry };
     });
-    
-    elements.searchInput.addEventListener('focus', () => {
-        showCommandPalette();
+    from.forEach((entry, i) => {
+        if (toIds.has(entry.block.id)) return;
+        const after = i === 0 ? -1 : rows.findIndex(row => row.block.id === from[i - 1].block.id);
+        rows.splice(after + 1, 0, { status: 'removed', ...entry });
     });
+    return rows;
+}
 
-    // Command palette
-    elements.commandInput.addEventListener('input', (e) => {
-        searchCommands(e.target.value);
+function restoreVersion(pageId, versionId) {
+    const version = getVersions(pageId).find(v => v.id === versionId);
+    if (!version || pageId !== state.currentPage) return;
+
+    // Keep the content being replaced so the restore can itself be reverted
+    recordVersion(pageId, { force: true });
+    transact('Restore version', {}, () => {
+        state.blocks = version.blocks;
+        saveBlocks();
+        renderBlocks();
     });
-    
-    elements.commandInput.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            const firstItem = elements.commandResults.querySelector('.command-item');
-            if (firstItem) firstItem.focus();
-        } else if (e.key === 'Escape') {
-            hideCommandPalette();
+    showToast(`Restored the version from ${new Date(version.savedAt).toLocaleString()}`);
+}
+
+// Puts a block back as it was in a version, in place when it's still on the page
+function restoreVersionBlock(pageId, versionId, blockId) {
+    const version = getVersions(pageId).find(v => v.id === versionId);
+    const old = version && findBlockLocation(blockId, version.blocks);
+    if (!old || pageId !== state.currentPage) return;
+
+    transact('Restore block', { blockId }, () => {
+        const current = findBlockLocation(blockId);
+        if (current) {
+            current.siblings[current.index] = { ...old.block, children: current.block.children || [] };
+        } else {
+            insertRestoredBlock(state.blocks, old.block, {
+                previousId: old.siblings[old.index - 1]?.id,
+                parentId: old.parent?.id
+            });
         }
+        saveBlocks();
+        renderBlocks();
     });
+}
+
+// Puts a removed block back after `previousId`, else first under `parentId`,
+// else at the top. Descendants that are on the page elsewhere stay there.
+function insertRestoredBlock(blocks, block, { previousId = null, parentId = null } = {}) {
+    const prune = (list) => list
+        .filter(child => !findBlock(child.id, blocks))
+        .map(child => ({ ...child, children: prune(child.children || []) }));
+    const restored = { ...block, children: prune(block.children || []) };
+    const previous = previousId && findBlockLocation(previousId, blocks);
+    const parent = parentId && findBlock(parentId, blocks);
+    if (previous) {
+        previous.siblings.splice(previous.index + 1, 0, restored);
+    } else if (parent) {
+        parent.children = [restored, ...(parent.children || [])];
+    } else {
+        blocks.unshift(restored);
+    }
+}
+
+function showVersionHistory(pageId = state.currentPage) {
+    const page = getPage(pageId);
+    if (!page) return;
+    if (pageId === state.currentPage) saveBlocks();
+
+    const versions = getVersions(pageId).reverse();
+    if (versions.length === 0) {
+        showToast('No earlier versions of this page yet');
+        return;
+    }
+    const current = { id: 'current', savedAt: null, blocks: getPageBlocks(pageId) };
+    const all = [current, ...versions];
+    let fromId = versions[0].id;
+    let toId = 'current';
+    let showUnchanged = false;
+
+    const label = (version) => version.savedAt ? new Date(version.savedAt).toLocaleString() : 'Current version';
+    const blockSummary = (block) => {
+        const text = getBlockText(block).trim();
+        return `
+            <span class="history-block-type">${escapeHTML(blockTypes[block.type]?.label || block.type)}</span>
+            ${block.type === 'todo' ? (block.checked ? '☑ ' : '☐ ') : ''}${escapeHTML(text.length > 200 ? `${text.slice(0, 200)}…` : text) || '<em>Empty</em>'}
+        `;
+    };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    const render = () => {
+        const from = all.find(v => v.id === fromId);
+        const to = all.find(v => v.id === toId);
+        const rows = diffBlockVersions(from.blocks, to.blocks);
+        const changes = rows.filter(row => row.status !== 'unchanged').length;
+        // Blocks can be restored from the older side of the comparison
+        const restorable = (row) => fromId !== 'current' && row.status !== 'added' && row.status !== 'unchanged';
+
+        overlay.innerHTML = `
+            <div class="modal history-modal">
+                <h2>History of ${escapeHTML(page.name)}</h2>
+                <div class="history-layout">
+                    <div class="history-versions">
+                        ${all.map(version => `
+                            <div class="history-version ${version.id === fromId ? 'selected' : ''}" data-version-id="${version.id}">
+                                ${escapeHTML(label(version))}
+                                <span class="history-version-meta">${flattenBlocksWithDepth(version.blocks).length} blocks</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="history-diff">
+                        <div class="history-compare">
+                            Comparing ${escapeHTML(label(from))} with
+                            <select class="history-compare-select">
+                                ${all.filter(v => v.id !== fromId).map(version => `
+                                    <option value="${version.id}" ${version.id === toId ? 'selected' : ''}>${escapeHTML(label(version))}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <label class="history-toggle">
+                            <input type="checkbox" class="history-show-unchanged" ${showUnchanged ? 'checked' : ''}>
+                            Show unchanged blocks
+                        </label>
+                        ${changes === 0 ? '<p class="modal-hint">No differences.</p>' : ''}
+                        ${rows.filter(row => showUnchanged || row.status !== 'unchanged').map(row => `
+                            <div class="history-row ${row.status}" style="margin-left: ${row.depth * 16}px">
+                                <div class="history-row-content">
+                                    ${row.status === 'changed' ? `
+                                        <div class="history-old">${blockSummary(row.previous)}</div>
+                                        <div class="history-new">${blockSummary(row.block)}</div>
+                                    ` : blockSummary(row.block)}
+                                </div>
+                                ${restorable(row) ? `
+                                    <button class="modal-btn restore-block-btn" data-block-id="${row.block.id}">Restore block</button>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="modal-actions">
+                    <button class="modal-btn" data-action="cancel">Close</button>
+                    ${fromId !== 'current' ? `
+                        <button class="modal-btn primary" data-action="restore">Restore this version</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.history-compare-select').addEventListener('change', (e) => {
+            toId = e.target.value;
+            render();
+        });
+        overlay.querySelector('.history-show-unchanged').addEventListener('change', (e) => {
+            showUnchanged = e.target.checked;
+            render();
+        });
+    };
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        const version = e.target.closest('.history-version');
+        const action = e.target.dataset?.action;
+        if (e.target === overlay || action === 'cancel') {
+            close();
+        } else if (version) {
+            fromId = version.dataset.versionId;
+            if (toId === fromId) toId = fromId === 'current' ? versions[0].id : 'current';
+            render();
+        } else if (action === 'restore') {
+            if (!confirm(`Replace the page with the version from ${label(all.find(v => v.id === fromId))}?`)) return;
+            close();
+            restoreVersion(pageId, fromId);
+        } else if (e.target.classList.contains('restore-block-btn')) {
+            restoreVersionBlock(pageId, fromId, e.target.dataset.blockId);
+            current.blocks = getPageBlocks(pageId);
+            render();
+        }
+    });
+    render();
+    document.body.appendChild(overlay);
+}
+
+registerCommand({ id: 'page.history', title: 'Page history', category: 'Page', icon: '🕘',
+    description: 'Compare and restore earlier versions of this page', keywords: ['version history', 'restore'], when: ({ pageId }) => Boolean(pageId),
+    run: ({ pageId }) => showVersionHistory(pageId) });
+
+// Page management
+function getPage(id) {
+    return state.pages.find(page => page.id === id);
+}
+
+function getPageByName(name) {
+    return state.pages.find(page => page.name === name);
+}
+
+function newPageRecord(name, parentId = null) {
+    return { 
+        id: generateId(),
+        name, 
+        parentId,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function createPage(name, parentId = null) {
+    if (getPageByName(name)) {
+        showToast('Page name already exists');
+        return null;
+    }
+
+    const newPage = newPageRecord(name, parentId);
     
-    document.addEventListener('keydown', (e) => {
-        if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-            e.preventDefault();
-            showCommandPalette();
+    recordHistory('Create page', { pageIds: [newPage.id] });
+    
+    state.pages.push(newPage);
+    savePages();
+    renderPagesList();
+    loadPage(newPage.id);
+    return newPage;
+}
+
+// Pages move to the Trash with their subpages; see restoreTrashedPage()
+function deletePage(id) {
+    const page = getPage(id);
+    if (!page) return;
+
+    const pageIds = getPageSubtreeIds(id);
+    transact('Delete page', { trash: true }, () => {
+        saveTrash([{
+            id: generateId(),
+            kind: 'page',
+            deletedAt: new Date().toISOString(),
+            // Sidebar order, root first
+            pages: [page, ...state.pages.filter(p => p !== page && pageIds.includes(p.id))],
+            index: state.pages.indexOf(page),
+            favorites: state.favorites.filter(fav => pageIds.includes(fav))
+        }, ...getTrash()]);
+
+        state.pages = state.pages.filter(p => !pageIds.includes(p.id));
+        state.favorites = state.favorites.filter(fav => !pageIds.includes(fav));
+        state.recentPages = state.recentPages.filter(rp => !pageIds.includes(rp));
+        
+        savePages();
+        saveFavorites();
+        saveRecentPages();
+        renderPagesList();
+        renderFavorites();
+        renderRecentPages();
+        
+        if (pageIds.includes(state.currentPage)) {
+            state.currentPage = state.pages[0]?.id || null;
+            state.blocks = state.currentPage ? 
+                storageGet(`page-${state.currentPage}`, []) : [];
+            elements.pageTitle.textContent = getPage(state.currentPage)?.name || '';
+            renderBlocks();
+        } else if (state.view) {
+            renderBlocks();
+        }
+    });
+    showToast(`Moved "${page.name}" to Trash`);
+}
+
+function loadPage(id, { hash = `#page=${id}` } = {}) {
+    const page = getPage(id);
+    if (!page) return;
+    
+    state.currentPage = id;
+    state.view = null;
+    state.blocks = storageGet(`page-${id}`, []);
+    
+    // Update recent pages
+    state.recentPages = state.recentPages.filter(rp => rp !== id);
+    state.recentPages.unshift(id);
+    if (state.recentPages.length > 5) state.recentPages.pop();
+    saveRecentPages();
+    renderRecentPages();
+    
+    if (state.blocks.length === 0) {
+        state.blocks = [createBlock('text')];
+        saveBlocks();
+    }
+    
+    // Update page title
+    elements.pageTitle.textContent = page.name;
+    elements.pageTitle.contentEditable = true;
+    
+    renderPagesList();
+    renderBlocks();
+    window.location.hash = hash;
+    
+    // Focus on first block if empty
+    if (state.blocks.length === 1 && isRichText(state.blocks[0].type) && !runsToText(state.blocks[0].content)) {
+        setTimeout(() => document.getElementById(state.blocks[0].id)?.focus(), 0);
+    }
+}
+
+// Workspace-wide views shown in place of a page and addressed as #<name>
+const views = {
+    tasks: { title: 'All tasks', render: renderAllTasks },
+    trash: { title: 'Trash', render: renderTrash }
+};
+
+function showView(name) {
+    state.view = name;
+    state.currentPage = null;
+    state.blocks = [];
+
+    elements.pageTitle.textContent = views[name].title;
+    elements.pageTitle.contentEditable = false;
+    if (elements.references) elements.references.innerHTML = '';
+
+    renderPagesList();
+    renderBlocks();
+    window.location.hash = `#${name}`;
+}
+
+// Links store the page id, so renaming only changes the page record;
+// link text is refreshed from the current name when content is rendered.
+function renamePage(id, newName) {
+    const page = getPage(id);
+    if (!page) return false;
+    
+    const existing = getPageByName(newName);
+    if (existing && existing.id !== id) {
+        showToast('Page name already exists');
+        return false;
+    }
+    
+    recordHistory('Rename page');
+    
+    page.name = newName;
+    page.updatedAt = new Date().toISOString();
+    
+    if (state.currentPage === id) elements.pageTitle.textContent = newName;
+    renderBlocks();
+    
+    savePages();
+    renderPagesList();
+    renderFavorites();
+    renderRecentPages();
+    
+    return true;
+}
+
+function toggleFavorite(pageId) {
+    const index = state.favorites.indexOf(pageId);
+    if (index === -1) {
+        state.favorites.push(pageId);
+    } else {
+        state.favorites.splice(index, 1);
+    }
+    saveFavorites();
+    renderPagesList();
+    renderFavorites();
+}
+
+// Migration from name-keyed storage (page-<name>, name-based favorites,
+// recents and #page=<name> links) to id-keyed storage.
+function migratePageIds() {
+    if (storageGet('pageIdsMigrated')) return;
+
+    const idFor = (value) => getPageByName(value)?.id || (getPage(value) ? value : null);
+
+    state.pages.forEach(page => {
+        const legacyKey = `page-${page.name}`;
+        const legacyBlocks = storageGet(legacyKey);
+        if (legacyBlocks && !storageGet(`page-${page.id}`)) {
+            storageSet(`page-${page.id}`, legacyBlocks);
+            storageRemove(legacyKey);
+        }
+    });
+
+    state.favorites = [...new Set(state.favorites.map(idFor).filter(Boolean))];
+    state.recentPages = [...new Set(state.recentPages.map(idFor).filter(Boolean))];
+    saveFavorites();
+    saveRecentPages();
+
+    state.pages.forEach(page => {
+        const blocks = storageGet(`page-${page.id}`, []);
+        const migrated = blocks.map(block => ({
+            ...block,
+            content: linkPageReferences(migrateLegacyPageLinks(block.content)),
+            children: (block.children || []).map(child => ({
+                ...child,
+                content: linkPageReferences(migrateLegacyPageLinks(child.content))
+            }))
+        }));
+        storageSet(`page-${page.id}`, migrated);
+    });
+
+    storageSet('pageIdsMigrated', true);
+}
+
+function migrateLegacyPageLinks(content) {
+    if (typeof content !== 'string') return content;
+    return content
+        .replace(/<a href="#page=([^"&]+)"[^>]*>.*?<\/a>/g, (match, ref) => {
+            const page = getPageByName(decodeURIComponent(ref));
+            return page ? pageLinkHTML(page) : match;
+        })
+        .replace(/#page=([^&"\s<]+)(&amp;block=|&block=)/g, (match, ref, blockPart) => {
+            const page = getPageByName(decodeURIComponent(ref));
+            return page ? `#page=${page.id}${blockPart}` : match;
+        });
+}
+
+function getPageSubtreeIds(id) {
+    return [id, ...state.pages
+        .filter(p => p.parentId === id)
+        .flatMap(child => getPageSubtreeIds(child.id))];
+}
+
+// Templates and page copies
+// A template is a saved copy of a page and its subpages:
+// { id, name, pages: [{ id, name, parentId }], blocks: { pageId: blocks } }.
+// Creating a page from a template (or duplicating a page) gives every page
+// and block a fresh id, and links between the copied pages follow the copies.
+function getTemplates() {
+    return storageGet('templates', []);
+}
+
+function saveTemplates(templates) {
+    storageSet('templates', templates);
+}
+
+function getPageBlocks(pageId) {
+    return pageId === state.currentPage ? state.blocks : storageGet(`page-${pageId}`, []);
+}
+
+function saveAsTemplate(pageId) {
+    const page = getPage(pageId);
+    if (!page) return;
+    const name = prompt('Template name:', page.name)?.trim();
+    if (!name) return;
+
+    const templates = getTemplates();
+    const existing = templates.find(template => template.name === name);
+    if (existing && !confirm(`Replace the template "${name}"?`)) return;
+
+    const pageIds = getPageSubtreeIds(pageId);
+    const template = {
+        id: existing?.id || generateId(),
+        name,
+        pages: pageIds.map(id => {
+            const { name, parentId } = getPage(id);
+            return { id, name, parentId: id === pageId ? null : parentId };
+        }),
+        blocks: Object.fromEntries(pageIds.map(id => [id, structuredClone(getPageBlocks(id))])),
+        createdAt: new Date().toISOString()
+    };
+    saveTemplates([...templates.filter(t => t !== existing), template]);
+    showToast(`Saved "${name}" as a template`);
+}
+
+function deleteTemplate(id) {
+    const template = getTemplates().find(t => t.id === id);
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+    saveTemplates(getTemplates().filter(t => t.id !== id));
+}
+
+// {{date}} and {{title}}; unknown variables are left as written
+function fillTemplateVariables(text, variables) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        Object.hasOwn(variables, name) ? variables[name] : match);
+}
+
+// Copies `source.pages` (the first one is the root) with fresh ids. The root
+// is named `name` and placed under `parentId`; other names are kept unique.
+function copyPageTree(source, { name, parentId = null, variables = null }) {
+    const idMap = new Map(source.pages.map(page => [page.id, generateId()]));
+    const fill = (text) => variables ? fillTemplateVariables(text, variables) : text;
+    const takenNames = new Set(state.pages.map(page => page.name));
+
+    const pages = source.pages.map((page, index) => {
+        let pageName = index === 0 ? name : fill(page.name);
+        if (index > 0) {
+            const base = pageName;
+            for (let n = 2; takenNames.has(pageName); n++) pageName = `${base} (${n})`;
+        }
+        takenNames.add(pageName);
+        return {
+            ...newPageRecord(pageName, index === 0 ? parentId : idMap.get(page.parentId)),
+            id: idMap.get(page.id)
+        };
+    });
+
+    // Database rows are filled in their text columns only
+    const fillDatabase = (database) => {
+        const textColumns = database.columns.filter(column => column.type === 'text').map(column => column.id);
+        return {
+            ...database,
+            rows: database.rows.map(row => ({
+                ...row,
+                cells: Object.fromEntries(Object.entries(row.cells).map(([columnId, value]) =>
+                    [columnId, textColumns.includes(columnId) && typeof value === 'string' ? fill(value) : value]))
+            }))
+        };
+    };
+    const fillBlock = (block) => withDueDate({
+        ...block,
+        content: Array.isArray(block.content) ? block.content.map(run => ({ ...run, text: fill(run.text) })) :
+            typeof block.content === 'string' ? fill(block.content) :
+            block.type === 'database' && block.content ? fillDatabase(block.content) : block.content,
+        children: (block.children || []).map(fillBlock)
+    });
+    // Clone every page first so links to blocks on any copied page can be remapped
+    const cloned = source.pages.map(page =>
+        structuredClone(source.blocks[page.id] || []).map(block => cloneBlockTree(block, idMap)));
+    const blocks = Object.fromEntries(source.pages.map((page, index) =>
+        [idMap.get(page.id), remapBlockIds(cloned[index], idMap).map(fillBlock)]));
+
+    return { pages, blocks };
+}
+
+function createPageFromTemplate(name, parentId, template) {
+    if (getPageByName(name)) {
+        showToast('Page name already exists');
+        return null;
+    }
+
+    const copy = copyPageTree(template, {
+        name,
+        parentId,
+        variables: { title: name, date: toDateKey(new Date()) }
+    });
+
+    transact('Create page from template', { pageIds: copy.pages.map(page => page.id) }, () => {
+        state.pages.push(...copy.pages);
+        copy.pages.forEach(page => storageSet(`page-${page.id}`, copy.blocks[page.id]));
+        savePages();
+        renderPagesList();
+        loadPage(copy.pages[0].id);
+    });
+    return copy.pages[0];
+}
+
+function duplicatePage(id) {
+    const page = getPage(id);
+    if (!page) return;
+
+    const pageIds = getPageSubtreeIds(id);
+    const copy = copyPageTree({
+        pages: pageIds.map(getPage),
+        blocks: Object.fromEntries(pageIds.map(pageId => [pageId, getPageBlocks(pageId)]))
+    }, { name: uniquePageName(`${page.name} (copy)`), parentId: page.parentId });
+
+    transact('Duplicate page', { pageIds: copy.pages.map(p => p.id) }, () => {
+        // The copy goes right after the original in the sidebar
+        state.pages.splice(state.pages.indexOf(page) + 1, 0, ...copy.pages);
+        copy.pages.forEach(p => storageSet(`page-${p.id}`, copy.blocks[p.id]));
+        savePages();
+        renderPagesList();
+        loadPage(copy.pages[0].id);
+    });
+}
+
+// New pages go through the template picker once any templates exist
+function startNewPage(name, parentId = null) {
+    if (getPageByName(name)) {
+        showToast('Page name already exists');
+        return;
+    }
+    if (getTemplates().length === 0) {
+        createPage(name, parentId);
+        return;
+    }
+    showTemplatePicker(`New page: ${name}`, (template) => {
+        if (template) {
+            createPageFromTemplate(name, parentId, template);
+        } else {
+            createPage(name, parentId);
+        }
+    });
+}
+
+// Calls `onPick` with the chosen template, or null for a blank page
+function showTemplatePicker(title, onPick) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    const render = () => {
+        const templates = getTemplates();
+        overlay.innerHTML = `
+            <div class="modal">
+                <h2>${escapeHTML(title)}</h2>
+                <div class="template-list">
+                    <div class="template-item" data-template-id="">
+                        <span class="template-name">Blank page</span>
+                    </div>
+                    ${templates.map(template => `
+                        <div class="template-item" data-template-id="${template.id}">
+                            <span class="template-name">${escapeHTML(template.name)}</span>
+                            ${template.pages.length > 1 ? `
+                                <span class="template-meta">${template.pages.length - 1} subpage${template.pages.length === 2 ? '' : 's'}</span>
+                            ` : ''}
+                            <button class="delete-template-btn" title="Delete template">×</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <p class="modal-hint">Use {{title}} and {{date}} in a template to fill in the page name and today's date.</p>
+                <div class="modal-actions">
+                    <button class="modal-btn" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    };
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        const item = e.target.closest('.template-item');
+        if (e.target === overlay || e.target.dataset?.action === 'cancel') {
+            close();
+        } else if (e.target.closest('.delete-template-btn')) {
+            deleteTemplate(item.dataset.templateId);
+            render();
+        } else if (item) {
+            close();
+            onPick(getTemplates().find(t => t.id === item.dataset.templateId) || null);
+        }
+    });
+    render();
+    document.body.appendChild(overlay);
+}
+
+registerCommand({ id: 'page.create', title: 'Create new page', category: 'Page', icon: '📄',
+    description: 'Add a new page to your workspace', keywords: ['new page', 'add page'],
+    run: () => {
+        const name = prompt('Page name:');
+        if (name) startNewPage(name);
+    } });
+registerCommand({ id: 'page.duplicate', title: 'Duplicate page', category: 'Page', icon: '⧉',
+    description: 'Copy this page and its subpages', keywords: ['copy page'], when: ({ pageId }) => Boolean(pageId),
+    run: ({ pageId }) => duplicatePage(pageId) });
+registerCommand({ id: 'page.saveAsTemplate', title: 'Save page as template', category: 'Page', icon: '📋',
+    description: 'Reuse this page and its subpages for new pages', keywords: ['template'], when: ({ pageId }) => Boolean(pageId),
+    run: ({ pageId }) => saveAsTemplate(pageId) });
+
+// Journal
+// Daily notes are pages named by their date (YYYY-MM-DD) under a Journal
+// parent page. Visiting a day creates its page, from the journal template
+// when one is set; pages named by a date elsewhere count as that day's note.
+const journalCalendar = {
+    month: null // YYYY-MM shown in the sidebar calendar
+};
+
+function getJournalSettings() {
+    return storageGet('journal', { pageId: null, templateId: null });
+}
+
+function saveJournalSettings(settings) {
+    storageSet('journal', settings);
+}
+
+function isJournalDate(name) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(name) && Boolean(parseDateKey(name));
+}
+
+function shiftDateKey(dateKey, days) {
+    const date = parseDateKey(dateKey);
+    return toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+}
+
+// The Journal parent page, adopting a root page named "Journal" if there is one
+function getJournalParent() {
+    const settings = getJournalSettings();
+    const parent = getPage(settings.pageId) || state.pages.find(page => !page.parentId && page.name === 'Journal');
+    if (parent && parent.id !== settings.pageId) saveJournalSettings({ ...settings, pageId: parent.id });
+    return parent || null;
+}
+
+function createJournalPage(dateKey) {
+    const template = getTemplates().find(t => t.id === getJournalSettings().templateId);
+    const existingParent = getJournalParent();
+    const parent = existingParent || newPageRecord(uniquePageName('Journal'));
+    const copy = template ?
+        copyPageTree(template, { name: dateKey, parentId: parent.id, variables: { title: dateKey, date: dateKey } }) :
+        { pages: [newPageRecord(dateKey, parent.id)], blocks: {} };
+    const newPages = existingParent ? copy.pages : [parent, ...copy.pages];
+
+    transact('Create journal page', { pageIds: newPages.map(page => page.id) }, () => {
+        if (!existingParent) {
+            state.pages.push(parent);
+            storageSet(`page-${parent.id}`, [createBlock('text', '')]);
+            saveJournalSettings({ ...getJournalSettings(), pageId: parent.id });
+        }
+        // Days are listed newest first under the Journal page
+        const before = state.pages.find(page => page.parentId === parent.id && isJournalDate(page.name) && page.name < dateKey);
+        state.pages.splice(before ? state.pages.indexOf(before) : state.pages.length, 0, copy.pages[0]);
+        state.pages.push(...copy.pages.slice(1));
+        copy.pages.forEach(page => storageSet(`page-${page.id}`, copy.blocks[page.id] || []));
+        savePages();
+    });
+    return copy.pages[0];
+}
+
+function openJournal(dateKey = toDateKey(new Date())) {
+    if (!isJournalDate(dateKey)) {
+        showToast(`Not a valid date: ${dateKey}`);
+        return;
+    }
+    const page = getPageByName(dateKey) || createJournalPage(dateKey);
+    journalCalendar.month = dateKey.slice(0, 7);
+    loadPage(page.id, { hash: `#journal=${dateKey}` });
+}
+
+function chooseJournalTemplate() {
+    showTemplatePicker('Journal template', (template) => {
+        saveJournalSettings({ ...getJournalSettings(), templateId: template?.id || null });
+        showToast(template ? `New days start from "${template.name}"` : 'New days start blank');
+    });
+}
+
+// Previous/next day links above a daily note
+function renderJournalNav() {
+    if (!elements.journalNav) return;
+    const page = getPage(state.currentPage);
+    if (!page || !isJournalDate(page.name)) {
+        elements.journalNav.innerHTML = '';
+        return;
+    }
+
+    const date = parseDateKey(page.name);
+    elements.journalNav.innerHTML = `
+        <button class="journal-nav-btn" data-date="${shiftDateKey(page.name, -1)}" title="Previous day">‹</button>
+        <span class="journal-nav-date">
+            ${escapeHTML(date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }))}
+        </span>
+        <button class="journal-nav-btn" data-date="${shiftDateKey(page.name, 1)}" title="Next day">›</button>
+        ${page.name !== toDateKey(new Date()) ? `
+            <button class="journal-nav-btn" data-date="${toDateKey(new Date())}">Today</button>
+        ` : ''}
+    `;
+    elements.journalNav.querySelectorAll('.journal-nav-btn').forEach(btn => {
+        btn.addEventListener('click', () => openJournal(btn.dataset.date));
+    });
+}
+
+function renderJournalCalendar() {
+    if (!elements.journalCalendar) return;
+    const today = toDateKey(new Date());
+    const currentName = getPage(state.currentPage)?.name;
+    const selected = isJournalDate(currentName || '') ? currentName : null;
+    journalCalendar.month = journalCalendar.month || (selected || today).slice(0, 7);
+
+    const [year, month] = journalCalendar.month.split('-').map(Number);
+    const first = new Date(year, month - 1, 1);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    // Weeks start on Monday
+    const leading = (first.getDay() + 6) % 7;
+    const entries = new Set(state.pages.map(page => page.name).filter(isJournalDate));
+
+    const days = Array.from({ length: daysInMonth }, (_, i) => {
+        const key = toDateKey(new Date(year, month - 1, i + 1));
+        const classes = [
+            'calendar-day',
+            key === today ? 'today' : '',
+            key === selected ? 'selected' : '',
+            entries.has(key) ? 'has-entry' : ''
+        ].filter(Boolean).join(' ');
+        return `<button class="${classes}" data-date="${key}">${i + 1}</button>`;
+    });
+
+    elements.journalCalendar.innerHTML = `
+        <div class="calendar-header">
+            <button class="calendar-nav" data-months="-1" title="Previous month">‹</button>
+            <span class="calendar-title">
+                ${escapeHTML(first.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }))}
+            </span>
+            <button class="calendar-nav" data-months="1" title="Next month">›</button>
+        </div>
+        <div class="calendar-grid">
+            ${['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map(day => `<span class="calendar-weekday">${day}</span>`).join('')}
+            ${'<span></span>'.repeat(leading)}
+            ${days.join('')}
+        </div>
+    `;
+
+    elements.journalCalendar.querySelectorAll('.calendar-nav').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const shifted = new Date(year, month - 1 + Number(btn.dataset.months), 1);
+            journalCalendar.month = toDateKey(shifted).slice(0, 7);
+            renderJournalCalendar();
+        });
+    });
+    elements.journalCalendar.querySelectorAll('.calendar-day').forEach(day => {
+        day.addEventListener('click', () => openJournal(day.dataset.date));
+    });
+}
+
+registerCommand({ id: 'journal.today', title: "Open today's journal", category: 'Journal', icon: '📅',
+    description: 'Go to the daily note for today', keywords: ['daily note'], run: () => openJournal() });
+registerCommand({ id: 'journal.template', title: 'Choose journal template', category: 'Journal', icon: '📅',
+    description: 'Template for new daily notes', run: () => chooseJournalTemplate() });
+
+// Trash
+// Deleted pages and blocks wait in `trash`, newest first, until they're
+// restored, purged or expire. A trashed page keeps its stored blocks and
+// history; its entry records the subpages, sidebar position and favorites.
+const TRASH_DEFAULT_RETENTION_DAYS = 30;
+
+function getTrash() {
+    return storageGet('trash', []);
+}
+
+function saveTrash(trash) {
+    storageSet('trash', trash);
+}
+
+function getTrashRetentionDays() {
+    return storageGet('trashRetentionDays', TRASH_DEFAULT_RETENTION_DAYS);
+}
+
+// Empty text blocks, such as those removed with Backspace, aren't kept
+function isBlankBlock(block) {
+    return isRichText(block.type) && !runsToText(block.content).trim() && !(block.children || []).length;
+}
+
+function trashBlock(block, location) {
+    if (isBlankBlock(block)) return;
+    saveTrash([{
+        id: generateId(),
+        kind: 'block',
+        deletedAt: new Date().toISOString(),
+        pageId: state.currentPage,
+        block: structuredClone(block),
+        parentId: location.parent?.id || null,
+        previousId: location.siblings[location.index - 1]?.id || null
+    }, ...getTrash()]);
+}
+
+function getTrashedPageIds(trash = getTrash()) {
+    return trash.filter(entry => entry.kind === 'page').flatMap(entry => entry.pages.map(page => page.id));
+}
+
+function findTrashedPageEntry(pageId) {
+    return getTrash().find(entry => entry.kind === 'page' && entry.pages.some(page => page.id === pageId));
+}
+
+function restoreTrashEntry(entryId) {
+    const entry = getTrash().find(e => e.id === entryId);
+    if (entry?.kind === 'page') {
+        restoreTrashedPage(entry);
+    } else if (entry) {
+        restoreTrashedBlock(entry);
+    }
+}
+
+function restoreTrashedPage(entry) {
+    const [root] = entry.pages;
+    const restored = entry.pages.map(page => ({
+        ...page,
+        name: getPageByName(page.name) ? uniquePageName(page.name) : page.name,
+        // The parent may have been deleted since; the page then returns at the top level
+        parentId: page.id === root.id && !getPage(page.parentId) ? null : page.parentId
+    }));
+
+    transact('Restore page', { trash: true }, () => {
+        state.pages.splice(Math.min(entry.index, state.pages.length), 0, ...restored);
+        state.favorites.push(...entry.favorites.filter(id => !state.favorites.includes(id)));
+        saveTrash(getTrash().filter(e => e.id !== entry.id));
+        savePages();
+        saveFavorites();
+        renderFavorites();
+        loadPage(root.id);
+    });
+    showToast(`Restored "${restored[0].name}"`);
+}
+
+function restoreTrashedBlock(entry) {
+    const page = getPage(entry.pageId);
+    if (!page) {
+        const pageEntry = findTrashedPageEntry(entry.pageId);
+        showToast(pageEntry ?
+            `Restore "${pageEntry.pages.find(p => p.id === entry.pageId).name}" from Trash first` :
+            'The page this block was on no longer exists');
+        return;
+    }
+
+    const isCurrent = page.id === state.currentPage;
+    const blocks = getPageBlocks(page.id);
+    transact('Restore block', { pageIds: isCurrent ? [] : [page.id], trash: true }, () => {
+        // Already back on the page, e.g. after an undo
+        if (!findBlock(entry.block.id, blocks)) insertRestoredBlock(blocks, entry.block, entry);
+        saveTrash(getTrash().filter(e => e.id !== entry.id));
+        if (isCurrent) {
+            saveBlocks();
+        } else {
+            storageSet(`page-${page.id}`, blocks);
+            invalidateSearchIndex(page.id);
+            invalidateLinkIndex(page.id);
+        }
+    });
+    openBlock(page.id, entry.block.id);
+}
+
+function purgeTrashEntries(entryIds) {
+    const ids = new Set(entryIds);
+    const trash = getTrash();
+    trash.filter(entry => ids.has(entry.id) && entry.kind === 'page').forEach(entry => {
+        entry.pages.forEach(page => {
+            storageRemove(`page-${page.id}`);
+            storageRemove(`history-${page.id}`);
+        });
+    });
+    saveTrash(trash.filter(entry => !ids.has(entry.id)));
+}
+
+function purgeExpiredTrash() {
+    const cutoff = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    const expired = getTrash().filter(entry => Date.parse(entry.deletedAt) < cutoff);
+    if (expired.length > 0) purgeTrashEntries(expired.map(entry => entry.id));
+}
+
+function renderTrash() {
+    purgeExpiredTrash();
+    const trash = getTrash();
+    const pageName = (id) => getPage(id)?.name || findTrashedPageEntry(id)?.pages.find(p => p.id === id).name || 'a deleted page';
+
+    const entryHTML = (entry) => {
+        const deleted = new Date(entry.deletedAt).toLocaleString();
+        if (entry.kind === 'page') {
+            const subpages = entry.pages.length - 1;
+            return `
+                <span class="trash-icon">📄</span>
+                <div class="trash-item-main">
+                    <div class="trash-item-title">${escapeHTML(entry.pages[0].name)}</div>
+                    <div class="trash-item-meta">
+                        Deleted ${escapeHTML(deleted)}${subpages ? ` · with ${subpages} subpage${subpages === 1 ? '' : 's'}` : ''}
+                    </div>
+                </div>
+            `;
+        }
+        const text = getBlockText(entry.block).trim();
+        return `
+            <span class="trash-icon">${blockTypes[entry.block.type]?.icon || '•'}</span>
+            <div class="trash-item-main">
+                <div class="trash-item-title">
+                    ${escapeHTML(text.length > 120 ? `${text.slice(0, 120)}…` : text) || escapeHTML(blockTypes[entry.block.type]?.label || 'Block')}
+                </div>
+                <div class="trash-item-meta">Deleted ${escapeHTML(deleted)} · from ${escapeHTML(pageName(entry.pageId))}</div>
+            </div>
+        `;
+    };
+
+    elements.blocksContainer.innerHTML = `
+        <div class="trash">
+            <div class="trash-toolbar">
+                <label>
+                    Delete items permanently after
+                    <input type="number" class="trash-retention" min="1" value="${getTrashRetentionDays()}">
+                    days
+                </label>
+                ${trash.length ? '<button class="modal-btn trash-empty-btn">Empty trash</button>' : ''}
+            </div>
+            ${trash.length === 0 ? '<div class="board-empty">Trash is empty.</div>' : trash.map(entry => `
+                <div class="trash-item" data-entry-id="${entry.id}">
+                    ${entryHTML(entry)}
+                    <button class="modal-btn restore-trash-btn">Restore</button>
+                    <button class="modal-btn purge-trash-btn">Delete forever</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    elements.blocksContainer.querySelector('.trash-retention').addEventListener('change', (e) => {
+        const days = Math.max(1, Math.round(Number(e.target.value)) || TRASH_DEFAULT_RETENTION_DAYS);
+        storageSet('trashRetentionDays', days);
+        renderTrash();
+    });
+    elements.blocksContainer.querySelector('.trash-empty-btn')?.addEventListener('click', () => {
+        if (!confirm(`Permanently delete ${trash.length} item${trash.length === 1 ? '' : 's'}? This can't be undone.`)) return;
+        purgeTrashEntries(trash.map(entry => entry.id));
+        renderTrash();
+    });
+    elements.blocksContainer.querySelectorAll('.trash-item').forEach(item => {
+        const entryId = item.dataset.entryId;
+        item.querySelector('.restore-trash-btn').addEventListener('click', () => restoreTrashEntry(entryId));
+        item.querySelector('.purge-trash-btn').addEventListener('click', () => {
+            if (!confirm("Permanently delete this item? This can't be undone.")) return;
+            purgeTrashEntries([entryId]);
+            renderTrash();
+        });
+    });
+}
+
+registerCommand({ id: 'view.trash', title: 'Trash', category: 'Go to', icon: '🗑',
+    description: 'Restore deleted pages and blocks', keywords: ['deleted'], run: () => showView('trash') });
+
+// UI rendering
+function renderPagesList() {
+    const rootPages = state.pages.filter(page => !page.parentId);
+    
+    elements.pagesList.innerHTML = rootPages.map(page => {
+        const isActive = page.id === state.currentPage;
+        const hasChildren = state.pages.some(p => p.parentId === page.id);
+        const isFavorite = state.favorites.includes(page.id);
+        
+        return `
+            <div class="page-item ${isActive ? 'active' : ''}" data-id="${page.id}">
+                <div class="page-item-main">
+                    <span class="page-item-icon">${isFavorite ? '★' : '📄'}</span>
+                    <span class="page-item-name">${escapeHTML(page.name)}</span>
+                    <div class="page-item-actions">
+                        <button class="favorite-page-btn" data-page="${page.id}" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+                            ${isFavorite ? '★' : '☆'}
+                        </button>
+                        <button class="add-subpage-btn" data-parent="${page.id}" title="Add subpage">+</button>
+                        <button class="duplicate-page-btn" data-page="${page.id}" title="Duplicate page">⧉</button>
+                        <button class="delete-page-btn" data-page="${page.id}" title="Delete page">×</button>
+                    </div>
+                </div>
+                ${hasChildren ? `
+                    <div class="subpages-list">
+                        ${renderSubpages(page.id)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    // Add event listeners
+    document.querySelectorAll('.page-item-name').forEach(item => {
+        item.addEventListener('click', (e) => {
+            loadPage(e.target.closest('[data-id]').dataset.id);
+        });
+    });
+
+    document.querySelectorAll('.favorite-page-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleFavorite(e.target.dataset.page);
+        });
+    });
+
+    document.querySelectorAll('.add-subpage-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const parentId = e.target.dataset.parent;
+            const parentPage = getPage(parentId);
+            const name = prompt(`Add subpage under ${parentPage.name}:`);
+            if (name) startNewPage(name, parentId);
+        });
+    });
+
+    document.querySelectorAll('.duplicate-page-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            duplicatePage(e.target.dataset.page);
+        });
+    });
+
+    document.querySelectorAll('.delete-page-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deletePage(e.target.dataset.page);
+        });
+    });
+
+    // Make page names editable
+    document.querySelectorAll('.page-item-name').forEach(item => {
+        item.contentEditable = true;
+        item.addEventListener('blur', (e) => {
+            const newName = e.target.textContent.trim();
+            const oldName = e.target.dataset.originalName || e.target.textContent.trim();
+            if (newName && newName !== oldName) {
+                if (!renamePage(e.target.closest('[data-id]').dataset.id, newName)) {
+                    e.target.textContent = oldName;
+                }
+            } else {
+                e.target.textContent = oldName;
+            }
+        });
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                e.target.blur();
+            }
+        });
+        item.dataset.originalName = item.textContent.trim();
+    });
+
+    // The calendar marks days that have a page, and the one being viewed
+    renderJournalCalendar();
+}
+
+function renderSubpages(parentId) {
+    const subpages = state.pages.filter(page => page.parentId === parentId);
+    return subpages.map(page => {
+        const isActive = page.id === state.currentPage;
+        const hasChildren = state.pages.some(p => p.parentId === page.id);
+        const isFavorite = state.favorites.includes(page.id);
+        
+        return `
+            <div class="subpage-item ${isActive ? 'active' : ''}" data-id="${page.id}">
+                <div class="page-item-main">
+                    <span class="page-item-icon">${isFavorite ? '★' : '📄'}</span>
+                    <span class="page-item-name">${escapeHTML(page.name)}</span>
+                    <div class="page-item-actions">
+                        <button class="favorite-page-btn" data-page="${page.id}" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+                            ${isFavorite ? '★' : '☆'}
+                        </button>
+                        <button class="add-subpage-btn" data-parent="${page.id}" title="Add subpage">+</button>
+                        <button class="duplicate-page-btn" data-page="${page.id}" title="Duplicate page">⧉</button>
+                        <button class="delete-page-btn" data-page="${page.id}" title="Delete page">×</button>
+                    </div>
+                </div>
+                ${hasChildren ? `
+                    <div class="subpages-list">
+                        ${renderSubpages(page.id)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderFavorites() {
+    elements.favoritesList.innerHTML = state.favorites.map(pageId => {
+        const page = getPage(pageId);
+        if (!page) return '';
+        
+        const isActive = page.id === state.currentPage;
+        return `
+            <div class="favorite-item ${isActive ? 'active' : ''}" data-id="${page.id}">
+                <span class="favorite-icon">★</span>
+                <span class="favorite-name">${escapeHTML(page.name)}</span>
+            </div>
+        `;
+    }).join('');
+
+    document.querySelectorAll('.favorite-item').forEach(item => {
+        item.addEventListener('click', () => loadPage(item.dataset.id));
+    });
+}
+
+function renderRecentPages() {
+    elements.recentList.innerHTML = state.recentPages.map(pageId => {
+        const page = getPage(pageId);
+        if (!page) return '';
+        
+        const isActive = page.id === state.currentPage;
+        return `
+            <div class="recent-item ${isActive ? 'active' : ''}" data-id="${page.id}">
+                <span class="recent-icon">🕒</span>
+                <span class="recent-name">${escapeHTML(page.name)}</span>
+            </div>
+        `;
+    }).join('');
+
+    document.querySelectorAll('.recent-item').forEach(item => {
+        item.addEventListener('click', () => loadPage(item.dataset.id));
+    });
+}
+
+function renderBlocks() {
+    renderJournalNav();
+    if (state.view) {
+        views[state.view].render();
+        return;
+    }
+
+    elements.blocksContainer.innerHTML = renderBlockTree(state.blocks);
+    setupDragAndDrop();
+    setupBlockEventListeners();
+    renderReferences();
+    applyBlockSelection();
+    renderSyncConflicts();
+    
+    // Initialize toggles; the open state is saved with the block but isn't an undo step
+    document.querySelectorAll('.toggle-header').forEach(header => {
+        header.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('block-content')) {
+                const blockElement = header.closest('.block');
+                const block = findBlock(blockElement.dataset.blockId);
+                const content = blockElement.querySelector(':scope > .toggle-content');
+                const icon = header.querySelector('.toggle-icon');
+                if (!block || !content) return;
+                block.open = !block.open;
+                content.style.display = block.open ? 'block' : 'none';
+                icon.textContent = block.open ? '▾' : '▸';
+                saveBlocks();
+            }
+        });
+    });
+    
+    document.querySelectorAll('.toggle-empty').forEach(placeholder => {
+        placeholder.addEventListener('click', () => {
+            addBlock('text', '', { parentId: placeholder.closest('.block').dataset.blockId });
+        });
+    });
+    
+    // Initialize image blocks
+    document.querySelectorAll('.upload-image-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/*';
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    const reader = new FileReader();
+                    reader.onload = (event) => {
+                        const blockId = btn.closest('.block').dataset.blockId;
+                        updateBlock(blockId, { content: event.target.result });
+                    };
+                    reader.readAsDataURL(file);
+                }
+            };
+            input.click();
+        });
+    });
+    
+    // Initialize embed blocks
+    document.querySelectorAll('.embed-input input').forEach(input => {
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                const url = e.target.value.trim();
+                if (url) {
+                    const blockId = input.closest('.block').dataset.blockId;
+                    updateBlock(blockId, { content: url });
+                }
+            }
+        });
+    });
+}
+
+function renderBlockTree(blocks) {
+    return blocks.map(block => {
+        if (block.type === 'column') return renderColumn(block);
+        const children = block.children || [];
+        const isToggle = block.type === 'toggle';
+        const childrenHTML = block.type === 'columns' ? `
+            <div class="columns-row">${children.map(renderColumn).join('')}</div>
+        ` : isToggle || children.length > 0 ? `
+            <div class="block-children ${isToggle ? 'toggle-content' : ''}" ${isToggle && !block.open ? 'style="display: none;"' : ''}>
+                ${renderBlockTree(children)}
+                ${isToggle && children.length === 0 ? '<div class="toggle-empty">Empty toggle. Click to add a block.</div>' : ''}
+            </div>
+        ` : '';
+
+        return `
+            <div class="block ${block.type} ${block.type === 'callout' ? `callout-${getCalloutColor(block)}` : ''}" 
+                 id="block-${block.id}" draggable="true" data-block-id="${block.id}">
+                <div class="block-row">
+                    <div class="block-controls">
+                        <span class="block-handle" title="Drag">☰</span>
+                        <span class="block-type-selector" title="Change type">⋯</span>
+                        <span class="copy-block-link-btn" title="Copy block link">🔗</span>
+                        <span class="delete-block-btn" title="Delete">×</span>
+                    </div>
+                    ${renderBlockContent(block)}
+                </div>
+                ${childrenHTML}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderBlockContent(block) {
+    const placeholder = {
+        text: 'Type / for commands',
+        h1: 'Heading 1',
+        h2: 'Heading 2',
+        h3: 'Heading 3',
+        todo: 'To-do item',
+        bullet: 'List item',
+        numbered: 'List item',
+        toggle: 'Toggle title',
+        quote: 'Quote',
+        callout: 'Callout',
+        divider: '',
+        code: 'Code goes here...',
+        image: 'Paste image URL or upload',
+        embed: 'Paste URL to embed',
+        database: '',
+        board: '',
+        math: 'LaTeX, e.g. e^{i\\pi} + 1 = 0',
+        diagram: 'graph TD; A[Start] --> B{Choice}',
+        columns: '',
+        synced: ''
+    }[block.type];
+
+    const content = block.content;
+    
+    let blockContent = '';
+    
+    if (block.type === 'divider') {
+        blockContent = '<div class="divider-line"></div>';
+    } else if (block.type === 'image') {
+        const src = sanitizeUrl(content, { allowDataImages: true });
+        blockContent = `
+            <div class="image-block">
+                ${src ? `<img src="${escapeHTML(src)}" alt="Image">` : ''}
+                <div class="image-upload">
+                    <button class="upload-image-btn">Upload image</button>
+                    <span>or paste image URL</span>
+                </div>
+            </div>
+        `;
+    } else if (block.type === 'embed') {
+        const src = sanitizeUrl(content);
+        blockContent = `
+            <div class="embed-block">
+                ${src ? `
+                    ${embedFrameHTML(src)}
+                    <div class="embed-url">${escapeHTML(content)}</div>
+                ` : ''}
+                <div class="embed-input">
+                    <input type="text" placeholder="Paste URL to embed (e.g., YouTube, Twitter)">
+                </div>
+            </div>
+        `;
+    } else if (block.type === 'database') {
+        blockContent = renderDatabase(block);
+    } else if (block.type === 'board') {
+        blockContent = `<div class="task-board">${renderTaskBoard()}</div>`;
+    } else if (block.type === 'code') {
+        blockContent = renderCodeBlock(block, placeholder);
+    } else if (SOURCE_BLOCK_RENDERERS[block.type]) {
+        blockContent = renderSourceBlock(block, placeholder);
+    } else if (block.type === 'columns') {
+        blockContent = `
+            <div class="columns-toolbar">
+                <button class="add-column-btn" title="Add column">+ Column</button>
+            </div>
+        `;
+    } else if (block.type === 'synced') {
+        blockContent = renderSyncedBlock(block);
+    } else if (block.type === 'callout') {
+        blockContent = `
+            <button class="callout-icon" title="Change icon and color">${escapeHTML(block.icon || CALLOUT_ICONS[0])}</button>
+            <div class="block-content" id="${block.id}" 
+                 contenteditable="true" data-placeholder="${placeholder}">${runsToHTML(content)}</div>
+        `;
+    } else if (block.type === 'todo') {
+        blockContent = `
+            <input type="checkbox" class="todo-checkbox" ${block.checked ? 'checked' : ''}>
+            <div class="block-content todo-text" id="${block.id}" 
+                 contenteditable="true" data-placeholder="${placeholder}">${runsToHTML(content)}</div>
+            ${dueBadgeHTML(block)}
+        `;
+    } else if (block.type === 'toggle') {
+        blockContent = `
+            <div class="toggle-header">
+                <span class="toggle-icon">${block.open ? '▾' : '▸'}</span>
+                <div class="block-content toggle-title" id="${block.id}" 
+                     contenteditable="true" data-placeholder="${placeholder}">${runsToHTML(content)}</div>
+            </div>
+        `;
+    } else {
+        blockContent = `
+            <div class="block-content" id="${block.id}" 
+                 contenteditable="true" data-placeholder="${placeholder}">${runsToHTML(content)}</div>
+        `;
+    }
+
+    return blockContent;
+}
+
+// Block management
+// Blocks form a tree: every block owns a `children` array of nested blocks.
+// Text block content may be given as plain text and is stored as runs
+function createBlock(type, content = '', children = []) {
+    state.lastBlockType = type;
+    return withDueDate({
+        id: generateId(),
+        type,
+        content: isRichText(type) && typeof content === 'string' ? textToRuns(content) : content,
+        children,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+function findBlockLocation(id, blocks = state.blocks, parent = null) {
+    for (let index = 0; index < blocks.length; index++) {
+        const block = blocks[index];
+        if (block.id === id) return { block, siblings: blocks, index, parent };
+        const found = findBlockLocation(id, block.children || [], block);
+        if (found) return found;
+    }
+    return null;
+}
+
+function findBlock(id, blocks = state.blocks) {
+    return findBlockLocation(id, blocks)?.block || null;
+}
+
+// Blocks in reading order, skipping the children of collapsed toggles and
+// column layouts themselves (their columns are read one after another)
+function getVisibleBlocks(blocks = state.blocks) {
+    return blocks.flatMap(block => [
+        ...(isLayoutBlock(block) ? [] : [block]),
+        ...(block.type === 'toggle' && !block.open ? [] : getVisibleBlocks(block.children || []))
+    ]);
+}
+
+function containsBlock(ancestor, id) {
+    return (ancestor.children || []).some(child => child.id === id || containsBlock(child, id));
+}
+
+// Deep copy with fresh ids for the block and its whole subtree; `idMap`
+// collects old id -> new id when links to the blocks need to follow
+function cloneBlockTree(block, idMap = null) {
+    const id = generateId();
+    idMap?.set(block.id, id);
+    return {
+        ...block,
+        id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        children: (block.children || []).map(child => cloneBlockTree(child, idMap))
+    };
+}
+
+// Rewrites page and block ids found in `idMap` wherever content refers to
+// them: page runs, #page=...&block=... links and database page cells
+function remapBlockIds(blocks, idMap) {
+    const remap = (content) => typeof content !== 'string' ? content : content
+        .replace(/(data-page-id="|#page=|&amp;block=|&block=)([^"&\s<]+)/g, (match, prefix, id) =>
+            idMap.has(id) ? `${prefix}${idMap.get(id)}` : match);
+    const remapRun = (run) => ({
+        ...run,
+        ...(run.pageId && idMap.has(run.pageId) ? { pageId: idMap.get(run.pageId) } : {}),
+        ...(run.link ? { link: remap(run.link) } : {})
+    });
+    // Database page cells hold page ids directly
+    const remapDatabase = (database) => {
+        const pageColumns = database.columns.filter(column => column.type === 'page').map(column => column.id);
+        return {
+            ...database,
+            rows: database.rows.map(row => ({
+                ...row,
+                cells: Object.fromEntries(Object.entries(row.cells).map(([columnId, value]) =>
+                    [columnId, pageColumns.includes(columnId) && idMap.has(value) ? idMap.get(value) : value]))
+            }))
+        };
+    };
+    const remapContent = (block) => {
+        if (Array.isArray(block.content)) return block.content.map(remapRun);
+        if (block.type === 'synced' && block.content) {
+            const { pageId, blockId } = block.content;
+            return { pageId: idMap.get(pageId) || pageId, blockId: idMap.get(blockId) || blockId };
+        }
+        if (block.type === 'database') return remapDatabase(block.content);
+        return remap(block.content);
+    };
+    return blocks.map(block => ({
+        ...block,
+        content: remapContent(block),
+        children: remapBlockIds(block.children || [], idMap)
+    }));
+}
+
+// Blocks used to be a flat list with an `indent` level (0-4). Each block
+// becomes a child of the closest preceding block with a smaller indent.
+function nestBlocks(flatBlocks) {
+    const root = [];
+    const stack = [{ indent: -1, children: root }];
+
+    flatBlocks.forEach(({ indent = 0, ...block }) => {
+        const node = {
+            ...block,
+            id: block.id || generateId(),
+            type: block.type || 'text',
+            content: block.content ?? '',
+            children: nestBlocks(block.children || [])
+        };
+        while (stack[stack.length - 1].indent >= indent) stack.pop();
+        stack[stack.length - 1].children.push(node);
+        stack.push({ indent, children: node.children });
+    });
+    return root;
+}
+
+function migrateBlockTree() {
+    if (storageGet('blockTreeMigrated')) return;
+    state.pages.forEach(page => {
+        const blocks = storageGet(`page-${page.id}`);
+        if (blocks) storageSet(`page-${page.id}`, nestBlocks(blocks));
+    });
+    storageSet('blockTreeMigrated', true);
+}
+
+// Expand any collapsed toggles around a block so it can be shown
+function revealBlock(id) {
+    let location = findBlockLocation(id);
+    let expanded = false;
+    while (location?.parent) {
+        if (location.parent.type === 'toggle' && !location.parent.open) {
+            location.parent.open = true;
+            expanded = true;
+        }
+        location = findBlockLocation(location.parent.id);
+    }
+    if (expanded) {
+        saveBlocks();
+        renderBlocks();
+    }
+}
+
+// New blocks go after `afterId`, or at the end of `parentId`'s children (the page when null)
+function addBlock(type, content = '', { afterId = null, parentId = null, asFirstChild = false, children = [] } = {}) {
+    recordHistory('Add block');
+    const newBlock = createBlock(type, content, children);
+
+    const after = afterId && findBlockLocation(afterId);
+    const parent = parentId && findBlock(parentId);
+    if (after && asFirstChild) {
+        after.block.children = [newBlock, ...(after.block.children || [])];
+    } else if (after) {
+        after.siblings.splice(after.index + 1, 0, newBlock);
+    } else if (parent) {
+        parent.children = [...(parent.children || []), newBlock];
+    } else {
+        state.blocks.push(newBlock);
+    }
+
+    saveBlocks();
+    renderBlocks();
+    setTimeout(() => document.getElementById(newBlock.id)?.focus(), 0);
+    return newBlock;
+}
+
+function updateBlock(id, updates, { coalesce = false } = {}) {
+    const location = findBlockLocation(id);
+    if (location) {
+        recordHistory(coalesce ? 'Typing' : 'Edit block', {
+            blockId: id,
+            coalesce: coalesce ? 'typing' : null
+        });
+        updates.updatedAt = new Date().toISOString();
+        const block = withDueDate({ ...location.block, ...updates });
+        location.siblings[location.index] = block;
+        saveBlocks();
+        
+        // For immediate feedback on certain block types
+        if (updates.content && ['image', 'embed'].includes(block.type)) {
+            renderBlocks();
+        }
+    }
+}
+
+// Deletes the block with its subtree; `keepChildren` lifts the children into its place instead
+function deleteBlock(id, { keepChildren = false } = {}) {
+    const location = findBlockLocation(id);
+    if (location) {
+        const visible = getVisibleBlocks();
+        const visibleIndex = visible.findIndex(b => b.id === id);
+
+        const lifted = keepChildren ? location.block.children || [] : [];
+        const trashed = keepChildren ? { ...location.block, children: [] } : location.block;
+        recordHistory('Delete block', { blockId: id, trash: !isBlankBlock(trashed) });
+        trashBlock(trashed, location);
+        location.siblings.splice(location.index, 1, ...lifted);
+        saveBlocks();
+        renderBlocks();
+
+        const remaining = getVisibleBlocks();
+        if (remaining.length > 0) {
+            setTimeout(() => navigateToBlock(Math.max(0, Math.min(visibleIndex - 1, remaining.length - 1))), 0);
+        }
+    }
+}
+
+function duplicateBlock(id) {
+    const location = findBlockLocation(id);
+    if (location) {
+        recordHistory('Duplicate block', { blockId: id });
+        const newBlock = cloneBlockTree(location.block);
+        location.siblings.splice(location.index + 1, 0, newBlock);
+        saveBlocks();
+        renderBlocks();
+        setTimeout(() => document.getElementById(newBlock.id)?.focus(), 0);
+    }
+}
+
+// Tab: become the last child of the previous sibling
+function indentBlock(id) {
+    const location = findBlockLocation(id);
+    if (!location || location.index === 0) return false;
+
+    recordHistory('Indent block', { blockId: id });
+    let newParent = location.siblings[location.index - 1];
+    // Blocks indented under a column layout join its last column
+    if (newParent.type === 'columns') newParent = newParent.children[newParent.children.length - 1];
+    location.siblings.splice(location.index, 1);
+    newParent.children = [...(newParent.children || []), location.block];
+    if (newParent.type === 'toggle') newParent.open = true;
+    saveBlocks();
+    renderBlocks();
+    return true;
+}
+
+// Shift+Tab: move after the parent. Following siblings become children of the
+// block so the visual order of the page doesn't change.
+function outdentBlock(id) {
+    const location = findBlockLocation(id);
+    // Blocks leave a column by dragging, not by outdenting out of the layout
+    if (!location || !location.parent || location.parent.type === 'column') return false;
+
+    recordHistory('Outdent block', { blockId: id });
+    const parentLocation = findBlockLocation(location.parent.id);
+    const following = location.siblings.splice(location.index + 1);
+    location.siblings.splice(location.index, 1);
+    location.block.children = [...(location.block.children || []), ...following];
+    parentLocation.siblings.splice(parentLocation.index + 1, 0, location.block);
+    saveBlocks();
+    renderBlocks();
+    return true;
+}
+
+// Appends the source block's text to the target and removes the source;
+// the source's children take its place
+function mergeBlocks(targetId, sourceId) {
+    const target = findBlockLocation(targetId);
+    const source = findBlockLocation(sourceId);
+    if (!target || !source || targetId === sourceId || containsBlock(source.block, targetId)) return false;
+
+    recordHistory('Merge blocks', { blockId: targetId });
+    target.siblings[target.index] = withDueDate({
+        ...target.block,
+        content: normalizeRuns([...target.block.content, ...source.block.content]),
+        updatedAt: new Date().toISOString()
+    });
+    const location = findBlockLocation(sourceId);
+    location.siblings.splice(location.index, 1, ...(location.block.children || []));
+    saveBlocks();
+    renderBlocks();
+    return true;
+}
+
+// Move a block with its subtree before `beforeId`, or to the end of
+// `parentId`'s children (the page when null)
+function moveBlock(id, beforeId = null, parentId = null) {
+    const location = findBlockLocation(id);
+    if (!location || id === beforeId || (beforeId && containsBlock(location.block, beforeId))) return false;
+    if (parentId && (parentId === id || containsBlock(location.block, parentId))) return false;
+
+    recordHistory('Move block', { blockId: id });
+    location.siblings.splice(location.index, 1);
+    const target = beforeId && findBlockLocation(beforeId);
+    const parent = parentId && findBlock(parentId);
+    if (target) {
+        target.siblings.splice(target.index, 0, location.block);
+    } else if (parent) {
+        parent.children = [...(parent.children || []), location.block];
+    } else {
+        state.blocks.push(location.block);
+    }
+    saveBlocks();
+    renderBlocks();
+    return true;
+}
+
+registerCommand({ id: 'block.turnInto', title: 'Turn block into…', category: 'Block', icon: '⇄',
+    description: 'Change the type of the focused block', keywords: ['convert', 'change type'], when: ({ blockId }) => Boolean(blockId),
+    run: ({ blockId }) => showBlockTypeMenu(blockId, document.getElementById(blockId) || document.getElementById(`block-${blockId}`)) });
+registerCommand({ id: 'block.duplicate', title: 'Duplicate block', category: 'Block', icon: '⧉',
+    description: 'Copy the focused block below itself', keywords: ['copy block'], when: ({ blockId }) => Boolean(blockId),
+    run: ({ blockId }) => duplicateBlock(blockId) });
+registerCommand({ id: 'block.copyLink', title: 'Copy link to block', category: 'Block', icon: '🔗',
+    description: 'Copy a link that opens this block', keywords: ['share'], when: ({ blockId }) => Boolean(blockId),
+    run: ({ blockId }) => copyBlockLink(blockId) });
+registerCommand({ id: 'block.delete', title: 'Delete block', category: 'Block', icon: '🗑',
+    description: 'Move the focused block to the trash', keywords: ['remove'], when: ({ blockId }) => Boolean(blockId),
+    run: ({ blockId }) => deleteBlock(blockId) });
+
+// Block selection
+// A range of visible blocks selected with Shift+click, Shift+Arrow or a
+// marquee drag. Bulk operations act on the selected roots: selected blocks
+// whose parent isn't selected, each taken with its subtree.
+const blockSelection = {
+    ids: [],
+    anchorId: null,
+    focusId: null
+};
+
+function selectBlockRange(anchorId, focusId) {
+    const visible = getVisibleBlocks().map(block => block.id);
+    const from = visible.indexOf(anchorId);
+    const to = visible.indexOf(focusId);
+    if (from === -1 || to === -1) return;
+
+    blockSelection.anchorId = anchorId;
+    blockSelection.focusId = focusId;
+    blockSelection.ids = visible.slice(Math.min(from, to), Math.max(from, to) + 1);
+    // Keys go to the selection rather than an editor
+    document.activeElement?.closest?.('.block')?.querySelector('.block-content')?.blur();
+    window.getSelection()?.removeAllRanges();
+    applyBlockSelection();
+}
+
+function clearBlockSelection() {
+    if (blockSelection.ids.length === 0) return;
+    blockSelection.ids = [];
+    blockSelection.anchorId = null;
+    blockSelection.focusId = null;
+    applyBlockSelection();
+}
+
+// Marks selected blocks after renders; ids no longer on the page are dropped
+function applyBlockSelection() {
+    const visible = new Set(getVisibleBlocks().map(block => block.id));
+    blockSelection.ids = blockSelection.ids.filter(id => visible.has(id));
+    if (!blockSelection.ids.includes(blockSelection.anchorId) || !blockSelection.ids.includes(blockSelection.focusId)) {
+        blockSelection.anchorId = blockSelection.ids[0] || null;
+        blockSelection.focusId = blockSelection.ids[blockSelection.ids.length - 1] || null;
+    }
+    document.querySelectorAll('.block.selected').forEach(el => el.classList.remove('selected'));
+    blockSelection.ids.forEach(id => document.getElementById(`block-${id}`)?.classList.add('selected'));
+    renderSelectionToolbar();
+}
+
+function getSelectionRoots() {
+    const selected = new Set(blockSelection.ids);
+    const roots = [];
+    const walk = (blocks) => blocks.forEach(block => {
+        if (selected.has(block.id)) {
+            roots.push(block);
+        } else {
+            walk(block.children || []);
+        }
+    });
+    walk(state.blocks);
+    return roots;
+}
+
+function extendBlockSelection(step) {
+    const visible = getVisibleBlocks().map(block => block.id);
+    const focusIndex = visible.indexOf(blockSelection.focusId);
+    const next = visible[Math.max(0, Math.min(visible.length - 1, focusIndex + step))];
+    if (next) selectBlockRange(blockSelection.anchorId, next);
+}
+
+function selectBlocksByIds(ids) {
+    const visible = getVisibleBlocks().map(block => block.id).filter(id => ids.includes(id));
+    if (visible.length === 0) {
+        clearBlockSelection();
+        return;
+    }
+    selectBlockRange(visible[0], visible[visible.length - 1]);
+}
+
+// Bulk operations
+function deleteSelectedBlocks() {
+    const roots = getSelectionRoots();
+    if (roots.length === 0) return;
+    const firstIndex = getVisibleBlocks().findIndex(block => block.id === roots[0].id);
+
+    transact('Delete blocks', { blockId: roots[0].id, trash: true }, () => {
+        roots.forEach(block => {
+            const location = findBlockLocation(block.id);
+            trashBlock(location.block, location);
+            location.siblings.splice(location.index, 1);
+        });
+        if (state.blocks.length === 0) state.blocks.push(createBlock('text'));
+        saveBlocks();
+        clearBlockSelection();
+        renderBlocks();
+    });
+    setTimeout(() => navigateToBlock(Math.max(0, firstIndex - 1)), 0);
+}
+
+// Copies go after the last selected block, in their original order
+function duplicateSelectedBlocks() {
+    const roots = getSelectionRoots();
+    if (roots.length === 0) return;
+
+    const copies = roots.map(block => cloneBlockTree(block));
+    transact('Duplicate blocks', { blockId: roots[0].id }, () => {
+        const last = findBlockLocation(roots[roots.length - 1].id);
+        last.siblings.splice(last.index + 1, 0, ...copies);
+        saveBlocks();
+        renderBlocks();
+    });
+    selectBlocksByIds(copies.map(block => block.id));
+}
+
+function indentSelectedBlocks() {
+    const roots = getSelectionRoots();
+    transact('Indent blocks', { blockId: roots[0]?.id }, () => {
+        roots.forEach(block => indentBlock(block.id));
+    });
+    applyBlockSelection();
+}
+
+// Outdenting last to first keeps later selected blocks from being adopted
+// as children by the ones before them (see outdentBlock)
+function outdentSelectedBlocks() {
+    const roots = getSelectionRoots();
+    transact('Outdent blocks', { blockId: roots[0]?.id }, () => {
+        [...roots].reverse().forEach(block => outdentBlock(block.id));
+    });
+    applyBlockSelection();
+}
+
+function moveSelectedBlocks(beforeId, parentId = null) {
+    const roots = getSelectionRoots();
+    const target = beforeId || parentId;
+    if (target && roots.some(block => block.id === target || containsBlock(block, target))) return;
+
+    transact('Move blocks', { blockId: roots[0]?.id }, () => {
+        roots.forEach(block => moveBlock(block.id, beforeId, parentId));
+    });
+    applyBlockSelection();
+}
+
+// Alt+Up/Down swaps the selection with the sibling before or after it
+function shiftSelectedBlocks(direction) {
+    const roots = getSelectionRoots();
+    const first = roots[0] && findBlockLocation(roots[0].id);
+    if (!first || roots.some(block => !first.siblings.includes(block))) return;
+
+    const indexes = roots.map(block => first.siblings.indexOf(block));
+    const start = Math.min(...indexes);
+    const end = Math.max(...indexes);
+    if (end - start + 1 !== roots.length) return;
+    const neighbourIndex = direction < 0 ? start - 1 : end + 1;
+    if (neighbourIndex < 0 || neighbourIndex >= first.siblings.length) return;
+
+    transact('Move blocks', { blockId: roots[0].id }, () => {
+        const [neighbour] = first.siblings.splice(neighbourIndex, 1);
+        first.siblings.splice(direction < 0 ? end : start, 0, neighbour);
+        saveBlocks();
+        renderBlocks();
+    });
+}
+
+// Column layouts aren't converted: turning blocks into columns lays them out
+// side by side, and turning a layout into anything else unwraps it
+function turnBlocksInto(ids, type) {
+    if (type === 'columns') {
+        wrapInColumns(ids);
+        return;
+    }
+    transact('Turn into', { blockId: ids[0] }, () => {
+        ids.forEach(id => {
+            const block = findBlock(id);
+            if (block?.type === 'columns') {
+                unwrapColumns(id);
+            } else if (block && block.type !== type) {
+                updateBlock(id, { type, content: convertBlockContent(block, type) });
+            }
+        });
+        renderBlocks();
+    });
+}
+
+function copySelectedBlocks(format) {
+    const roots = getSelectionRoots();
+    if (roots.length === 0) return;
+    const text = format === 'markdown' ?
+        blocksToMarkdown(roots) :
+        flattenBlocksWithDepth(roots).map(({ block, depth }) => '    '.repeat(depth) + getBlockText(block)).join('\n');
+    navigator.clipboard.writeText(text).then(() => {
+        showToast(`Copied ${roots.length} block${roots.length === 1 ? '' : 's'} as ${format === 'markdown' ? 'Markdown' : 'text'}`);
+    }).catch(() => showToast('Could not copy to clipboard'));
+}
+
+function moveSelectedBlocksToPage() {
+    const roots = getSelectionRoots();
+    if (roots.length === 0) return;
+    const name = prompt(`Move ${roots.length} block${roots.length === 1 ? '' : 's'} to page:`)?.trim();
+    if (!name) return;
+    const target = getPageByName(name);
+    if (!target) {
+        showToast(`No page named "${name}"`);
+        return;
+    }
+    if (target.id === state.currentPage) return;
+
+    transact('Move to page', { blockId: roots[0].id, pageIds: [target.id] }, () => {
+        roots.forEach(block => {
+            const location = findBlockLocation(block.id);
+            location.siblings.splice(location.index, 1);
+        });
+        if (state.blocks.length === 0) state.blocks.push(createBlock('text'));
+        const targetBlocks = storageGet(`page-${target.id}`, []);
+        storageSet(`page-${target.id}`, [...targetBlocks, ...roots]);
+        invalidateSearchIndex(target.id);
+        invalidateLinkIndex(target.id);
+        saveBlocks();
+        clearBlockSelection();
+        renderBlocks();
+    });
+    showToast(`Moved ${roots.length} block${roots.length === 1 ? '' : 's'} to ${target.name}`);
+}
+
+function renderSelectionToolbar() {
+    let toolbar = document.getElementById('selection-toolbar');
+    if (blockSelection.ids.length === 0) {
+        toolbar?.remove();
+        return;
+    }
+    if (!toolbar) {
+        toolbar = document.createElement('div');
+        toolbar.id = 'selection-toolbar';
+        toolbar.className = 'selection-toolbar';
+        // Keep the selection when the toolbar is clicked
+        toolbar.addEventListener('mousedown', (e) => e.stopPropagation());
+        toolbar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            const actions = {
+                'turn-into': () => showBlockTypeMenu(blockSelection.ids[0], e.target, blockSelection.ids),
+                duplicate: duplicateSelectedBlocks,
+                indent: indentSelectedBlocks,
+                outdent: outdentSelectedBlocks,
+                'copy-markdown': () => copySelectedBlocks('markdown'),
+                'copy-text': () => copySelectedBlocks('text'),
+                'move-to-page': moveSelectedBlocksToPage,
+                delete: deleteSelectedBlocks,
+                clear: clearBlockSelection
+            };
+            actions[action]?.();
+        });
+        document.body.appendChild(toolbar);
+    }
+    const count = blockSelection.ids.length;
+    toolbar.innerHTML = `
+        <span class="selection-count">${count} block${count === 1 ? '' : 's'} selected</span>
+        <button data-action="turn-into" title="Change the type of the selected blocks">Turn into</button>
+        <button data-action="duplicate" title="${getShortcutLabel('selection.duplicate')}">Duplicate</button>
+        <button data-action="indent" title="${getShortcutLabel('selection.indent')}">Indent</button>
+        <button data-action="outdent" title="${getShortcutLabel('selection.outdent')}">Outdent</button>
+        <button data-action="copy-markdown" title="${getShortcutLabel('selection.copy')}">Copy as Markdown</button>
+        <button data-action="copy-text" title="${getShortcutLabel('selection.copyText')}">Copy as text</button>
+        <button data-action="move-to-page">Move to page</button>
+        <button data-action="delete" title="${getShortcutLabel('selection.delete')}">Delete</button>
+        <button data-action="clear" title="${getShortcutLabel('selection.clear')}">×</button>
+    `;
+}
+
+// Plain arrows drop the selection and continue editing above or below it
+function leaveSelection(step) {
+    const visible = getVisibleBlocks().map(block => block.id);
+    const indexes = blockSelection.ids.map(id => visible.indexOf(id));
+    const target = step < 0 ? Math.min(...indexes) - 1 : Math.max(...indexes) + 1;
+    clearBlockSelection();
+    navigateToBlock(Math.max(0, Math.min(visible.length - 1, target)));
+}
+
+// Shift+click selects from the focused (or anchor) block to the clicked one; a
+// drag started outside any editor draws a marquee over the blocks it touches
+function setupBlockSelection() {
+    document.addEventListener('mousedown', (e) => {
+        const main = e.target.closest?.('.main-content');
+        if (!main || e.button !== 0 || state.view) return;
+        const clicked = e.target.closest('.block');
+
+        if (e.shiftKey && clicked) {
+            const anchorId = blockSelection.anchorId || getFocusedBlockId();
+            if (anchorId) {
+                e.preventDefault();
+                selectBlockRange(anchorId, clicked.dataset.blockId);
+            }
+            return;
+        }
+        // Dragging a selected block by its handle moves the whole selection
+        if (clicked?.classList.contains('selected') && e.target.closest('.block-handle')) return;
+        clearBlockSelection();
+        if (e.target.matches('.main-content, .blocks-container, .block, .block-row, .block-children')) {
+            startMarquee(e);
+        }
+    });
+}
+
+function startMarquee(startEvent) {
+    const start = { x: startEvent.clientX, y: startEvent.clientY };
+    let marquee = null;
+
+    const onMove = (e) => {
+        if (!marquee) {
+            // Small movements are clicks
+            if (Math.abs(e.clientX - start.x) + Math.abs(e.clientY - start.y) < 5) return;
+            marquee = document.createElement('div');
+            marquee.className = 'selection-marquee';
+            document.body.appendChild(marquee);
+        }
+        e.preventDefault();
+        const rect = {
+            left: Math.min(start.x, e.clientX),
+            top: Math.min(start.y, e.clientY),
+            right: Math.max(start.x, e.clientX),
+            bottom: Math.max(start.y, e.clientY)
+        };
+        Object.assign(marquee.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`
+        });
+        const ids = getVisibleBlocks().map(block => block.id).filter(id => {
+            const row = document.querySelector(`#block-${id} > .block-row`);
+            const box = row?.getBoundingClientRect();
+            return box && box.top < rect.bottom && box.bottom > rect.top && box.left < rect.right && box.right > rect.left;
+        });
+        if (ids.length) {
+            selectBlocksByIds(ids);
+        } else {
+            clearBlockSelection();
+        }
+    };
+    const onUp = () => {
+        marquee?.remove();
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
+registerCommand({ id: 'selection.duplicate', title: 'Duplicate selected blocks', category: 'Selection', icon: '⧉',
+    when: ({ selectedIds }) => selectedIds.length > 0, run: () => duplicateSelectedBlocks() });
+registerCommand({ id: 'selection.copy', title: 'Copy selected blocks as Markdown', category: 'Selection', icon: '⎘',
+    when: ({ selectedIds }) => selectedIds.length > 0, run: () => copySelectedBlocks('markdown') });
+registerCommand({ id: 'selection.copyText', title: 'Copy selected blocks as text', category: 'Selection', icon: '⎘',
+    when: ({ selectedIds }) => selectedIds.length > 0, run: () => copySelectedBlocks('text') });
+registerCommand({ id: 'selection.moveToPage', title: 'Move selected blocks to page', category: 'Selection', icon: '↪',
+    when: ({ selectedIds }) => selectedIds.length > 0, run: () => moveSelectedBlocksToPage() });
+registerCommand({ id: 'selection.delete', title: 'Delete selected blocks', category: 'Selection', icon: '🗑',
+    when: ({ selectedIds }) => selectedIds.length > 0, run: () => deleteSelectedBlocks() });
+
+// Rich text
+// Text blocks store their content as runs: { text, marks, link, pageId, missingPage }.
+// The editor's DOM is read back into runs on input, so stored content never holds markup.
+const RICH_TEXT_TYPES = ['text', 'h1', 'h2', 'h3', 'todo', 'bullet', 'numbered', 'toggle', 'quote', 'callout'];
+const INLINE_MARKS = ['bold', 'italic', 'underline', 'strike', 'code'];
+const MARK_TAGS = { bold: 'strong', italic: 'em', underline: 'u', strike: 'del', code: 'code' };
+const TAG_MARKS = { strong: 'bold', b: 'bold', em: 'italic', i: 'italic', u: 'underline', del: 'strike', s: 'strike', strike: 'strike', code: 'code' };
+
+function isRichText(type) {
+    return RICH_TEXT_TYPES.includes(type);
+}
+
+function textToRuns(text) {
+    return text ? [{ text }] : [];
+}
+
+function runsToText(runs) {
+    return (runs || []).map(run => run.text).join('');
+}
+
+function sameRunFormat(a, b) {
+    return (a.marks || []).join() === (b.marks || []).join() && a.link === b.link;
+}
+
+// Drop empty runs, put marks in a fixed order and merge neighbours with the same format.
+// Page links stay separate runs so each one keeps its own target.
+function normalizeRuns(runs) {
+    const normalized = [];
+    (runs || []).forEach(run => {
+        if (!run || typeof run.text !== 'string' || !run.text) return;
+        const next = { text: run.text };
+        const marks = INLINE_MARKS.filter(mark => run.marks?.includes(mark));
+        if (marks.length) next.marks = marks;
+        if (run.pageId) next.pageId = run.pageId;
+        else if (run.missingPage) next.missingPage = true;
+        else if (run.link) next.link = run.link;
+
+        const last = normalized[normalized.length - 1];
+        if (last && !last.pageId && !last.missingPage && !next.pageId && !next.missingPage && sameRunFormat(last, next)) {
+            last.text += next.text;
+        } else {
+            normalized.push(next);
+        }
+    });
+    return normalized;
+}
+
+function runsToHTML(runs) {
+    const html = (runs || []).map(run => {
+        let inner;
+        if (run.pageId || run.missingPage) {
+            // Page links always show the page's current name
+            const page = run.pageId ? getPage(run.pageId) : getPageByName(run.text);
+            inner = page ? pageLinkHTML(page) : missingPageLinkHTML(run.text);
+        } else {
+            inner = run.link || run.marks?.includes('code') ?
+                escapeHTML(run.text).replace(/\n/g, '<br>') : inlineMathHTML(run.text);
+            const href = run.link && sanitizeUrl(run.link);
+            if (href) {
+                const isInternal = href.startsWith('#') || href.startsWith(`${window.location.origin}${window.location.pathname}#`);
+                inner = isInternal ?
+                    `<a href="${escapeHTML(href)}" class="internal-link">${inner}</a>` :
+                    `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${inner}</a>`;
+            }
+        }
+        return (run.marks || []).reduceRight((wrapped, mark) =>
+            `<${MARK_TAGS[mark]}>${wrapped}</${MARK_TAGS[mark]}>`, inner);
+    }).join('');
+    // A trailing line break only shows up when it is followed by another one
+    return runs?.length && runs[runs.length - 1].text.endsWith('\n') ? `${html}<br>` : html;
+}
+
+function domToRuns(root, { keepTrailingBreak = false } = {}) {
+    const runs = [];
+    const walk = (node, format) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            runs.push({ ...format, text: node.textContent });
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'br') {
+            runs.push({ text: '\n' });
+            return;
+        }
+        if (node.classList.contains('inline-math')) {
+            runs.push({ ...format, text: node.dataset.math || node.textContent });
+            return;
+        }
+        // Browsers wrap new lines in <div> or <p> while editing
+        if ((tag === 'div' || tag === 'p') && node.previousSibling) runs.push({ text: '\n' });
+
+        const marks = TAG_MARKS[tag] ? [...(format.marks || []), TAG_MARKS[tag]] : format.marks;
+        if (tag === 'a' && node.dataset.pageId) {
+            runs.push({ marks, pageId: node.dataset.pageId, text: node.textContent });
+            return;
+        }
+        if (tag === 'a' && node.dataset.missingPage !== undefined) {
+            runs.push({ marks, missingPage: true, text: node.dataset.missingPage || node.textContent });
+            return;
+        }
+        const link = tag === 'a' ? sanitizeUrl(node.getAttribute('href') || '') || format.link : format.link;
+        node.childNodes.forEach(child => walk(child, { marks, link }));
+    };
+    root.childNodes.forEach(child => walk(child, {}));
+
+    // Drop the placeholder <br> browsers keep at the end of editable content
+    const normalized = normalizeRuns(runs);
+    const last = normalized[normalized.length - 1];
+    if (!keepTrailingBreak && last?.text.endsWith('\n') && !last.pageId && !last.missingPage) {
+        last.text = last.text.slice(0, -1);
+        if (!last.text) normalized.pop();
+    }
+    return normalized;
+}
+
+// Parse without a live document so images and handlers in content never run
+function htmlToRuns(html) {
+    return domToRuns(new DOMParser().parseFromString(`<!doctype html><body>${html}`, 'text/html').body);
+}
+
+// Turn typed [[Page Name]] references into page link runs
+function linkRunReferences(runs) {
+    return normalizeRuns(runs.flatMap(run => {
+        if (run.pageId || run.missingPage || run.link || run.marks?.includes('code')) return [run];
+        return run.text.split(/(\[\[[^\]]+\]\])/).map(part => {
+            const name = part.match(/^\[\[([^\]]+)\]\]$/)?.[1].trim();
+            if (!name) return { ...run, text: part };
+            const page = getPageByName(name);
+            return page ?
+                { marks: run.marks, pageId: page.id, text: page.name } :
+                { marks: run.marks, missingPage: true, text: name };
+        });
+    }));
+}
+
+function readEditorRuns(element) {
+    return linkRunReferences(domToRuns(element));
+}
+
+// Runs covering the text between two offsets
+function sliceRuns(runs, start, end = Infinity) {
+    const sliced = [];
+    let position = 0;
+    runs.forEach(run => {
+        const runStart = position;
+        position += run.text.length;
+        const from = Math.max(start, runStart);
+        const to = Math.min(end, position);
+        if (from < to) sliced.push({ ...run, text: run.text.slice(from - runStart, to - runStart) });
+    });
+    return normalizeRuns(sliced);
+}
+
+// Adds the mark to the range, or removes it when the whole range already has it
+function toggleMark(runs, start, end, mark) {
+    const selected = sliceRuns(runs, start, end);
+    const active = selected.length > 0 && selected.every(run => run.marks?.includes(mark));
+    const updated = selected.map(run => ({
+        ...run,
+        marks: active ? run.marks.filter(m => m !== mark) : [...(run.marks || []), mark]
+    }));
+    return normalizeRuns([...sliceRuns(runs, 0, start), ...updated, ...sliceRuns(runs, end)]);
+}
+
+// Selection as offsets into the text of an editable block
+function getSelectionOffsets(element) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !element.contains(selection.anchorNode)) return null;
+    const range = selection.getRangeAt(0);
+    const offsetOf = (container, offset) => {
+        const before = document.createRange();
+        before.selectNodeContents(element);
+        before.setEnd(container, offset);
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(before.cloneContents());
+        return runsToText(domToRuns(wrapper, { keepTrailingBreak: true })).length;
+    };
+    return { start: offsetOf(range.startContainer, range.startOffset), end: offsetOf(range.endContainer, range.endOffset) };
+}
+
+function setSelectionOffsets(element, start, end = start) {
+    const locate = (offset) => {
+        let remaining = offset;
+        // Inline math counts as its source text and the caret can't go inside it
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, {
+            acceptNode: (node) => node.parentElement?.closest('.inline-math') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+        const before = (node) => [node.parentNode, [...node.parentNode.childNodes].indexOf(node)];
+        let node;
+        while ((node = walker.nextNode())) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (remaining <= node.textContent.length) return [node, remaining];
+                remaining -= node.textContent.length;
+            } else if (node.tagName === 'BR') {
+                if (remaining === 0) return before(node);
+                remaining--;
+            } else if (node.classList.contains('inline-math')) {
+                const length = node.dataset.math.length;
+                if (remaining === 0) return before(node);
+                if (remaining < length) return [node.parentNode, before(node)[1] + 1];
+                remaining -= length;
+            }
+        }
+        return [element, element.childNodes.length];
+    };
+    const range = document.createRange();
+    range.setStart(...locate(start));
+    range.setEnd(...locate(end));
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function focusBlockAt(blockId, start, end = start) {
+    const element = document.getElementById(blockId);
+    if (!element) return;
+    element.focus();
+    setSelectionOffsets(element, start, end);
+}
+
+function toggleInlineMark(blockId, contentElement, mark) {
+    const offsets = getSelectionOffsets(contentElement);
+    if (!offsets) return;
+    if (offsets.start === offsets.end) {
+        // Nothing selected: let the browser apply the format to what is typed next
+        const command = { bold: 'bold', italic: 'italic', underline: 'underline' }[mark];
+        if (command) document.execCommand(command);
+        return;
+    }
+    const runs = toggleMark(readEditorRuns(contentElement), offsets.start, offsets.end, mark);
+    updateBlock(blockId, { content: runs });
+    renderBlocks();
+    focusBlockAt(blockId, offsets.start, offsets.end);
+}
+
+// Content carried over when a block changes type
+function convertBlockContent(block, type) {
+    // A synced block starts empty, waiting for a block link
+    if (type === 'synced') return null;
+    if (block.type === 'synced') return isRichText(type) ? [] : '';
+    if (type === 'database') return block.type === 'database' ? block.content : createDatabaseContent();
+    if (block.type === 'database') {
+        const text = getBlockText(block);
+        return isRichText(type) ? textToRuns(text) : text;
+    }
+    // Code, math and diagram source is carried over as plain text
+    const isSource = (t) => t === 'code' || Boolean(SOURCE_BLOCK_RENDERERS[t]);
+    const fromRichText = isRichText(block.type);
+    if (fromRichText === isRichText(type) && !isSource(block.type) && !isSource(type)) return block.content;
+    const text = fromRichText ? runsToText(block.content) :
+        isSource(block.type) ? getBlockText(block) : htmlToText(block.content || '');
+    if (isRichText(type)) return textToRuns(text);
+    return type === 'code' ? escapeHTML(text) : text;
+}
+
+// Text blocks used to store HTML with markdown-like syntax applied on render,
+// and to-dos marked completion with a leading "~"
+function migrateBlockContent(block) {
+    const migrated = { ...block, children: (block.children || []).map(migrateBlockContent) };
+    if (isRichText(block.type) && typeof block.content === 'string') {
+        let content = block.content;
+        if (block.type === 'todo') {
+            migrated.checked = content.startsWith('~');
+            content = content.replace(/^~/, '');
+        }
+        migrated.content = linkRunReferences(htmlToRuns(legacyContentToHTML(content)));
+    }
+    return migrated;
+}
+
+function migrateRichText() {
+    if (storageGet('richTextMigrated')) return;
+    state.pages.forEach(page => {
+        const blocks = storageGet(`page-${page.id}`);
+        if (blocks) storageSet(`page-${page.id}`, blocks.map(migrateBlockContent));
+    });
+    storageSet('richTextMigrated', true);
+}
+
+// Database blocks
+// A database block holds typed columns, rows keyed by column id and saved views.
+// Views only change how rows are shown (layout, sort, filters), never the rows.
+const DATABASE_COLUMN_TYPES = {
+    text: { label: 'Text', icon: 'Aa' },
+    number: { label: 'Number', icon: '#' },
+    date: { label: 'Date', icon: '📅' },
+    checkbox: { label: 'Checkbox', icon: '☑' },
+    select: { label: 'Select', icon: '▾' },
+    page: { label: 'Page link', icon: '↗' }
+};
+
+// Databases whose filter row is open; this is view state only and isn't saved
+const openDatabaseFilters = new Set();
+
+function createDatabaseContent(columns = null, rows = []) {
+    const view = createDatabaseView('Table');
+    return {
+        columns: columns || [
+            { id: generateId(), name: 'Name', type: 'text' },
+            { id: generateId(), name: 'Status', type: 'select', options: ['Not started', 'In progress', 'Done'] }
+        ],
+        rows,
+        views: [view],
+        activeView: view.id
+    };
+}
+
+function createDatabaseView(name, layout = 'table') {
+    return { id: generateId(), name, layout, sort: null, filters: {}, groupBy: null };
+}
+
+function createDatabaseRow(cells = {}) {
+    return { id: generateId(), cells };
+}
+
+// Table blocks used to be pipe-delimited text; the first row becomes the header
+function tableToDatabase(content) {
+    const rows = parseTableRows(typeof content === 'string' ? content : '');
+    const width = Math.max(1, ...rows.map(row => row.length));
+    const columns = Array.from({ length: width }, (_, i) => ({
+        id: generateId(),
+        name: htmlToText(rows[0]?.[i] || '').trim() || `Column ${i + 1}`,
+        type: 'text'
+    }));
+    return createDatabaseContent(columns, rows.slice(1).map(row => createDatabaseRow(
+        Object.fromEntries(columns.map((column, i) => [column.id, htmlToText(row[i] || '').trim()]))
+    )));
+}
+
+function migrateTableBlock(block) {
+    const migrated = { ...block, children: (block.children || []).map(migrateTableBlock) };
+    if (block.type === 'table') {
+        migrated.type = 'database';
+        migrated.content = tableToDatabase(block.content);
+    }
+    return migrated;
+}
+
+function migrateDatabases() {
+    if (storageGet('databasesMigrated')) return;
+    state.pages.forEach(page => {
+        const blocks = storageGet(`page-${page.id}`);
+        if (blocks) storageSet(`page-${page.id}`, blocks.map(migrateTableBlock));
+    });
+    storageSet('databasesMigrated', true);
+}
+
+function getActiveView(database) {
+    return database.views.find(view => view.id === database.activeView) || database.views[0];
+}
+
+function isEmptyCell(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function formatCellValue(column, value) {
+    if (isEmptyCell(value)) return '';
+    switch (column.type) {
+        case 'checkbox':
+            return value ? '✓' : '';
+        case 'page':
+            return getPage(value)?.name || '';
+        default:
+            return String(value);
+    }
+}
+
+function compareCellValues(column, a, b) {
+    switch (column.type) {
+        case 'number':
+            return a - b;
+        case 'checkbox':
+            return Number(Boolean(a)) - Number(Boolean(b));
+        case 'select':
+            return (column.options || []).indexOf(a) - (column.options || []).indexOf(b);
+        default:
+            return formatCellValue(column, a).localeCompare(formatCellValue(column, b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+}
+
+// Text and page columns match a substring, selects an exact option, checkboxes
+// "checked"/"unchecked", and numbers and dates a comparison like ">= 10" or "<2026-01-01"
+function matchesCellFilter(column, value, filter) {
+    if (isEmptyCell(filter)) return true;
+    switch (column.type) {
+        case 'checkbox':
+            return filter === 'checked' ? Boolean(value) : !value;
+        case 'select':
+            return value === filter;
+        case 'number':
+        case 'date': {
+            const [, operator = '=', operand] = String(filter).trim().match(/^(<=|>=|!=|<|>|=)?\s*(.*)$/);
+            const right = column.type === 'number' ? Number(operand) : operand;
+            if (operand === '' || Number.isNaN(right)) return true;
+            if (isEmptyCell(value)) return operator === '!=';
+            const left = column.type === 'number' ? Number(value) : value;
+            return {
+                '<': left < right,
+                '<=': left <= right,
+                '>': left > right,
+                '>=': left >= right,
+                '!=': left !== right,
+                '=': left === right
+            }[operator];
+        }
+        default:
+            return formatCellValue(column, value).toLowerCase().includes(String(filter).toLowerCase());
+    }
+}
+
+// Rows as the view shows them: filtered, then sorted with empty cells last
+function getDatabaseRows(database, view) {
+    const columns = new Map(database.columns.map(column => [column.id, column]));
+    const rows = database.rows.filter(row => Object.entries(view.filters || {}).every(([columnId, filter]) =>
+        !columns.has(columnId) || matchesCellFilter(columns.get(columnId), row.cells[columnId], filter)));
+
+    const sortColumn = view.sort && columns.get(view.sort.columnId);
+    if (!sortColumn) return rows;
+    const direction = view.sort.direction === 'desc' ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const left = a.cells[sortColumn.id];
+        const right = b.cells[sortColumn.id];
+        if (isEmptyCell(left) || isEmptyCell(right)) return isEmptyCell(left) - isEmptyCell(right);
+        return compareCellValues(sortColumn, left, right) * direction;
+    });
+}
+
+// Best-effort conversion of existing values when a column changes type
+function convertCellValue(value, fromColumn, toType) {
+    const text = formatCellValue(fromColumn, value).trim();
+    switch (toType) {
+        case 'number': {
+            const number = parseFloat(text.replace(/,/g, ''));
+            return Number.isNaN(number) ? null : number;
+        }
+        case 'checkbox':
+            return fromColumn.type === 'checkbox' ? Boolean(value) : /^(true|yes|x|✓|1|done)$/i.test(text);
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : '';
+        case 'page':
+            return fromColumn.type === 'page' ? value : getPageByName(text)?.id || '';
+        default:
+            return fromColumn.type === 'checkbox' ? (value ? 'Yes' : '') : text;
+    }
+}
+
+function updateDatabase(blockId, change, { render = true, coalesce = false } = {}) {
+    const block = findBlock(blockId);
+    if (!block || block.type !== 'database') return;
+    const database = structuredClone(block.content);
+    if (change(database) === false) return;
+    updateBlock(blockId, { content: database }, { coalesce });
+    if (render) renderBlocks();
+}
+
+function renderDatabase(block) {
+    const database = block.content;
+    const view = getActiveView(database);
+    const rows = getDatabaseRows(database, view);
+    const hasFilters = Object.values(view.filters || {}).some(filter => !isEmptyCell(filter));
+    const showFilters = hasFilters || openDatabaseFilters.has(block.id);
+    const selectColumns = database.columns.filter(column => column.type === 'select');
+    const layouts = {
+        list: () => renderDatabaseList(database, rows),
+        board: () => renderDatabaseBoard(database, view, rows),
+        table: () => renderDatabaseTable(database, view, rows, showFilters)
+    };
+
+    return `
+        <div class="database-block">
+            <div class="database-toolbar">
+                ${database.views.map(v => `
+                    <button class="database-view-tab ${v.id === view.id ? 'active' : ''}" data-view-id="${v.id}">${escapeHTML(v.name)}</button>
+                `).join('')}
+                <button class="database-add-view" title="Add view">+</button>
+                <span class="database-toolbar-spacer"></span>
+                <select class="database-layout" title="Layout">
+                    <option value="table" ${view.layout === 'table' ? 'selected' : ''}>Table</option>
+                    <option value="list" ${view.layout === 'list' ? 'selected' : ''}>List</option>
+                    <option value="board" ${view.layout === 'board' ? 'selected' : ''} ${selectColumns.length ? '' : 'disabled'}>Board</option>
+                </select>
+                ${view.layout === 'board' && selectColumns.length > 1 ? `
+                    <select class="database-group-by" title="Group by">
+                        ${selectColumns.map(column => `
+                            <option value="${column.id}" ${column.id === view.groupBy ? 'selected' : ''}>By ${escapeHTML(column.name)}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+                <button class="database-toggle-filters ${showFilters ? 'active' : ''}">Filter</button>
+                ${database.views.length > 1 ? '<button class="database-delete-view" title="Delete view">Delete view</button>' : ''}
+            </div>
+            ${(layouts[view.layout] || layouts.table)()}
+            ${rows.length === 0 ? `<div class="database-empty">${database.rows.length ? 'No rows match the filters' : 'No rows yet'}</div>` : ''}
+            <button class="database-add-row">+ New row</button>
+        </div>
+    `;
+}
+
+function renderDatabaseTable(database, view, rows, showFilters) {
+    const sortIndicator = (column) => view.sort?.columnId !== column.id ? '' :
+        view.sort.direction === 'desc' ? ' ↓' : ' ↑';
+
+    return `
+        <table class="database-table">
+            <thead>
+                <tr>
+                    <th class="database-handle-cell"></th>
+                    ${database.columns.map(column => `
+                        <th data-column-id="${column.id}">
+                            <span class="database-column-name" title="Sort">
+                                <span class="database-column-icon">${DATABASE_COLUMN_TYPES[column.type]?.icon || ''}</span>
+                                ${escapeHTML(column.name)}${sortIndicator(column)}
+                            </span>
+                            <span class="database-column-menu-btn" title="Column options">⋯</span>
+                        </th>
+                    `).join('')}
+                    <th class="database-add-column" title="Add column">+</th>
+                </tr>
+                ${showFilters ? `
+                    <tr class="database-filters">
+                        <th></th>
+                        ${database.columns.map(column => `
+                            <th data-column-id="${column.id}">${renderFilterInput(column, view.filters?.[column.id])}</th>
+                        `).join('')}
+                        <th></th>
+                    </tr>
+                ` : ''}
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="database-row" data-row-id="${row.id}">
+                        <td class="database-row-handle" ${view.sort ? 'title="Clear the sort to reorder rows"' : 'draggable="true" title="Drag to reorder"'}>⋮⋮</td>
+                        ${database.columns.map(column => `
+                            <td data-column-id="${column.id}">${renderCellEditor(column, row.cells[column.id])}</td>
+                        `).join('')}
+                        <td><span class="database-delete-row" title="Delete row">×</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderCellEditor(column, value) {
+    switch (column.type) {
+        case 'number':
+            return `<input type="number" class="database-cell-input" value="${isEmptyCell(value) ? '' : escapeHTML(String(value))}">`;
+        case 'date':
+            return `<input type="date" class="database-cell-input" value="${escapeHTML(value || '')}">`;
+        case 'checkbox':
+            return `<input type="checkbox" class="database-cell-input" ${value ? 'checked' : ''}>`;
+        case 'select':
+            return `
+                <select class="database-cell-input">
+                    <option value=""></option>
+                    ${(column.options || []).map(option => `
+                        <option value="${escapeHTML(option)}" ${option === value ? 'selected' : ''}>${escapeHTML(option)}</option>
+                    `).join('')}
+                </select>
+            `;
+        case 'page': {
+            const page = getPage(value);
+            return `
+                <select class="database-cell-input">
+                    <option value=""></option>
+                    ${state.pages.map(p => `
+                        <option value="${p.id}" ${p.id === value ? 'selected' : ''}>${escapeHTML(p.name)}</option>
+                    `).join('')}
+                </select>
+                ${page ? `<a href="#page=${page.id}" class="database-page-link" title="Open page">↗</a>` : ''}
+            `;
+        }
+        default:
+            return `<div class="database-cell-text" contenteditable="true">${escapeHTML(value || '')}</div>`;
+    }
+}
+
+function renderFilterInput(column, filter = '') {
+    if (column.type === 'checkbox' || column.type === 'select') {
+        const options = column.type === 'checkbox' ? ['checked', 'unchecked'] : column.options || [];
+        return `
+            <select class="database-filter-input">
+                <option value="">Any</option>
+                ${options.map(option => `
+                    <option value="${escapeHTML(option)}" ${option === filter ? 'selected' : ''}>${escapeHTML(option)}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+    const placeholder = column.type === 'number' || column.type === 'date' ? 'e.g. >= value' : 'Contains...';
+    return `<input type="text" class="database-filter-input" placeholder="${placeholder}" value="${escapeHTML(filter || '')}">`;
+}
+
+function renderDatabaseList(database, rows) {
+    const [titleColumn, ...otherColumns] = database.columns;
+    return `
+        <div class="database-list">
+            ${rows.map(row => `
+                <div class="database-list-item" data-row-id="${row.id}">
+                    <span class="database-list-title">${escapeHTML(formatCellValue(titleColumn, row.cells[titleColumn?.id])) || 'Untitled'}</span>
+                    ${otherColumns.filter(column => formatCellValue(column, row.cells[column.id])).map(column => `
+                        <span class="database-list-property">
+                            <span class="database-list-label">${escapeHTML(column.name)}</span>
+                            ${column.type === 'page' ?
+                                pageLinkHTML(getPage(row.cells[column.id])) :
+                                escapeHTML(formatCellValue(column, row.cells[column.id]))}
+                        </span>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function readCellValue(column, input) {
+    switch (column.type) {
+        case 'number':
+            return input.value === '' ? null : Number(input.value);
+        case 'checkbox':
+            return input.checked;
+        case 'text':
+            return input.textContent;
+        default:
+            return input.value;
+    }
+}
+
+function setupDatabaseEvents(blockElement, blockId) {
+    const root = blockElement.querySelector(':scope > .block-row .database-block');
+    if (!root) return;
+    const getDatabase = () => findBlock(blockId)?.content;
+    const withView = (change) => updateDatabase(blockId, database => change(getActiveView(database), database));
+
+    root.querySelectorAll('.database-view-tab').forEach(tab => {
+        tab.addEventListener('click', () => updateDatabase(blockId, database => {
+            database.activeView = tab.dataset.viewId;
+        }));
+    });
+
+    root.querySelector('.database-add-view').addEventListener('click', () => {
+        const name = prompt('View name:', `View ${getDatabase().views.length + 1}`);
+        if (!name?.trim()) return;
+        updateDatabase(blockId, database => {
+            const view = createDatabaseView(name.trim(), getActiveView(database).layout);
+            database.views.push(view);
+            database.activeView = view.id;
+        });
+    });
+
+    root.querySelector('.database-delete-view')?.addEventListener('click', () => {
+        const view = getActiveView(getDatabase());
+        if (!confirm(`Delete the view "${view.name}"? Rows are not affected.`)) return;
+        updateDatabase(blockId, database => {
+            database.views = database.views.filter(v => v.id !== view.id);
+            database.activeView = database.views[0].id;
+        });
+    });
+
+    root.querySelector('.database-layout').addEventListener('change', (e) => {
+        withView(view => { view.layout = e.target.value; });
+    });
+
+    root.querySelector('.database-group-by')?.addEventListener('change', (e) => {
+        withView(view => { view.groupBy = e.target.value; });
+    });
+
+    root.querySelector('.database-toggle-filters').addEventListener('click', () => {
+        const view = getActiveView(getDatabase());
+        const isOpen = openDatabaseFilters.has(blockId) || Object.values(view.filters || {}).some(filter => !isEmptyCell(filter));
+        if (!isOpen) {
+            openDatabaseFilters.add(blockId);
+            renderBlocks();
+            return;
+        }
+        // Closing the filter row clears the filters it holds
+        openDatabaseFilters.delete(blockId);
+        if (Object.keys(view.filters || {}).length) {
+            withView(v => { v.filters = {}; });
+        } else {
+            renderBlocks();
+        }
+    });
+
+    root.querySelectorAll('.database-filter-input').forEach(input => {
+        input.addEventListener('change', () => {
+            const columnId = input.closest('th').dataset.columnId;
+            withView(view => {
+                view.filters = { ...view.filters, [columnId]: input.value.trim() };
+                if (!view.filters[columnId]) delete view.filters[columnId];
+            });
+        });
+    });
+
+    // Clicking a column name cycles its sort: ascending, descending, none
+    root.querySelectorAll('.database-column-name').forEach(name => {
+        name.addEventListener('click', () => {
+            const columnId = name.closest('th').dataset.columnId;
+            withView(view => {
+                if (view.sort?.columnId !== columnId) {
+                    view.sort = { columnId, direction: 'asc' };
+                } else {
+                    view.sort = view.sort.direction === 'asc' ? { columnId, direction: 'desc' } : null;
+                }
+            });
+        });
+    });
+
+    root.querySelectorAll('.database-column-menu-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showDatabaseColumnMenu(blockId, btn.closest('th').dataset.columnId, btn);
+        });
+    });
+
+    root.querySelector('.database-add-column')?.addEventListener('click', () => {
+        const name = prompt('Column name:', `Column ${getDatabase().columns.length + 1}`);
+        if (!name?.trim()) return;
+        updateDatabase(blockId, database => {
+            database.columns.push({ id: generateId(), name: name.trim(), type: 'text' });
+        });
+    });
+
+    root.querySelector('.database-add-row').addEventListener('click', () => {
+        updateDatabase(blockId, database => { database.rows.push(createDatabaseRow()); });
+    });
+
+    root.querySelectorAll('.database-delete-row').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const rowId = btn.closest('tr').dataset.rowId;
+            updateDatabase(blockId, database => {
+                database.rows = database.rows.filter(row => row.id !== rowId);
+            });
+        });
+    });
+
+    // Cell edits: text is saved as it is typed, other editors when they commit a value
+    root.querySelectorAll('.database-row td[data-column-id]').forEach(cell => {
+        const rowId = cell.closest('tr').dataset.rowId;
+        const columnId = cell.dataset.columnId;
+        const column = getDatabase().columns.find(c => c.id === columnId);
+        const editor = cell.querySelector('.database-cell-text, .database-cell-input');
+        if (!column || !editor) return;
+
+        const save = (options) => updateDatabase(blockId, database => {
+            const row = database.rows.find(r => r.id === rowId);
+            if (!row) return false;
+            row.cells[columnId] = readCellValue(column, editor);
+        }, options);
+
+        if (column.type === 'text') {
+            editor.addEventListener('input', () => save({ render: false, coalesce: true }));
+            editor.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    editor.blur();
+                }
+            });
+        } else {
+            editor.addEventListener('change', () => save());
+        }
+    });
+
+    setupDatabaseRowDragAndDrop(root, blockId);
+
+    const board = root.querySelector('.board');
+    if (board) setupBoardDragAndDrop(board, (rowId, value, beforeRowId) => moveDatabaseCard(blockId, rowId, value, beforeRowId));
+}
+
+// Same approach as block drag and drop, scoped to the rows of one table
+function setupDatabaseRowDragAndDrop(root, blockId) {
+    const tbody = root.querySelector('.database-table tbody');
+    if (!tbody) return;
+
+    tbody.querySelectorAll('.database-row-handle[draggable="true"]').forEach(handle => {
+        const row = handle.closest('tr');
+        handle.addEventListener('dragstart', (e) => {
+            // Keep the enclosing block from starting its own drag
+            e.stopPropagation();
+            e.dataTransfer.setData('text/plain', row.dataset.rowId);
+            row.classList.add('dragging');
+        });
+        handle.addEventListener('dragend', () => row.classList.remove('dragging'));
+    });
+
+    tbody.addEventListener('dragover', (e) => {
+        const draggingRow = tbody.querySelector('.dragging');
+        if (!draggingRow) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const afterRow = getElementAfter([...tbody.querySelectorAll('.database-row:not(.dragging)')], e.clientY);
+        tbody.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        if (afterRow) afterRow.classList.add('drag-over');
+    });
+
+    tbody.addEventListener('drop', (e) => {
+        const draggingRow = tbody.querySelector('.dragging');
+        if (!draggingRow) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const rowId = draggingRow.dataset.rowId;
+        const afterRow = getElementAfter([...tbody.querySelectorAll('.database-row:not(.dragging)')], e.clientY);
+        updateDatabase(blockId, database => {
+            const index = database.rows.findIndex(row => row.id === rowId);
+            if (index === -1) return false;
+            const [moved] = database.rows.splice(index, 1);
+            const beforeIndex = afterRow ? database.rows.findIndex(row => row.id === afterRow.dataset.rowId) : -1;
+            database.rows.splice(beforeIndex === -1 ? database.rows.length : beforeIndex, 0, moved);
+        });
+    });
+}
+
+function showDatabaseColumnMenu(blockId, columnId, targetElement) {
+    document.querySelector('.database-menu')?.remove();
+    const database = findBlock(blockId)?.content;
+    const column = database?.columns.find(c => c.id === columnId);
+    if (!column) return;
+
+    const updateColumn = (change) => updateDatabase(blockId, db => change(db.columns.find(c => c.id === columnId), db));
+    const items = [
+        {
+            label: 'Rename',
+            action: () => {
+                const name = prompt('Column name:', column.name);
+                if (name?.trim()) updateColumn(c => { c.name = name.trim(); });
+            }
+        },
+        ...Object.entries(DATABASE_COLUMN_TYPES).map(([type, { label, icon }]) => ({
+            label: `${icon} ${label}`,
+            active: column.type === type,
+            action: () => updateColumn((c, db) => {
+                if (c.type === type) return false;
+                db.rows.forEach(row => { row.cells[c.id] = convertCellValue(row.cells[c.id], c, type); });
+                if (type === 'select') {
+                    c.options = [...new Set([...(c.options || []), ...db.rows.map(row => row.cells[c.id]).filter(Boolean)])];
+                }
+                c.type = type;
+                // Filters are typed, so the old one no longer applies
+                db.views.forEach(view => { delete view.filters?.[c.id]; });
+            })
+        })),
+        ...(column.type === 'select' ? [{
+            label: 'Edit options',
+            action: () => {
+                const options = prompt('Options, separated by commas:', (column.options || []).join(', '));
+                if (options === null) return;
+                updateColumn(c => { c.options = [...new Set(options.split(',').map(o => o.trim()).filter(Boolean))]; });
+            }
+        }] : []),
+        {
+            label: 'Move left',
+            action: () => updateColumn((c, db) => {
+                const index = db.columns.indexOf(c);
+                if (index === 0) return false;
+                db.columns.splice(index - 1, 0, ...db.columns.splice(index, 1));
+            })
+        },
+        {
+            label: 'Move right',
+            action: () => updateColumn((c, db) => {
+                const index = db.columns.indexOf(c);
+                if (index === db.columns.length - 1) return false;
+                db.columns.splice(index + 1, 0, ...db.columns.splice(index, 1));
+            })
+        },
+        {
+            label: 'Delete column',
+            action: () => {
+                if (database.columns.length === 1 || !confirm(`Delete the column "${column.name}" and its values?`)) return;
+                updateColumn((c, db) => {
+                    db.columns = db.columns.filter(other => other.id !== c.id);
+                    db.rows.forEach(row => { delete row.cells[c.id]; });
+                    db.views.forEach(view => {
+                        delete view.filters?.[c.id];
+                        if (view.sort?.columnId === c.id) view.sort = null;
+                        if (view.groupBy === c.id) view.groupBy = null;
+                    });
+                });
+            }
+        }
+    ];
+
+    const menu = document.createElement('div');
+    menu.className = 'database-menu';
+    menu.innerHTML = items.map((item, i) => `
+        <div class="database-menu-item ${item.active ? 'active' : ''}" data-index="${i}">${escapeHTML(item.label)}</div>
+    `).join('');
+    document.body.appendChild(menu);
+
+    const rect = targetElement.getBoundingClientRect();
+    menu.style.left = `${rect.left + window.scrollX}px`;
+    menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+
+    const close = () => {
+        menu.remove();
+        document.removeEventListener('click', clickHandler);
+    };
+    const clickHandler = (e) => {
+        if (!menu.contains(e.target)) close();
+    };
+    menu.querySelectorAll('.database-menu-item').forEach(element => {
+        element.addEventListener('click', () => {
+            close();
+            items[element.dataset.index].action();
+        });
+    });
+    setTimeout(() => document.addEventListener('click', clickHandler), 0);
+}
+
+function getDatabaseText(database) {
+    const columnNames = database.columns.map(column => column.name).join(' ');
+    const rows = database.rows.map(row => database.columns
+        .map(column => formatCellValue(column, row.cells[column.id]))
+        .filter(Boolean)
+        .join(' '));
+    return [columnNames, ...rows].join('\n');
+}
+
+function getDatabasePageIds(database) {
+    const pageColumns = database.columns.filter(column => column.type === 'page');
+    return database.rows.flatMap(row => pageColumns.map(column => row.cells[column.id]).filter(id => getPage(id)));
+}
+
+// Boards
+// A board groups cards into columns by a status. Task board blocks show the
+// page's to-dos by their status; database views group rows by a select column.
+const TODO_STATUSES = ['Not started', 'In progress', 'Done'];
+
+// Checked to-dos are always done; older to-dos only have the checkbox
+function getTodoStatus(block) {
+    if (block.checked) return 'Done';
+    return TODO_STATUSES.includes(block.status) && block.status !== 'Done' ? block.status : 'Not started';
+}
+
+function setTodoStatus(blockId, status) {
+    updateBlock(blockId, { status, checked: status === 'Done' });
+    renderBlocks();
+}
+
+function renderBoard(columns) {
+    return `
+        <div class="board">
+            ${columns.map(column => `
+                <div class="board-column" data-column-key="${escapeHTML(column.key)}">
+                    <div class="board-column-header">
+                        ${escapeHTML(column.label)}
+                        <span class="board-count">${column.cards.length}</span>
+                    </div>
+                    <div class="board-cards">
+                        ${column.cards.map(card => `
+                            <div class="board-card" draggable="true" data-card-id="${card.id}">${card.html}</div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function taskCardHTML(todo) {
+    return (runsToHTML(todo.content) || '<span class="board-card-untitled">Untitled</span>') + dueBadgeHTML(todo);
+}
+
+function renderTaskBoard() {
+    const todos = [];
+    forEachBlock(state.blocks, block => {
+        if (block.type === 'todo') todos.push(block);
+    });
+    if (todos.length === 0) return '<div class="board-empty">Add to-dos to this page to see them here.</div>';
+
+    return renderBoard(TODO_STATUSES.map(status => ({
+        key: status,
+        label: status,
+        cards: todos.filter(todo => getTodoStatus(todo) === status).map(todo => ({
+            id: todo.id,
+            html: taskCardHTML(todo)
+        }))
+    })));
+}
+
+// Typing in a to-do updates its cards without re-rendering the page
+function refreshTaskBoardCards(todoId) {
+    const todo = findBlock(todoId);
+    if (!todo) return;
+    document.querySelectorAll(`.task-board .board-card[data-card-id="${todoId}"]`).forEach(card => {
+        card.innerHTML = taskCardHTML(todo);
+    });
+}
+
+function renderDatabaseBoard(database, view, rows) {
+    const groupColumn = database.columns.find(column => column.id === view.groupBy && column.type === 'select') ||
+        database.columns.find(column => column.type === 'select');
+    if (!groupColumn) return '<div class="board-empty">Add a select column to group rows into a board.</div>';
+
+    const [titleColumn, ...otherColumns] = database.columns;
+    const cardHTML = (row) => `
+        <div class="board-card-title">${escapeHTML(formatCellValue(titleColumn, row.cells[titleColumn.id])) || 'Untitled'}</div>
+        ${otherColumns.filter(column => column !== groupColumn && formatCellValue(column, row.cells[column.id])).map(column => `
+            <div class="board-card-property">
+                <span class="database-list-label">${escapeHTML(column.name)}</span>
+                ${escapeHTML(formatCellValue(column, row.cells[column.id]))}
+            </div>
+        `).join('')}
+    `;
+    const options = groupColumn.options || [];
+    // Rows whose value isn't one of the options collect under "No value"
+    return renderBoard([...options, ''].map(option => ({
+        key: option,
+        label: option || `No ${groupColumn.name}`,
+        cards: rows
+            .filter(row => option ? row.cells[groupColumn.id] === option : !options.includes(row.cells[groupColumn.id]))
+            .map(row => ({ id: row.id, html: cardHTML(row) }))
+    })));
+}
+
+function moveDatabaseCard(blockId, rowId, value, beforeRowId) {
+    updateDatabase(blockId, database => {
+        const view = getActiveView(database);
+        const groupColumn = database.columns.find(column => column.id === view.groupBy && column.type === 'select') ||
+            database.columns.find(column => column.type === 'select');
+        const index = database.rows.findIndex(row => row.id === rowId);
+        if (!groupColumn || index === -1) return false;
+
+        const [row] = database.rows.splice(index, 1);
+        row.cells[groupColumn.id] = value;
+        const beforeIndex = beforeRowId ? database.rows.findIndex(r => r.id === beforeRowId) : -1;
+        if (beforeIndex !== -1) {
+            database.rows.splice(beforeIndex, 0, row);
+        } else {
+            // Dropped at the end of a column: place it after that column's last row
+            const lastInColumn = database.rows.map(r => r.cells[groupColumn.id] === value).lastIndexOf(true);
+            database.rows.splice(lastInColumn === -1 ? database.rows.length : lastInColumn + 1, 0, row);
+        }
+    });
+}
+
+// Cards are dragged like blocks on the page: the dragged card is marked
+// .dragging and is dropped before the card under the pointer
+function setupBoardDragAndDrop(board, onMove) {
+    board.querySelectorAll('.board-card').forEach(card => {
+        card.addEventListener('dragstart', (e) => {
+            // Keep the enclosing block from starting its own drag
+            e.stopPropagation();
+            e.dataTransfer.setData('text/plain', card.dataset.cardId);
+            card.classList.add('dragging');
+        });
+
+        card.addEventListener('dragend', () => {
+            card.classList.remove('dragging');
+            board.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+    });
+
+    board.querySelectorAll('.board-column').forEach(column => {
+        const getAfterCard = (y) => getElementAfter([...column.querySelectorAll('.board-card:not(.dragging)')], y);
+
+        column.addEventListener('dragover', (e) => {
+            if (!board.querySelector('.board-card.dragging')) return;
+            e.preventDefault();
+            e.stopPropagation();
+            board.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            (getAfterCard(e.clientY) || column).classList.add('drag-over');
+        });
+
+        column.addEventListener('drop', (e) => {
+            const card = board.querySelector('.board-card.dragging');
+            if (!card) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const afterCard = getAfterCard(e.clientY);
+            board.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            onMove(card.dataset.cardId, column.dataset.columnKey, afterCard?.dataset.cardId || null);
+        });
+    });
+}
+
+function setupTaskBoardEvents(blockElement) {
+    const board = blockElement.querySelector(':scope > .block-row .board');
+    if (!board) return;
+
+    setupBoardDragAndDrop(board, (todoId, status) => {
+        const todo = findBlock(todoId);
+        if (todo && getTodoStatus(todo) !== status) setTodoStatus(todoId, status);
+    });
+
+    board.querySelectorAll('.board-card').forEach(card => {
+        card.addEventListener('click', () => {
+            revealBlock(card.dataset.cardId);
+            navigateToBlock(getVisibleBlocks().findIndex(block => block.id === card.dataset.cardId));
+        });
+    });
+}
+
+// Code blocks
+// Code is typed into a transparent textarea laid over its highlighted copy.
+// Highlighting is a small tokenizer: each language is a list of
+// [token type, sticky pattern] rules tried in order at every position.
+const CODE_INDENT = '    ';
+
+function keywordPattern(words, flags = 'y') {
+    return new RegExp(`\\b(?:${words.split(' ').join('|')})\\b`, flags);
+}
+
+const C_COMMENT = /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const NUMBER_PATTERN = /\b(?:0[xob][\da-f_]+n?|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?n?)\b|\.\d+\b/iy;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else ' +
+    'export extends finally for from function if import in instanceof let new of return static super ' +
+    'switch throw try typeof var void while with yield';
+const TS_KEYWORDS = 'abstract any as boolean declare enum implements infer interface is keyof namespace ' +
+    'never number object private protected public readonly satisfies string type unknown';
+
+function scriptRules(keywords) {
+    return [
+        ['comment', C_COMMENT],
+        ['string', /'(?:\\[\s\S]|[^\\'\n])*'?|"(?:\\[\s\S]|[^\\"\n])*"?|`(?:\\[\s\S]|[^\\`])*`?/y],
+        ['number', NUMBER_PATTERN],
+        ['literal', keywordPattern('true false null undefined NaN Infinity this')],
+        ['keyword', keywordPattern(keywords)],
+        ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+        [null, IDENTIFIER_PATTERN]
+    ];
+}
+
+const CODE_LANGUAGES = {
+    plain: { label: 'Plain text', rules: [] },
+    javascript: { label: 'JavaScript', aliases: ['js', 'jsx', 'mjs'], rules: scriptRules(JS_KEYWORDS) },
+    typescript: { label: 'TypeScript', aliases: ['ts', 'tsx'], rules: scriptRules(`${JS_KEYWORDS} ${TS_KEYWORDS}`) },
+    python: {
+        label: 'Python',
+        aliases: ['py'],
+        rules: [
+            ['comment', /#.*/y],
+            ['string', /(?:[rbuf]|rb|br|fr|rf)?(?:'''[\s\S]*?(?:'''|$)|"""[\s\S]*?(?:"""|$)|'(?:\\.|[^\\'\n])*'?|"(?:\\.|[^\\"\n])*"?)/iy],
+            ['meta', /@[\w.]+/y],
+            ['number', NUMBER_PATTERN],
+            ['literal', keywordPattern('True False None self cls')],
+            ['keyword', keywordPattern('and as assert async await break class continue def del elif else except ' +
+                'finally for from global if import in is lambda match case nonlocal not or pass raise return try ' +
+                'while with yield')],
+            ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+            [null, IDENTIFIER_PATTERN]
+        ]
+    },
+    json: {
+        label: 'JSON',
+        rules: [
+            ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+            ['string', /"(?:\\.|[^\\"\n])*"?/y],
+            ['number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy],
+            ['literal', keywordPattern('true false null')]
+        ]
+    },
+    html: {
+        label: 'HTML',
+        aliases: ['htm', 'xml', 'svg'],
+        rules: [
+            ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+            ['meta', /<!doctype[^>]*>/iy],
+            ['tag', /<\/?[A-Za-z][\w:-]*|\/?>/y],
+            ['attribute', /[A-Za-z_:@][\w:.-]*(?=\s*=)/y],
+            ['string', /(?<==\s*)(?:"[^"]*"?|'[^']*'?)/y],
+            ['literal', /&#?\w+;/y]
+        ]
+    },
+    css: {
+        label: 'CSS',
+        aliases: ['scss', 'less'],
+        rules: [
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /'[^'\n]*'?|"[^"\n]*"?/y],
+            ['meta', /@[\w-]+/y],
+            ['property', /(?<=[{;]\s*)(?:--)?[A-Za-z][\w-]*(?=\s*:)/y],
+            ['tag', /(?:[.#]|::?)?[A-Za-z_-][\w-]*(?=[^{};]*\{)/y],
+            ['number', /#[\da-f]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-z]+)?/iy],
+            ['keyword', /!important/y],
+            ['function', /[A-Za-z-][\w-]*(?=\()/y],
+            [null, /[A-Za-z_-][\w-]*/y]
+        ]
+    },
+    shell: {
+        label: 'Shell',
+        aliases: ['sh', 'bash', 'zsh', 'console'],
+        rules: [
+            ['comment', /(?<![\w$])#.*/y],
+            ['string', /'[^']*'?|"(?:\\[\s\S]|[^\\"])*"?/y],
+            ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/y],
+            ['keyword', keywordPattern('if then else elif fi for while until do done case esac in function ' +
+                'return export local readonly unset select')],
+            ['attribute', /(?<=\s)--?[A-Za-z][\w-]*/y],
+            ['number', /\b\d+\b/y],
+            [null, /[\w-]+/y]
+        ]
+    },
+    sql: {
+        label: 'SQL',
+        rules: [
+            ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /'(?:''|[^'])*'?/y],
+            ['property', /"[^"\n]*"?|`[^`\n]*`?/y],
+            ['number', NUMBER_PATTERN],
+            ['literal', keywordPattern('true false null', 'iy')],
+            ['keyword', keywordPattern('add all alter and as asc begin between by case check column commit ' +
+                'constraint create cross default delete desc distinct drop else end exists foreign from full ' +
+                'group having if in index inner insert into is join key left like limit not offset on or order ' +
+                'outer primary references returning right rollback select set table then transaction union ' +
+                'unique update values view when where with', 'iy')],
+            ['function', /\w+(?=\s*\()/y],
+            [null, /\w+/y]
+        ]
+    }
+};
+
+// Blocks created before languages could be picked have none: shown as plain text
+function getCodeLanguage(block) {
+    const name = (block.language || '').toLowerCase();
+    if (CODE_LANGUAGES[name]) return name;
+    return Object.keys(CODE_LANGUAGES).find(id => CODE_LANGUAGES[id].aliases?.includes(name)) || 'plain';
+}
+
+// Code is stored HTML-escaped, as it used to be rendered straight into the page
+function getCodeText(block) {
+    const content = typeof block.content === 'string' ? block.content : '';
+    return decodeHTMLEntities(content.replace(/<br\s*\/?>/gi, '\n'));
+}
+
+// Unmatched text is collected into plain tokens (type null)
+function tokenizeCode(text, language) {
+    const rules = CODE_LANGUAGES[language]?.rules || [];
+    const tokens = [];
+    let plain = '';
+    let i = 0;
+    while (i < text.length) {
+        let match = null;
+        for (const [type, pattern] of rules) {
+            pattern.lastIndex = i;
+            const found = pattern.exec(text);
+            if (found && found[0]) {
+                match = { type, text: found[0] };
+                break;
+            }
+        }
+        if (match?.type) {
+            if (plain) tokens.push({ type: null, text: plain });
+            plain = '';
+            tokens.push(match);
+        } else {
+            plain += match ? match.text : text[i];
+        }
+        i += match ? match.text.length : 1;
+    }
+    if (plain) tokens.push({ type: null, text: plain });
+    return tokens;
+}
+
+// One element per line so line numbers can be drawn with a CSS counter
+function renderCodeLines(text, language) {
+    const lines = [''];
+    tokenizeCode(text, language).forEach(token => {
+        token.text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push('');
+            if (!part) return;
+            lines[lines.length - 1] += token.type ?
+                `<span class="tok-${token.type}">${escapeHTML(part)}</span>` : escapeHTML(part);
+        });
+    });
+    return lines.map(line => `<span class="code-line">${line || '<br>'}</span>`).join('');
+}
+
+function renderCodeBlock(block, placeholder) {
+    const language = getCodeLanguage(block);
+    const code = getCodeText(block);
+    // The textarea drops one leading newline, so one is always added
+    return `
+        <div class="code-block">
+            <div class="code-toolbar">
+                <select class="code-language-select" title="Language">
+                    ${Object.entries(CODE_LANGUAGES).map(([id, { label }]) => `
+                        <option value="${id}" ${id === language ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <button class="code-copy-btn" title="Copy code">Copy</button>
+            </div>
+            <div class="code-editor">
+                <pre class="code-highlight" aria-hidden="true">${renderCodeLines(code, language)}</pre>
+                <textarea class="code-input" id="${block.id}" spellcheck="false" autocapitalize="off"
+                          placeholder="${placeholder}">\n${escapeHTML(code)}</textarea>
+            </div>
+        </div>
+    `;
+}
+
+function setupCodeBlockEvents(blockElement, blockId) {
+    const row = blockElement.querySelector(':scope > .block-row');
+    const input = row.querySelector('.code-input');
+    const highlight = row.querySelector('.code-highlight');
+    const select = row.querySelector('.code-language-select');
+    if (!input) return;
+
+    input.addEventListener('input', () => {
+        updateBlock(blockId, { content: escapeHTML(input.value) }, { coalesce: true });
+        highlight.innerHTML = renderCodeLines(input.value, select.value);
+    });
+    input.addEventListener('keydown', handleCodeKeydown(blockId));
+
+    select.addEventListener('change', () => {
+        updateBlock(blockId, { language: select.value });
+        highlight.innerHTML = renderCodeLines(input.value, select.value);
+    });
+
+    row.querySelector('.code-copy-btn').addEventListener('click', () => {
+        navigator.clipboard.writeText(input.value).then(() => {
+            showToast('Code copied to clipboard');
+        }).catch(() => showToast('Could not copy to clipboard'));
+    });
+}
+
+// insertText keeps the textarea's own undo; setRangeText is the fallback
+function insertCodeText(input, text) {
+    if (!document.execCommand('insertText', false, text)) {
+        input.setRangeText(text, input.selectionStart, input.selectionEnd, 'end');
+        input.dispatchEvent(new Event('input'));
+    }
+}
+
+// Tab indents the selected lines (or inserts an indent at the caret),
+// Shift+Tab outdents them
+function indentCodeLines(input, outdent) {
+    const { value, selectionStart, selectionEnd } = input;
+    if (!outdent && selectionStart === selectionEnd) {
+        insertCodeText(input, CODE_INDENT);
+        return;
+    }
+    const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+    // A selection ending at the start of a line leaves that line alone
+    const end = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n' ? selectionEnd - 1 : selectionEnd;
+    const lineEnd = value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end);
+    const lines = value.slice(lineStart, lineEnd).split('\n');
+    const changed = lines.map(line => outdent ? line.replace(/^(?: {1,4}|\t)/, '') : CODE_INDENT + line);
+    const text = changed.join('\n');
+    if (text === lines.join('\n')) return;
+
+    input.setSelectionRange(lineStart, lineEnd);
+    insertCodeText(input, text);
+    if (selectionStart === selectionEnd) {
+        const removed = lines[0].length - changed[0].length;
+        input.setSelectionRange(Math.max(lineStart, selectionStart - removed), Math.max(lineStart, selectionStart - removed));
+    } else {
+        input.setSelectionRange(lineStart, lineStart + text.length);
+    }
+}
+
+function handleCodeKeydown(blockId) {
+    return (e) => {
+        const input = e.target;
+        const { value, selectionStart, selectionEnd } = input;
+        const index = getVisibleBlocks().findIndex(b => b.id === blockId);
+        const command = matchShortcut(e, c => c.scope === 'code');
+
+        if (command === KEY_SEQUENCE_PENDING) {
+            e.preventDefault();
+        } else if (command === 'code.indent' || command === 'code.outdent') {
+            e.preventDefault();
+            indentCodeLines(input, command === 'code.outdent');
+        } else if (command === 'code.exit') {
+            // Leave the code block for a new block below it
+            e.preventDefault();
+            addBlock('text', '', { afterId: blockId });
+        } else if (command === 'code.newline') {
+            // Keep the current line's indentation
+            e.preventDefault();
+            const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+            insertCodeText(input, `\n${value.slice(lineStart).match(/^[ \t]*/)[0]}`);
+        } else if (command === 'code.blur') {
+            input.blur();
+        } else if (command === 'code.previous' && selectionStart === selectionEnd && !value.slice(0, selectionStart).includes('\n')) {
+            e.preventDefault();
+            navigateToBlock(index - 1);
+        } else if (command === 'code.next' && selectionStart === selectionEnd && !value.slice(selectionEnd).includes('\n')) {
+            e.preventDefault();
+            navigateToBlock(index + 1);
+        }
+    };
+}
+
+// Math
+// Math blocks and inline $...$ in text hold LaTeX source. A subset of LaTeX
+// is converted to MathML, which the browser lays out itself.
+// Inline math needs no space inside the dollars and no digit after them,
+// so prices like $5 and $10 stay text.
+const INLINE_MATH_PATTERN = /\$(?=\S)((?:\\.|[^$\\\n])*?\S)\$(?!\d)/g;
+
+const MATH_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ',
+    Omega: 'Ω', infty: '∞', partial: '∂', nabla: '∇', ell: 'ℓ', hbar: 'ℏ', emptyset: '∅'
+};
+
+const MATH_OPERATORS = {
+    cdot: '·', times: '×', div: '÷', pm: '±', mp: '∓', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠',
+    ne: '≠', approx: '≈', equiv: '≡', sim: '∼', propto: '∝', to: '→', rightarrow: '→', leftarrow: '←',
+    Rightarrow: '⇒', Leftarrow: '⇐', leftrightarrow: '↔', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺',
+    mapsto: '↦', in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪',
+    cap: '∩', setminus: '∖', forall: '∀', exists: '∃', neg: '¬', land: '∧', wedge: '∧', lor: '∨',
+    vee: '∨', circ: '∘', oplus: '⊕', otimes: '⊗', ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮',
+    ddots: '⋱', langle: '⟨', rangle: '⟩', mid: '∣', perp: '⊥', parallel: '∥', angle: '∠'
+};
+
+const MATH_LARGE_OPERATORS = { sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', oint: '∮', bigcup: '⋃', bigcap: '⋂' };
+
+const MATH_FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+    'tanh', 'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg', 'arg', 'dim', 'ker', 'Pr'];
+
+// Take their limits below and above in display math
+const MATH_LIMIT_COMMANDS = ['sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'lim', 'max', 'min', 'sup', 'inf'];
+
+const MATH_ACCENTS = { hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', dot: '˙', ddot: '¨', tilde: '~', widetilde: '~' };
+
+const MATH_SPACES = { ',': '0.167em', ':': '0.222em', '>': '0.222em', ';': '0.278em', ' ': '0.25em', '!': '0', quad: '1em', qquad: '2em' };
+
+const DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+// Fences drawn around each environment's table
+const MATH_ENVIRONMENTS = {
+    matrix: ['', ''],
+    pmatrix: ['(', ')'],
+    bmatrix: ['[', ']'],
+    Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'],
+    Vmatrix: ['‖', '‖'],
+    cases: ['{', ''],
+    aligned: ['', ''],
+    gathered: ['', '']
+};
+
+// Throws on source it can't read; renderMath shows the error instead
+function texToMathML(source, { display = false } = {}) {
+    const tokens = source.match(/\\[A-Za-z]+|\\[^A-Za-z]|\d+(?:\.\d+)?|\s+|[\s\S]/g) || [];
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < tokens.length && /^\s+$/.test(tokens[pos])) pos++;
+    };
+    const expect = (token) => {
+        skipSpace();
+        if (tokens[pos] !== token) throw new Error(`Expected ${token}`);
+        pos++;
+    };
+    const row = (items) => items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`;
+    const fence = (delimiter) => delimiter ? `<mo fence="true" stretchy="true">${escapeHTML(delimiter)}</mo>` : '';
+
+    // Items up to one of `ends`, which is left unread
+    const parseItems = (ends = []) => {
+        const items = [];
+        for (;;) {
+            skipSpace();
+            const token = tokens[pos];
+            if (token === undefined || ends.includes(token)) return items;
+            if (token === '\\\\') {
+                pos++;
+            } else if (['}', '&', '\\right', '\\end'].includes(token)) {
+                throw new Error(`Unexpected ${token}`);
+            } else if (token === '^' || token === '_') {
+                items.push(parseScripts(items.pop() || '<mrow></mrow>', false));
+            } else {
+                const limits = display && MATH_LIMIT_COMMANDS.includes(token.slice(1));
+                items.push(parseScripts(parseAtom(), limits));
+            }
+        }
+    };
+
+    const parseScripts = (base, limits) => {
+        let sub = null;
+        let sup = null;
+        for (;;) {
+            skipSpace();
+            if (tokens[pos] === '_' && sub === null) {
+                pos++;
+                sub = parseArgument();
+            } else if (tokens[pos] === '^' && sup === null) {
+                pos++;
+                sup = parseArgument();
+            } else {
+                break;
+            }
+        }
+        if (sub !== null && sup !== null) {
+            return limits ? `<munderover>${base}${sub}${sup}</munderover>` : `<msubsup>${base}${sub}${sup}</msubsup>`;
+        }
+        if (sub !== null) return limits ? `<munder>${base}${sub}</munder>` : `<msub>${base}${sub}</msub>`;
+        if (sup !== null) return limits ? `<mover>${base}${sup}</mover>` : `<msup>${base}${sup}</msup>`;
+        return base;
+    };
+
+    // A bare number argument is a single digit, so \frac12 is a half
+    const parseArgument = () => {
+        skipSpace();
+        if (pos >= tokens.length) throw new Error('Missing argument');
+        if (/^\d./.test(tokens[pos])) {
+            const digit = tokens[pos][0];
+            tokens[pos] = tokens[pos].slice(1);
+            return `<mn>${digit}</mn>`;
+        }
+        return parseAtom();
+    };
+
+    // The raw text of a {group}, for \text and environment names
+    const readText = () => {
+        skipSpace();
+        if (tokens[pos] !== '{') return tokens[pos++] || '';
+        pos++;
+        let depth = 0;
+        let text = '';
+        while (pos < tokens.length && !(tokens[pos] === '}' && depth === 0)) {
+            if (tokens[pos] === '{') depth++;
+            if (tokens[pos] === '}') depth--;
+            text += tokens[pos++];
+        }
+        expect('}');
+        return text.replace(/\\([^A-Za-z])/g, '$1');
+    };
+
+    const readDelimiter = () => {
+        skipSpace();
+        const token = tokens[pos++];
+        if (token === undefined) throw new Error('Missing delimiter');
+        if (token === '.') return '';
+        if (token === '\\|') return '‖';
+        if (token.startsWith('\\')) return MATH_OPERATORS[token.slice(1)] || token.slice(1);
+        return token;
+    };
+
+    const parseAtom = () => {
+        skipSpace();
+        const token = tokens[pos++];
+        if (token === '{') {
+            const items = parseItems(['}']);
+            expect('}');
+            return row(items);
+        }
+        if (/^\d/.test(token)) return `<mn>${token}</mn>`;
+        if (/^\p{L}$/u.test(token)) return `<mi>${escapeHTML(token)}</mi>`;
+        if (token === "'") return '<mo>′</mo>';
+        if (token.startsWith('\\')) return parseCommand(token.slice(1));
+        return `<mo>${escapeHTML(token)}</mo>`;
+    };
+
+    const parseEnvironment = (name) => {
+        if (!MATH_ENVIRONMENTS[name]) throw new Error(`Unknown environment ${name}`);
+        const rows = [[]];
+        for (;;) {
+            rows[rows.length - 1].push(row(parseItems(['&', '\\\\', '\\end'])));
+            const token = tokens[pos++];
+            if (token === '&') continue;
+            if (token === '\\\\') {
+                rows.push([]);
+                continue;
+            }
+            if (token !== '\\end') throw new Error(`Missing \\end{${name}}`);
+            if (readText() !== name) throw new Error(`Expected \\end{${name}}`);
+            break;
+        }
+        // A trailing \\ doesn't start another row
+        if (rows.length > 1 && rows[rows.length - 1].join('') === '<mrow></mrow>') rows.pop();
+
+        const align = name === 'cases' ? ' columnalign="left"' : name === 'aligned' ? ' columnalign="right left"' : '';
+        const table = `<mtable${align}>${rows.map(cells => `<mtr>${cells.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('')}</mtable>`;
+        const [open, close] = MATH_ENVIRONMENTS[name];
+        return open || close ? `<mrow>${fence(open)}${table}${fence(close)}</mrow>` : table;
+    };
+
+    const parseCommand = (name) => {
+        if (MATH_SYMBOLS[name]) {
+            // Capital Greek letters are upright
+            return /^[A-Z]/.test(name) ?
+                `<mi mathvariant="normal">${MATH_SYMBOLS[name]}</mi>` : `<mi>${MATH_SYMBOLS[name]}</mi>`;
+        }
+        if (MATH_OPERATORS[name]) return `<mo>${MATH_OPERATORS[name]}</mo>`;
+        if (MATH_LARGE_OPERATORS[name]) return `<mo largeop="true">${MATH_LARGE_OPERATORS[name]}</mo>`;
+        if (MATH_FUNCTIONS.includes(name)) return `<mi>${name}</mi>`;
+        if (MATH_SPACES[name]) return `<mspace width="${MATH_SPACES[name]}"></mspace>`;
+        if (MATH_ACCENTS[name]) return `<mover accent="true">${parseArgument()}<mo>${MATH_ACCENTS[name]}</mo></mover>`;
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+                return `<mfrac>${parseArgument()}${parseArgument()}</mfrac>`;
+            case 'binom':
+                return `<mrow><mo>(</mo><mfrac linethickness="0">${parseArgument()}${parseArgument()}</mfrac><mo>)</mo></mrow>`;
+            case 'sqrt': {
+                skipSpace();
+                if (tokens[pos] !== '[') return `<msqrt>${parseArgument()}</msqrt>`;
+                pos++;
+                const index = row(parseItems([']']));
+                expect(']');
+                return `<mroot>${parseArgument()}${index}</mroot>`;
+            }
+            case 'underline':
+                return `<munder>${parseArgument()}<mo>_</mo></munder>`;
+            case 'text':
+            case 'textrm':
+            case 'mbox':
+                return `<mtext>${escapeHTML(readText())}</mtext>`;
+            case 'mathrm':
+            case 'operatorname':
+                return `<mi mathvariant="normal">${escapeHTML(readText())}</mi>`;
+            case 'mathbf':
+            case 'boldsymbol':
+                return `<mrow style="font-weight: bold">${parseArgument()}</mrow>`;
+            case 'mathbb':
+                return row([...readText()].map(char => `<mi mathvariant="normal">${DOUBLE_STRUCK[char] || escapeHTML(char)}</mi>`));
+            case 'left': {
+                const open = readDelimiter();
+                const items = parseItems(['\\right']);
+                expect('\\right');
+                return `<mrow>${fence(open)}${items.join('')}${fence(readDelimiter())}</mrow>`;
+            }
+            case 'begin':
+                return parseEnvironment(readText());
+        }
+        // Escaped characters such as \{ \} \$ \% \&
+        if (/^[^A-Za-z]$/.test(name)) return `<mo>${escapeHTML(name === '|' ? '‖' : name)}</mo>`;
+        throw new Error(`Unknown command \\${name}`);
+    };
+
+    return `<math${display ? ' display="block"' : ''}>${row(parseItems())}</math>`;
+}
+
+function renderMath(source, { display = false } = {}) {
+    try {
+        return texToMathML(source, { display });
+    } catch (error) {
+        return `<span class="math-error" title="${escapeHTML(error.message)}">${escapeHTML(source)}</span>`;
+    }
+}
+
+// Text with its inline math rendered. The source is kept on the element so
+// the editor reads it back unchanged.
+function inlineMathHTML(text) {
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(INLINE_MATH_PATTERN)) {
+        html += escapeHTML(text.slice(last, match.index)).replace(/\n/g, '<br>');
+        html += `<span class="inline-math" contenteditable="false" data-math="${escapeHTML(match[0])}">${renderMath(match[1])}</span>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHTML(text.slice(last)).replace(/\n/g, '<br>');
+}
+
+// Clicking inline math turns it back into its source, with the caret
+// before the closing dollar
+function editInlineMath(element) {
+    const source = document.createTextNode(element.dataset.math);
+    element.replaceWith(source);
+    const range = document.createRange();
+    range.setStart(source, source.length - 1);
+    range.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+// Diagrams
+// Flowcharts and sequence diagrams described in a mermaid-like syntax, laid
+// out and drawn as SVG here so they render offline.
+const DIAGRAM_FONT_SIZE = 13;
+const DIAGRAM_CHAR_WIDTH = 7.2;
+
+function diagramError(message, line) {
+    return new Error(line ? `Line ${line}: ${message}` : message);
+}
+
+function renderDiagram(source) {
+    const lines = source.split('\n')
+        .map((text, i) => ({ text: text.replace(/%%.*$/, '').trim(), number: i + 1 }))
+        .filter(line => line.text);
+    try {
+        const [header, ...body] = lines;
+        if (/^sequenceDiagram$/i.test(header?.text || '')) {
+            return renderSequenceDiagram(parseSequenceDiagram(body));
+        }
+        // Statements can follow the header after a semicolon
+        const flowchart = header?.text.match(/^(?:graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*(?:;(.*))?$/i);
+        if (flowchart) {
+            const statements = flowchart[2] ? [{ text: flowchart[2], number: header.number }, ...body] : body;
+            return renderFlowchart(parseFlowchart(statements), (flowchart[1] || 'TD').toUpperCase());
+        }
+        throw diagramError('Start with "graph TD", "graph LR" or "sequenceDiagram"', header?.number);
+    } catch (error) {
+        return `<div class="diagram-error">${escapeHTML(error.message)}</div>`;
+    }
+}
+
+function diagramTextWidth(text) {
+    return text.length * DIAGRAM_CHAR_WIDTH;
+}
+
+// Multi-line labels use <br> like mermaid
+function diagramLabelLines(label) {
+    return label.split(/<br\s*\/?>/i);
+}
+
+function diagramTextSVG(label, x, y, className = 'diagram-label') {
+    const lines = diagramLabelLines(label);
+    const lineHeight = DIAGRAM_FONT_SIZE + 4;
+    const top = y - (lines.length - 1) * lineHeight / 2;
+    return `<text class="${className}" x="${x}" y="${top}" text-anchor="middle" dominant-baseline="central">${lines
+        .map((line, i) => `<tspan x="${x}" ${i ? `dy="${lineHeight}"` : ''}>${escapeHTML(line)}</tspan>`).join('')}</text>`;
+}
+
+function diagramArrowDefs(id) {
+    return `
+        <defs>
+            <marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                <path class="diagram-arrowhead" d="M 0 0 L 10 5 L 0 10 z"></path>
+            </marker>
+        </defs>
+    `;
+}
+
+// Flowcharts
+const FLOWCHART_NODE_PATTERN = /^(\w+)\s*(?:\(\((.*?)\)\)|\(\[(.*?)\]\)|\[(.*?)\]|\((.*?)\)|\{(.*?)\})?/;
+const FLOWCHART_EDGE_PATTERN = /^\s*(?:--\s*([^-|>\s][^>]*?)\s*)?(-->|---|-\.->|==>)\s*(?:\|([^|]*)\|)?\s*/;
+const FLOWCHART_EDGE_STYLES = { '-->': 'arrow', '---': 'line', '-.->': 'dotted', '==>': 'thick' };
+
+function parseFlowchart(lines) {
+    const nodes = new Map();
+    const edges = [];
+
+    lines.forEach(({ text, number }) => text.split(';').forEach(statement => {
+        let rest = statement.trim();
+        // Styling and grouping aren't drawn
+        if (!rest || /^(subgraph|end|classDef|class|style|click|linkStyle)\b/.test(rest)) return;
+
+        const readNode = () => {
+            const match = rest.match(FLOWCHART_NODE_PATTERN);
+            if (!match) throw diagramError(`Expected a node at "${rest}"`, number);
+            rest = rest.slice(match[0].length);
+            const [, id, circle, stadium, box, round, diamond] = match;
+            const shape = circle !== undefined ? 'circle' : stadium !== undefined ? 'stadium' :
+                box !== undefined ? 'box' : round !== undefined ? 'round' : diamond !== undefined ? 'diamond' : null;
+            const label = [circle, stadium, box, round, diamond].find(part => part !== undefined);
+            const node = nodes.get(id) || { id, label: id, shape: 'box' };
+            if (shape) {
+                node.shape = shape;
+                node.label = label.trim().replace(/^"(.*)"$/, '$1');
+            }
+            nodes.set(id, node);
+            return node;
+        };
+
+        let from = readNode();
+        while (rest.trim()) {
+            const edge = rest.match(FLOWCHART_EDGE_PATTERN);
+            if (!edge) throw diagramError(`Expected an arrow at "${rest.trim()}"`, number);
+            rest = rest.slice(edge[0].length);
+            const to = readNode();
+            edges.push({ from: from.id, to: to.id, style: FLOWCHART_EDGE_STYLES[edge[2]], label: (edge[1] || edge[3] || '').trim() });
+            from = to;
+        }
+    }));
+    if (nodes.size === 0) throw diagramError('Add nodes and arrows, e.g. A --> B');
+    return { nodes: [...nodes.values()], edges };
+}
+
+// Layered layout: each node's rank is its longest path from a root, edges
+// that close a cycle are ignored for ranking, and each layer is ordered by
+// the average position of the nodes pointing into it.
+function layoutFlowchart(nodes, edges, direction) {
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+    const order = [];
+    const visited = new Map();
+    const backEdges = new Set();
+    const visit = (id) => {
+        visited.set(id, 'visiting');
+        outgoing.get(id).forEach(next => {
+            if (visited.get(next) === 'visiting') {
+                backEdges.add(`${id}>${next}`);
+            } else if (!visited.has(next)) {
+                visit(next);
+            }
+        });
+        visited.set(id, 'done');
+        order.unshift(id);
+    };
+    nodes.forEach(node => {
+        if (!visited.has(node.id)) visit(node.id);
+    });
+
+    const rank = new Map(nodes.map(node => [node.id, 0]));
+    order.forEach(id => outgoing.get(id).forEach(next => {
+        if (!backEdges.has(`${id}>${next}`)) rank.set(next, Math.max(rank.get(next), rank.get(id) + 1));
+    }));
+
+    const layers = [];
+    nodes.forEach(node => {
+        const r = node.rank = rank.get(node.id);
+        (layers[r] = layers[r] || []).push(node);
+    });
+    for (let r = 1; r < layers.length; r++) {
+        const previous = layers[r - 1].map(node => node.id);
+        const weight = (node) => {
+            const positions = edges.filter(edge => edge.to === node.id && previous.includes(edge.from))
+                .map(edge => previous.indexOf(edge.from));
+            return positions.length ? positions.reduce((a, b) => a + b, 0) / positions.length : Infinity;
+        };
+        layers[r].sort((a, b) => weight(a) - weight(b));
+    }
+
+    // Sizes, then positions; layers run down for TD and across for LR
+    nodes.forEach(node => {
+        const lines = diagramLabelLines(node.label);
+        const textWidth = Math.max(...lines.map(diagramTextWidth));
+        node.width = Math.max(60, textWidth + 28);
+        node.height = lines.length * (DIAGRAM_FONT_SIZE + 4) + 20;
+        if (node.shape === 'diamond') {
+            node.width = node.width * 1.4;
+            node.height = node.height * 1.6;
+        } else if (node.shape === 'circle') {
+            node.width = node.height = Math.max(node.width, node.height);
+        }
+    });
+
+    const horizontal = direction === 'LR' || direction === 'RL';
+    const along = (node) => horizontal ? node.width : node.height;
+    const across = (node) => horizontal ? node.height : node.width;
+    const layerGap = 56;
+    const nodeGap = 28;
+    const layerSizes = layers.map(layer => Math.max(...layer.map(along)));
+    const layerSpans = layers.map(layer => layer.reduce((sum, node) => sum + across(node), 0) + nodeGap * (layer.length - 1));
+    const span = Math.max(...layerSpans);
+
+    let offset = 0;
+    layers.forEach((layer, r) => {
+        let position = (span - layerSpans[r]) / 2;
+        layer.forEach(node => {
+            const main = offset + layerSizes[r] / 2;
+            const cross = position + across(node) / 2;
+            node.x = horizontal ? main : cross;
+            node.y = horizontal ? cross : main;
+            position += across(node) + nodeGap;
+        });
+        offset += layerSizes[r] + layerGap;
+    });
+
+    const length = offset - layerGap;
+    const size = horizontal ? { width: length, height: span } : { width: span, height: length };
+    // Bottom-up and right-to-left mirror the layout
+    if (direction === 'BT') nodes.forEach(node => { node.y = size.height - node.y; });
+    if (direction === 'RL') nodes.forEach(node => { node.x = size.width - node.x; });
+    return size;
+}
+
+// Where the line from the node's centre towards (x, y) leaves its outline
+function flowchartNodeEdgePoint(node, x, y) {
+    const dx = x - node.x;
+    const dy = y - node.y;
+    if (!dx && !dy) return { x: node.x, y: node.y };
+    const hw = node.width / 2;
+    const hh = node.height / 2;
+    let scale;
+    if (node.shape === 'circle') {
+        scale = hw / Math.hypot(dx, dy);
+    } else if (node.shape === 'diamond') {
+        scale = 1 / (Math.abs(dx) / hw + Math.abs(dy) / hh);
+    } else {
+        scale = Math.min(dx ? hw / Math.abs(dx) : Infinity, dy ? hh / Math.abs(dy) : Infinity);
+    }
+    return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+function flowchartNodeSVG(node) {
+    const { x, y, width, height } = node;
+    const left = x - width / 2;
+    const top = y - height / 2;
+    const shape = {
+        box: `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="3"></rect>`,
+        round: `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="12"></rect>`,
+        stadium: `<rect x="${left}" y="${top}" width="${width}" height="${height}" rx="${height / 2}"></rect>`,
+        circle: `<circle cx="${x}" cy="${y}" r="${width / 2}"></circle>`,
+        diamond: `<polygon points="${x},${top} ${left + width},${y} ${x},${top + height} ${left},${y}"></polygon>`
+    }[node.shape];
+    return `<g class="diagram-node">${shape}${diagramTextSVG(node.label, x, y)}</g>`;
+}
+
+function renderFlowchart({ nodes, edges }, direction) {
+    const { width, height } = layoutFlowchart(nodes, edges, direction);
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const markerId = `diagram-arrow-${generateId()}`;
+    let padding = 8;
+
+    const edgesSVG = edges.map(edge => {
+        const from = byId.get(edge.from);
+        const to = byId.get(edge.to);
+        // Edges that skip a layer or point backwards bow out to the side
+        // instead of running straight through the nodes in between
+        const skipped = to.rank - from.rank;
+        const bow = skipped === 1 ? 0 : 36 * Math.max(1, Math.abs(skipped));
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        const control = {
+            x: (from.x + to.x) / 2 + bow * (from.y - to.y) / length,
+            y: (from.y + to.y) / 2 + bow * (to.x - from.x) / length
+        };
+        padding = Math.max(padding, bow / 2 + 8);
+        const start = flowchartNodeEdgePoint(from, bow ? control.x : to.x, bow ? control.y : to.y);
+        const end = flowchartNodeEdgePoint(to, bow ? control.x : from.x, bow ? control.y : from.y);
+        const label = edge.label ? (() => {
+            const x = bow ? (start.x + end.x) / 4 + control.x / 2 : (start.x + end.x) / 2;
+            const y = bow ? (start.y + end.y) / 4 + control.y / 2 : (start.y + end.y) / 2;
+            const w = diagramTextWidth(edge.label) + 8;
+            return `<rect class="diagram-edge-label-bg" x="${x - w / 2}" y="${y - 10}" width="${w}" height="20"></rect>
+                ${diagramTextSVG(edge.label, x, y, 'diagram-edge-label')}`;
+        })() : '';
+        return `
+            <path class="diagram-edge ${edge.style}" d="M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}"
+                  ${edge.style === 'line' ? '' : `marker-end="url(#${markerId})"`}></path>
+            ${label}
+        `;
+    }).join('');
+
+    return `
+        <svg class="diagram-svg" viewBox="${-padding} ${-padding} ${width + padding * 2} ${height + padding * 2}"
+             width="${width + padding * 2}" height="${height + padding * 2}" role="img">
+            ${diagramArrowDefs(markerId)}
+            ${edgesSVG}
+            ${nodes.map(flowchartNodeSVG).join('')}
+        </svg>
+    `;
+}
+
+// Sequence diagrams
+const SEQUENCE_MESSAGE_PATTERN = /^(.+?)\s*(-->>|->>|-->|->|--x|-x)\s*[+-]?\s*(.+?)\s*(?::(.*))?$/;
+const SEQUENCE_NOTE_PATTERN = /^note\s+(left of|right of|over)\s+([^:]+?)\s*:(.*)$/i;
+
+function parseSequenceDiagram(lines) {
+    const participants = new Map();
+    const steps = [];
+    let autonumber = false;
+    const participant = (id, label = id) => {
+        if (!participants.has(id)) participants.set(id, { id, label });
+        return participants.get(id);
+    };
+
+    lines.forEach(({ text, number }) => {
+        let match;
+        if ((match = text.match(/^(?:participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i))) {
+            participant(match[1].trim()).label = (match[2] || match[1]).trim();
+        } else if (/^autonumber$/i.test(text)) {
+            autonumber = true;
+        } else if ((match = text.match(SEQUENCE_NOTE_PATTERN))) {
+            const over = match[2].split(',').map(id => participant(id.trim()).id);
+            steps.push({ kind: 'note', placement: match[1].toLowerCase(), over, text: match[3].trim() });
+        } else if ((match = text.match(SEQUENCE_MESSAGE_PATTERN))) {
+            const [, from, arrow, to, label = ''] = match;
+            steps.push({
+                kind: 'message',
+                from: participant(from.trim()).id,
+                to: participant(to.trim()).id,
+                dashed: arrow.startsWith('--'),
+                head: arrow.endsWith('x') ? 'cross' : arrow.endsWith('>>') ? 'arrow' : 'none',
+                text: label.trim()
+            });
+        } else if (/^(loop|alt|else|opt|par|and|rect|critical|break|end|activate|deactivate)\b/i.test(text)) {
+            // Blocks and activations aren't drawn; their messages still are
+        } else {
+            throw diagramError(`Can't read "${text}"`, number);
+        }
+    });
+    if (participants.size === 0) throw diagramError('Add messages, e.g. Alice->>Bob: Hello');
+    if (autonumber) {
+        steps.filter(step => step.kind === 'message').forEach((step, i) => { step.text = `${i + 1}. ${step.text}`; });
+    }
+    return { participants: [...participants.values()], steps };
+}
+
+function renderSequenceDiagram({ participants, steps }) {
+    const boxHeight = 36;
+    const rowHeight = 44;
+    const widest = Math.max(...steps.map(step => diagramTextWidth(step.text)), 0);
+    const boxWidth = Math.max(90, ...participants.map(p => diagramTextWidth(p.label) + 24));
+    const gap = Math.max(boxWidth + 30, widest + 40);
+    const columns = new Map(participants.map((p, i) => [p.id, boxWidth / 2 + i * gap]));
+    const width = boxWidth + (participants.length - 1) * gap;
+    const markerId = `diagram-arrow-${generateId()}`;
+
+    let y = boxHeight + 20;
+    const stepsSVG = steps.map(step => {
+        const top = y;
+        if (step.kind === 'note') {
+            const xs = step.over.map(id => columns.get(id));
+            const noteWidth = Math.max(diagramTextWidth(step.text) + 20, 60);
+            const center = step.placement === 'over' ? (Math.min(...xs) + Math.max(...xs)) / 2 :
+                step.placement === 'left of' ? xs[0] - noteWidth / 2 - 10 : xs[0] + noteWidth / 2 + 10;
+            const spanned = step.placement === 'over' ? Math.max(...xs) - Math.min(...xs) + 40 : 0;
+            const w = Math.max(noteWidth, spanned);
+            y += rowHeight;
+            return `<g class="diagram-note">
+                <rect x="${center - w / 2}" y="${top}" width="${w}" height="${rowHeight - 10}"></rect>
+                ${diagramTextSVG(step.text, center, top + (rowHeight - 10) / 2)}
+            </g>`;
+        }
+        const from = columns.get(step.from);
+        const to = columns.get(step.to);
+        const lineClass = `diagram-edge ${step.dashed ? 'dotted' : ''}`;
+        const marker = step.head === 'arrow' ? `marker-end="url(#${markerId})"` : '';
+        const cross = (x, yy) => step.head === 'cross' ?
+            `<path class="diagram-edge" d="M ${x - 5} ${yy - 5} L ${x + 5} ${yy + 5} M ${x - 5} ${yy + 5} L ${x + 5} ${yy - 5}"></path>` : '';
+        if (from === to) {
+            // A message to itself loops out to the right
+            y += rowHeight + 16;
+            const lineY = top + 20;
+            return `
+                <path class="${lineClass}" d="M ${from} ${lineY} H ${from + 36} V ${lineY + 18} H ${from}" fill="none" ${marker}></path>
+                ${cross(from, lineY + 18)}
+                <text class="diagram-edge-label" x="${from + 42}" y="${lineY + 9}" dominant-baseline="central">${escapeHTML(step.text)}</text>
+            `;
+        }
+        y += rowHeight;
+        const lineY = top + 24;
+        return `
+            <line class="${lineClass}" x1="${from}" y1="${lineY}" x2="${to}" y2="${lineY}" ${marker}></line>
+            ${cross(to, lineY)}
+            ${diagramTextSVG(step.text, (from + to) / 2, lineY - 10, 'diagram-edge-label')}
+        `;
+    }).join('');
+
+    const bottom = y + 10;
+    const height = bottom + boxHeight;
+    const box = (p, top) => `<g class="diagram-node">
+        <rect x="${columns.get(p.id) - boxWidth / 2}" y="${top}" width="${boxWidth}" height="${boxHeight}" rx="3"></rect>
+        ${diagramTextSVG(p.label, columns.get(p.id), top + boxHeight / 2)}
+    </g>`;
+    // Notes left of the first participant can reach past the edge
+    const padding = Math.max(8, widest / 2);
+
+    return `
+        <svg class="diagram-svg" viewBox="${-padding} -8 ${width + padding * 2} ${height + 16}"
+             width="${width + padding * 2}" height="${height + 16}" role="img">
+            ${diagramArrowDefs(markerId)}
+            ${participants.map(p => `<line class="diagram-lifeline" x1="${columns.get(p.id)}" y1="${boxHeight}" x2="${columns.get(p.id)}" y2="${bottom}"></line>`).join('')}
+            ${participants.map(p => box(p, 0) + box(p, bottom)).join('')}
+            ${stepsSVG}
+        </svg>
+    `;
+}
+
+// Source blocks
+// Math and diagram blocks show their rendered source; clicking one opens the
+// source in a textarea with a live preview.
+const SOURCE_BLOCK_RENDERERS = {
+    math: (source) => renderMath(source, { display: true }),
+    diagram: renderDiagram
+};
+
+function renderSourceBlock(block, placeholder) {
+    const source = typeof block.content === 'string' ? block.content : '';
+    return `
+        <div class="source-block ${block.type}-block ${source.trim() ? '' : 'editing'}">
+            <div class="source-preview">${source.trim() ? SOURCE_BLOCK_RENDERERS[block.type](source) : ''}</div>
+            <textarea class="source-input" id="${block.id}" spellcheck="false" autocapitalize="off"
+                      rows="${source.split('\n').length}" placeholder="${placeholder}">\n${escapeHTML(source)}</textarea>
+        </div>
+    `;
+}
+
+function setupSourceBlockEvents(blockElement, blockId, type) {
+    const row = blockElement.querySelector(':scope > .block-row');
+    const container = row.querySelector('.source-block');
+    const input = row.querySelector('.source-input');
+    const preview = row.querySelector('.source-preview');
+    if (!input) return;
+
+    preview.addEventListener('click', () => input.focus());
+    input.addEventListener('focus', () => container.classList.add('editing'));
+    input.addEventListener('blur', () => container.classList.toggle('editing', !input.value.trim()));
+    input.addEventListener('input', () => {
+        updateBlock(blockId, { content: input.value }, { coalesce: true });
+        input.rows = input.value.split('\n').length;
+        preview.innerHTML = input.value.trim() ? SOURCE_BLOCK_RENDERERS[type](input.value) : '';
+    });
+    input.addEventListener('keydown', handleCodeKeydown(blockId));
+}
+
+// Callouts
+// A callout is a text block set in a colored box with an icon; its children
+// sit inside the box. Colors map onto GitHub's alert kinds for markdown.
+const CALLOUT_ICONS = ['💡', '📌', 'ℹ️', '⚠️', '❗', '✅', '🔥', '📝', '❓', '🚧'];
+const CALLOUT_COLORS = {
+    gray: { label: 'Gray', alert: 'NOTE' },
+    blue: { label: 'Blue', alert: 'NOTE' },
+    green: { label: 'Green', alert: 'TIP' },
+    yellow: { label: 'Yellow', alert: 'WARNING' },
+    red: { label: 'Red', alert: 'CAUTION' },
+    purple: { label: 'Purple', alert: 'IMPORTANT' }
+};
+const CALLOUT_ALERT_COLORS = { NOTE: 'blue', TIP: 'green', IMPORTANT: 'purple', WARNING: 'yellow', CAUTION: 'red' };
+
+function getCalloutColor(block) {
+    return CALLOUT_COLORS[block.color] ? block.color : 'gray';
+}
+
+function showCalloutMenu(blockId, targetElement) {
+    document.querySelector('.callout-menu')?.remove();
+    const block = findBlock(blockId);
+    if (!block) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'callout-menu';
+    menu.innerHTML = `
+        <div class="callout-menu-icons">
+            ${CALLOUT_ICONS.map(icon => `<button class="callout-menu-icon" data-icon="${icon}">${icon}</button>`).join('')}
+            <button class="callout-menu-icon custom" title="Other icon">…</button>
+        </div>
+        <div class="callout-menu-colors">
+            ${Object.entries(CALLOUT_COLORS).map(([color, { label }]) => `
+                <button class="callout-menu-color callout-${color} ${getCalloutColor(block) === color ? 'active' : ''}"
+                        data-color="${color}" title="${label}"></button>
+            `).join('')}
+        </div>
+    `;
+    document.body.appendChild(menu);
+
+    const rect = targetElement.getBoundingClientRect();
+    menu.style.left = `${rect.left + window.scrollX}px`;
+    menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+
+    const close = () => {
+        menu.remove();
+        document.removeEventListener('click', clickHandler);
+    };
+    const clickHandler = (e) => {
+        if (!menu.contains(e.target)) close();
+    };
+    const apply = (updates) => {
+        close();
+        updateBlock(blockId, updates);
+        renderBlocks();
+    };
+    menu.querySelectorAll('.callout-menu-icon').forEach(button => {
+        button.addEventListener('click', () => {
+            const icon = button.dataset.icon || prompt('Icon (an emoji or a character):', block.icon || CALLOUT_ICONS[0])?.trim();
+            if (icon) apply({ icon });
+        });
+    });
+    menu.querySelectorAll('.callout-menu-color').forEach(button => {
+        button.addEventListener('click', () => apply({ color: button.dataset.color }));
+    });
+    setTimeout(() => document.addEventListener('click', clickHandler), 0);
+}
+
+// Column layouts
+// A columns block holds column blocks side by side, and each column holds
+// ordinary blocks. Columns only lay blocks out: they have no content, aren't
+// offered as a block type and are skipped when moving through the page.
+const COLUMN_LIMIT = 5;
+
+function isLayoutBlock(block) {
+    return block.type === 'columns' || block.type === 'column';
+}
+
+// Layout blocks are never what Enter should continue with
+function createColumnsBlock(columns) {
+    const lastBlockType = state.lastBlockType;
+    const block = createBlock('columns', '', columns.map(children => createBlock('column', '', children)));
+    state.lastBlockType = lastBlockType;
+    return block;
+}
+
+// The column a block sits in, if any
+function getEnclosingColumn(id) {
+    let location = findBlockLocation(id);
+    while (location?.parent) {
+        if (location.parent.type === 'column') return location.parent.id;
+        location = findBlockLocation(location.parent.id);
+    }
+    return null;
+}
+
+function renderColumn(column) {
+    const children = column.children || [];
+    return `
+        <div class="block column" id="block-${column.id}" data-block-id="${column.id}">
+            <span class="remove-column-btn" title="Remove column">×</span>
+            <div class="block-children">
+                ${children.length > 0 ? renderBlockTree(children) : '<div class="column-empty">Empty column. Click to add a block.</div>'}
+            </div>
+        </div>
+    `;
+}
+
+function setupColumnsEvents(blockElement, blockId) {
+    const row = blockElement.querySelector(':scope > .block-row');
+    row.querySelector('.add-column-btn')?.addEventListener('click', () => addColumn(blockId));
+
+    blockElement.querySelectorAll(':scope > .columns-row > .column').forEach(columnElement => {
+        const columnId = columnElement.dataset.blockId;
+        columnElement.querySelector(':scope > .remove-column-btn').addEventListener('click', () => removeColumn(columnId));
+        columnElement.querySelector(':scope > .block-children > .column-empty')?.addEventListener('click', () => {
+            addBlock('text', '', { parentId: columnId });
+        });
+    });
+}
+
+// Selected sibling blocks go side by side, one per column; a single block
+// gets an empty column beside it
+function wrapInColumns(ids) {
+    const locations = ids.map(id => findBlockLocation(id)).filter(location => location && !isLayoutBlock(location.block));
+    if (locations.length === 0) return;
+    const sideBySide = locations.length > 1 && locations.length <= COLUMN_LIMIT &&
+        locations.every(location => location.siblings === locations[0].siblings);
+
+    transact('Turn into columns', { blockId: locations[0].block.id }, () => {
+        if (sideBySide) {
+            const siblings = locations[0].siblings;
+            const blocks = locations.map(location => location.block)
+                .sort((a, b) => siblings.indexOf(a) - siblings.indexOf(b));
+            const index = siblings.indexOf(blocks[0]);
+            blocks.slice(1).forEach(block => siblings.splice(siblings.indexOf(block), 1));
+            siblings.splice(index, 1, createColumnsBlock(blocks.map(block => [block])));
+        } else {
+            locations.forEach(({ block }) => {
+                const location = findBlockLocation(block.id);
+                location.siblings.splice(location.index, 1, createColumnsBlock([[block], []]));
+            });
+        }
+        saveBlocks();
+        renderBlocks();
+    });
+    setTimeout(() => document.getElementById(locations[0].block.id)?.focus(), 0);
+}
+
+// Lays the blocks of every column out one after another in place of the layout
+function unwrapColumns(id) {
+    const location = findBlockLocation(id);
+    if (!location || location.block.type !== 'columns') return;
+
+    recordHistory('Remove columns', { blockId: id });
+    const blocks = (location.block.children || []).flatMap(column => column.children || []);
+    location.siblings.splice(location.index, 1, ...blocks);
+    saveBlocks();
+    renderBlocks();
+}
+
+function addColumn(columnsId) {
+    const columns = findBlock(columnsId);
+    if (!columns) return;
+    if (columns.children.length >= COLUMN_LIMIT) {
+        showToast(`A layout holds up to ${COLUMN_LIMIT} columns`);
+        return;
+    }
+
+    recordHistory('Add column', { blockId: columnsId });
+    const lastBlockType = state.lastBlockType;
+    columns.children = [...columns.children, createBlock('column')];
+    state.lastBlockType = lastBlockType;
+    saveBlocks();
+    renderBlocks();
+}
+
+// A removed column's blocks move to the end of the column before it (the
+// start of the next one for the first column); with one column left the
+// layout is unwrapped
+function removeColumn(columnId) {
+    const location = findBlockLocation(columnId);
+    if (!location || location.parent?.type !== 'columns') return;
+
+    transact('Remove column', { blockId: columnId }, () => {
+        const [column] = location.siblings.splice(location.index, 1);
+        const moved = column.children || [];
+        if (location.index > 0) {
+            const previous = location.siblings[location.index - 1];
+            previous.children = [...(previous.children || []), ...moved];
+        } else if (location.siblings.length > 0) {
+            location.siblings[0].children = [...moved, ...(location.siblings[0].children || [])];
+        }
+        if (location.siblings.length <= 1) {
+            unwrapColumns(location.parent.id);
+        } else {
+            saveBlocks();
+            renderBlocks();
+        }
+    });
+}
+
+// Synced blocks
+// A synced block shows another block and its children live from wherever it
+// is stored. Its content is { pageId, blockId }, the ids in a link made with
+// copyBlockLink(). Text typed into the synced copy is saved to the original,
+// so both places show the same content; structure is edited at the original.
+function parseBlockLink(text) {
+    const match = text.trim().match(/#page=([^&\s]+)&(?:amp;)?block=([\w-]+)/);
+    return match ? { pageId: decodeURIComponent(match[1]), blockId: match[2] } : null;
+}
+
+// The page a linked block is on. Blocks moved to another page keep their ids,
+// so when the block is no longer on the linked page the other pages are searched.
+function findBlockPageId(blockId, pageId = null) {
+    const blocksOf = (id) => id === state.currentPage ? state.blocks : storageGet(`page-${id}`, []);
+    const pages = [getPage(pageId), ...state.pages.filter(page => page.id !== pageId)].filter(Boolean);
+    return pages.find(page => findBlock(blockId, blocksOf(page.id)))?.id || null;
+}
+
+// The referenced block, the block list of the page it's stored in and that page's id
+function getSyncedSource({ pageId, blockId }) {
+    const sourcePageId = findBlockPageId(blockId, pageId);
+    if (!sourcePageId) return null;
+    const blocks = sourcePageId === state.currentPage ? state.blocks : storageGet(`page-${sourcePageId}`, []);
+    return { block: findBlock(blockId, blocks), blocks, pageId: sourcePageId };
+}
+
+// The source subtree with synced blocks inside it left out, so blocks that
+// show each other can't recurse
+function getSyncedContent(block) {
+    const source = block.content && getSyncedSource(block.content);
+    if (!source || source.block.type === 'synced') return null;
+    const strip = (b) => ({ ...b, children: (b.children || []).filter(child => child.type !== 'synced').map(strip) });
+    return strip(source.block);
+}
+
+function renderSyncedBlock(block) {
+    if (!block.content) {
+        return `
+            <div class="synced-block empty">
+                <input type="text" class="synced-link-input" id="${block.id}"
+                       placeholder="Paste a block link (🔗 on any block) and press Enter">
+            </div>
+        `;
+    }
+
+    const { blockId } = block.content;
+    const source = getSyncedContent(block);
+    const pageId = findBlockPageId(blockId, block.content.pageId) || block.content.pageId;
+    const page = getPage(pageId);
+    return `
+        <div class="synced-block" data-page-id="${escapeHTML(pageId)}">
+            <div class="synced-label">
+                ⟳ ${pageId === state.currentPage ? 'Synced from this page' :
+                    `Synced from <a href="#page=${escapeHTML(pageId)}&block=${escapeHTML(blockId)}" class="internal-link">${escapeHTML(page?.name || 'a deleted page')}</a>`}
+            </div>
+            <div class="synced-body">
+                ${source ? renderSyncedItems([source]) : '<div class="synced-missing">The original block was deleted.</div>'}
+            </div>
+        </div>
+    `;
+}
+
+// Text blocks are editable in place; other blocks are shown as their text
+function renderSyncedItems(blocks) {
+    return blocks.map(block => {
+        const children = block.children || [];
+        let body = '';
+        if (isRichText(block.type)) {
+            body = `
+                ${block.type === 'todo' ? `<input type="checkbox" class="todo-checkbox" ${block.checked ? 'checked' : ''}>` : ''}
+                ${block.type === 'callout' ? `<span class="callout-icon">${escapeHTML(block.icon || CALLOUT_ICONS[0])}</span>` : ''}
+                <div class="synced-content" contenteditable="true"
+                     data-placeholder="${blockTypes[block.type].label}">${runsToHTML(block.content)}</div>
+            `;
+        } else if (!isLayoutBlock(block)) {
+            body = `<div class="synced-static">${escapeHTML(getBlockText(block)) || escapeHTML(blockTypes[block.type]?.label || '')}</div>`;
+        }
+        return `
+            <div class="synced-item ${block.type} ${block.type === 'callout' ? `callout-${getCalloutColor(block)}` : ''}"
+                 data-source-id="${block.id}">
+                ${body ? `<div class="synced-row">${body}</div>` : ''}
+                ${children.length > 0 ? `<div class="synced-children">${renderSyncedItems(children)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function setupSyncedBlockEvents(blockElement, blockId) {
+    const container = blockElement.querySelector(':scope > .block-row .synced-block');
+    const input = container?.querySelector('.synced-link-input');
+    if (input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            linkSyncedBlock(blockId, input.value);
+        });
+        input.addEventListener('paste', (e) => {
+            e.preventDefault();
+            linkSyncedBlock(blockId, (e.clipboardData || window.clipboardData).getData('text/plain'));
+        });
+    } else if (container) {
+        setupSyncedItems(container, findBlock(blockId).content);
+    }
+}
+
+function linkSyncedBlock(blockId, text) {
+    let ref = parseBlockLink(text);
+    if (!ref) {
+        showToast('Paste a link copied with "Copy block link"');
+        return;
+    }
+    // A link to another synced block follows it to the original
+    const linked = getSyncedSource(ref);
+    if (linked?.block.type === 'synced' && linked.block.content) ref = linked.block.content;
+
+    const source = getSyncedSource(ref);
+    if (!source) {
+        showToast('That block no longer exists');
+    } else if (ref.blockId === blockId || containsBlock(source.block, blockId)) {
+        showToast('A synced block can\'t show itself');
+    } else {
+        updateBlock(blockId, { content: ref });
+        renderBlocks();
+    }
+}
+
+function setupSyncedItems(container, ref) {
+    container.querySelectorAll('.synced-item').forEach(item => {
+        const sourceId = item.dataset.sourceId;
+        const row = item.querySelector(':scope > .synced-row');
+        const contentElement = row?.querySelector('.synced-content');
+
+        row?.querySelector('.todo-checkbox')?.addEventListener('change', (e) => {
+            updateSyncedSource(ref, sourceId, { checked: e.target.checked, status: e.target.checked ? 'Done' : 'Not started' });
+            renderBlocks();
+        });
+
+        if (!contentElement) return;
+        contentElement.addEventListener('input', () => {
+            const runs = item.classList.contains('todo') ?
+                resolveEditorDateMentions(contentElement) : readEditorRuns(contentElement);
+            updateSyncedSource(ref, sourceId, { content: runs }, { coalesce: true });
+        });
+        // Blocks are added and removed at the original, so Enter only leaves the editor
+        contentElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                contentElement.blur();
+            }
+        });
+        contentElement.addEventListener('paste', handlePaste);
+        contentElement.addEventListener('click', (e) => {
+            const math = e.target.closest('.inline-math');
+            if (math && contentElement.contains(math)) editInlineMath(math);
+        });
+    });
+}
+
+// Updates the original block, wherever it's stored, and the other places it's shown
+function updateSyncedSource(ref, sourceId, updates, { coalesce = false } = {}) {
+    const pageId = findBlockPageId(sourceId, ref.pageId);
+    if (!pageId) return;
+    if (pageId === state.currentPage) {
+        updateBlock(sourceId, updates, { coalesce });
+        const original = document.getElementById(sourceId);
+        if (updates.content && original?.contentEditable === 'true') original.innerHTML = runsToHTML(findBlock(sourceId).content);
+        return;
+    }
+
+    const blocks = storageGet(`page-${pageId}`, []);
+    const location = findBlockLocation(sourceId, blocks);
+    if (!location) return;
+    recordHistory(coalesce ? 'Typing' : 'Edit block', { coalesce: coalesce ? 'typing' : null, pageIds: [pageId] });
+    location.siblings[location.index] = withDueDate({ ...location.block, ...updates, updatedAt: new Date().toISOString() });
+    recordVersion(pageId);
+    storageSet(`page-${pageId}`, blocks);
+    invalidateSearchIndex(pageId);
+    invalidateLinkIndex(pageId);
+    refreshSyncedBlocks(pageId);
+}
+
+// Re-renders the synced blocks on the page showing blocks from `pageId` (all
+// of them when null), except the one being typed in
+function refreshSyncedBlocks(pageId = null) {
+    if (state.view) return;
+    elements.blocksContainer.querySelectorAll('.block.synced').forEach(blockElement => {
+        const block = findBlock(blockElement.dataset.blockId);
+        const container = blockElement.querySelector(':scope > .block-row .synced-block');
+        if (!block?.content || (pageId && findBlockPageId(block.content.blockId, block.content.pageId) !== pageId)) return;
+        if (!container || container.contains(document.activeElement)) return;
+        container.outerHTML = renderSyncedBlock(block);
+        setupSyncedBlockEvents(blockElement, block.id);
+    });
+}
+
+// Due dates
+// A to-do is due on the first @YYYY-MM-DD mention in its text. Relative
+// mentions (@today, @tomorrow, @friday...) are rewritten to the date they
+// stand for as they're typed, so a due date doesn't move as days pass.
+const DATE_MENTION_PATTERN = /(^|\s)@(\d{4}-\d{2}-\d{2})(?![\w-])/g;
+const RELATIVE_DATE_PATTERN = /(^|\s)@(today|tomorrow|yesterday|next week|monday|tuesday|wednesday|thursday|friday|saturday|sunday)(?=\s)/gi;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const REMINDER_INTERVAL_MS = 60 * 1000;
+
+// Local calendar date as YYYY-MM-DD
+function toDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    // Rejects dates like 2026-02-30 that roll over into the next month
+    return toDateKey(date) === key ? date : null;
+}
+
+function resolveRelativeDate(word, from = new Date()) {
+    const name = word.toLowerCase();
+    const weekday = WEEKDAYS.indexOf(name);
+    // A weekday means the next one to come; naming today means a week from now
+    const days = weekday === -1 ?
+        { today: 0, tomorrow: 1, yesterday: -1, 'next week': 7 }[name] :
+        (weekday - from.getDay() + 7) % 7 || 7;
+    return toDateKey(new Date(from.getFullYear(), from.getMonth(), from.getDate() + days));
+}
+
+// Mentions inside code or links are left alone
+function isPlainRun(run) {
+    return !run.link && !run.pageId && !run.missingPage && !run.marks?.includes('code');
+}
+
+function findDueDate(runs) {
+    const text = runs.filter(isPlainRun).map(run => run.text).join('');
+    for (const match of text.matchAll(DATE_MENTION_PATTERN)) {
+        if (parseDateKey(match[2])) return match[2];
+    }
+    return null;
+}
+
+// Keeps `due` in step with the text; called wherever block content is replaced
+function withDueDate(block) {
+    const due = block.type === 'todo' && Array.isArray(block.content) ? findDueDate(block.content) : null;
+    if (due) {
+        block.due = due;
+    } else {
+        delete block.due;
+    }
+    return block;
+}
+
+// Returns the runs with relative mentions replaced, or null when there are none
+function resolveDateMentions(runs, from = new Date()) {
+    let changed = false;
+    const resolved = runs.map(run => {
+        if (!isPlainRun(run)) return run;
+        const text = run.text.replace(RELATIVE_DATE_PATTERN, (match, space, word) => {
+            changed = true;
+            return `${space}@${resolveRelativeDate(word, from)}`;
+        });
+        return text === run.text ? run : { ...run, text };
+    });
+    return changed ? resolved : null;
+}
+
+// Reads a to-do editor, rewriting relative mentions in place and keeping the caret
+function resolveEditorDateMentions(contentElement) {
+    const runs = readEditorRuns(contentElement);
+    const resolved = resolveDateMentions(runs);
+    if (!resolved) return runs;
+
+    const offsets = getSelectionOffsets(contentElement);
+    const shift = runsToText(resolved).length - runsToText(runs).length;
+    contentElement.innerHTML = runsToHTML(resolved);
+    if (offsets) setSelectionOffsets(contentElement, offsets.start + shift, offsets.end + shift);
+    return resolved;
+}
+
+function getDueStatus(due, today = toDateKey(new Date())) {
+    if (!due) return null;
+    if (due < today) return 'overdue';
+    return due === today ? 'today' : 'upcoming';
+}
+
+function formatDueDate(due, now = new Date()) {
+    const date = parseDateKey(due);
+    if (!date) return due;
+    const days = Math.round((date - new Date(now.getFullYear(), now.getMonth(), now.getDate())) / 86400000);
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Tomorrow';
+    if (days === -1) return 'Yesterday';
+    return date.toLocaleDateString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric'
+    });
+}
+
+// Always rendered, empty when there's no date, so editing can swap it in place
+function dueBadgeHTML(block) {
+    if (!block?.due) return '<span class="todo-due"></span>';
+    const status = block.checked ? 'done' : getDueStatus(block.due);
+    return `<span class="todo-due ${status}" title="Due ${escapeHTML(block.due)}">${escapeHTML(formatDueDate(block.due))}</span>`;
+}
+
+// All tasks
+// Unchecked to-dos from every page. Other pages are read from storage, so
+// they don't need to be opened first.
+function collectOpenTasks() {
+    const tasks = [];
+    state.pages.forEach(page => {
+        const blocks = page.id === state.currentPage ? state.blocks : storageGet(`page-${page.id}`, []);
+        forEachBlock(blocks, block => {
+            if (block.type === 'todo' && !block.checked) tasks.push({ pageId: page.id, block });
+        });
+    });
+    return tasks;
+}
+
+function renderAllTasks() {
+    const today = toDateKey(new Date());
+    const groups = [
+        { key: 'overdue', label: 'Overdue', tasks: [] },
+        { key: 'today', label: 'Today', tasks: [] },
+        { key: 'upcoming', label: 'Upcoming', tasks: [] },
+        { key: 'none', label: 'No date', tasks: [] }
+    ];
+    collectOpenTasks()
+        .sort((a, b) => (a.block.due || '').localeCompare(b.block.due || ''))
+        .forEach(task => {
+            const key = getDueStatus(task.block.due, today) || 'none';
+            groups.find(group => group.key === key).tasks.push(task);
+        });
+
+    const taskHTML = ({ pageId, block }) => `
+        <div class="task-item" data-page-id="${pageId}" data-block-id="${block.id}">
+            <input type="checkbox" class="task-checkbox">
+            <span class="task-text">${runsToHTML(block.content) || '<span class="board-card-untitled">Untitled</span>'}</span>
+            ${dueBadgeHTML(block)}
+            <span class="task-page" title="Open in page">${escapeHTML(getPage(pageId).name)}</span>
+        </div>
+    `;
+    const nonEmpty = groups.filter(group => group.tasks.length > 0);
+
+    elements.blocksContainer.innerHTML = `
+        <div class="all-tasks">
+            ${nonEmpty.length === 0 ? `
+                <div class="board-empty">No open tasks. Add to-dos to any page and mention a date like @tomorrow to schedule them.</div>
+            ` : nonEmpty.map(group => `
+                <section class="task-group ${group.key}">
+                    <h2 class="task-group-header">
+                        ${group.label}
+                        <span class="board-count">${group.tasks.length}</span>
+                    </h2>
+                    ${group.tasks.map(taskHTML).join('')}
+                </section>
+            `).join('')}
+        </div>
+    `;
+
+    elements.blocksContainer.querySelectorAll('.task-item').forEach(item => {
+        const { pageId, blockId } = item.dataset;
+        item.querySelector('.task-checkbox').addEventListener('change', () => completeTask(pageId, blockId));
+        item.querySelector('.task-page').addEventListener('click', () => openBlock(pageId, blockId));
+    });
+}
+
+function completeTask(pageId, blockId) {
+    const isCurrent = pageId === state.currentPage;
+    const blocks = isCurrent ? state.blocks : storageGet(`page-${pageId}`, []);
+    const block = findBlock(blockId, blocks);
+    if (!block) return;
+
+    transact('Complete task', { pageIds: isCurrent ? [] : [pageId] }, () => {
+        block.checked = true;
+        block.status = 'Done';
+        block.updatedAt = new Date().toISOString();
+        if (isCurrent) {
+            saveBlocks();
+        } else {
+            storageSet(`page-${pageId}`, blocks);
+            invalidateSearchIndex(pageId);
+            invalidateLinkIndex(pageId);
+        }
+        renderBlocks();
+    });
+}
+
+registerCommand({ id: 'view.tasks', title: 'All tasks', category: 'Go to', icon: '✓',
+    description: 'Open to-dos from every page by due date', keywords: ['due tasks', 'to-dos'], run: () => showView('tasks') });
+
+// Reminders
+// Each open task due today is announced once per session: tasks already due
+// when the app opens get one summary toast, later ones a toast each as
+// their day arrives or a date mention makes them due.
+const announcedTasks = new Set();
+
+function checkDueTasks({ initial = false } = {}) {
+    const today = toDateKey(new Date());
+    const due = collectOpenTasks().filter(({ block }) => {
+        const status = getDueStatus(block.due, today);
+        return (status === 'today' || (initial && status === 'overdue')) &&
+            !announcedTasks.has(`${block.id}:${block.due}`);
+    });
+    if (due.length === 0) return;
+
+    due.forEach(({ block }) => announcedTasks.add(`${block.id}:${block.due}`));
+    if (initial) {
+        showToast(`${due.length} task${due.length === 1 ? '' : 's'} due — see All tasks`, 5000);
+    } else if (due.length === 1) {
+        showToast(`Due today: ${runsToText(due[0].block.content).trim() || 'Untitled task'}`, 5000);
+    } else {
+        showToast(`${due.length} tasks are due today`, 5000);
+    }
+}
+
+function startDueReminders() {
+    checkDueTasks({ initial: true });
+    setInterval(checkDueTasks, REMINDER_INTERVAL_MS);
+}
+
+// Keyboard shortcuts
+// Every shortcut is a command declared in KEYMAP_COMMANDS with its default
+// keys. Keys are written like "Mod+Shift+K" (Mod is Ctrl, or Cmd on a Mac),
+// and keys pressed one after another are separated by spaces ("G G").
+// A command's scope says when it listens: anywhere, while editing a block or
+// a block's source (code, math, diagrams), on a block selection, between
+// blocks in Vim-style navigation, in the command palette, or as text typed at
+// the start of a block (markdown triggers). Global, selection and navigation
+// commands are dispatched by handleShortcutKeydown() and palette commands by
+// the palette's input; editor, code and markdown commands are acted on by the
+// block's own handlers, which need the caret and text.
+// Rebound keys are stored in `keymap` and replace a command's defaults.
+const KEYMAP_SCOPES = {
+    global: 'General',
+    editor: 'Editing a block',
+    code: 'Editing code, math or diagram source',
+    selection: 'Selected blocks',
+    navigation: 'Vim-style navigation',
+    palette: 'Command palette',
+    markdown: 'Typed at the start of a block'
+};
+const KEY_SEQUENCE_TIMEOUT_MS = 1000;
+const KEY_SEQUENCE_PENDING = 'pending';
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+const NAMED_KEYS = ['Enter', 'Tab', 'Escape', 'Backspace', 'Delete', 'Space', 'ArrowUp', 'ArrowDown',
+    'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'];
+const KEY_ALIASES = {
+    ctrl: 'Mod', control: 'Mod', cmd: 'Mod', command: 'Mod', meta: 'Mod', mod: 'Mod',
+    alt: 'Alt', option: 'Alt', opt: 'Alt', shift: 'Shift',
+    esc: 'Escape', return: 'Enter', del: 'Delete', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+    ...Object.fromEntries(NAMED_KEYS.map(key => [key.toLowerCase(), key]))
+};
+const KEY_MODIFIERS = ['Mod', 'Alt', 'Shift'];
+const KEY_SYMBOLS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+
+const KEYMAP_COMMANDS = {
+    'app.commandPalette': { label: 'Open command palette', scope: 'global', keys: ['Mod+K'], contexts: ['none', 'editor', 'input', 'control'], run: () => showCommandPalette() },
+    'app.undo': { label: 'Undo', scope: 'global', keys: ['Mod+Z'], contexts: ['none', 'editor', 'control'], run: () => undo() },
+    'app.redo': { label: 'Redo', scope: 'global', keys: ['Mod+Shift+Z', 'Mod+Y'], contexts: ['none', 'editor', 'control'], run: () => redo() },
+    'app.shortcuts': { label: 'Show keyboard shortcuts', scope: 'global', keys: ['?'], run: () => showShortcutOverlay() },
+    'app.vimNavigation': { label: 'Turn Vim-style navigation on or off', scope: 'global', keys: [], run: () => toggleVimNavigation() },
+    'app.toggleSidebar': { label: 'Toggle sidebar', scope: 'global', keys: [], run: () => toggleSidebar() },
+    'app.toggleTheme': { label: 'Toggle dark mode', scope: 'global', keys: [], run: () => toggleTheme() },
+
+    'block.split': { label: 'New block below, splitting at the caret', scope: 'editor', keys: ['Enter'] },
+    'block.indent': { label: 'Indent block', scope: 'editor', keys: ['Tab'] },
+    'block.outdent': { label: 'Outdent block', scope: 'editor', keys: ['Shift+Tab'] },
+    'block.duplicate': { label: 'Duplicate block', scope: 'editor', keys: ['Mod+D'] },
+    'block.previous': { label: 'Go to the block above', scope: 'editor', keys: ['ArrowUp'] },
+    'block.next': { label: 'Go to the block below', scope: 'editor', keys: ['ArrowDown'] },
+    'block.selectUp': { label: 'Select blocks upwards', scope: 'editor', keys: ['Shift+ArrowUp'] },
+    'block.selectDown': { label: 'Select blocks downwards', scope: 'editor', keys: ['Shift+ArrowDown'] },
+    'format.bold': { label: 'Bold', scope: 'editor', keys: ['Mod+B'], mark: 'bold' },
+    'format.italic': { label: 'Italic', scope: 'editor', keys: ['Mod+I'], mark: 'italic' },
+    'format.underline': { label: 'Underline', scope: 'editor', keys: ['Mod+U'], mark: 'underline' },
+    'format.code': { label: 'Inline code', scope: 'editor', keys: ['Mod+E'], mark: 'code' },
+    'block.leave': { label: 'Leave the block for Vim-style navigation', scope: 'editor', keys: ['Escape'], vim: true },
+    'block.joinPrevious': { label: 'At the start: join onto the block above, or remove an empty block', scope: 'editor', keys: ['Backspace'] },
+    'block.joinNext': { label: 'At the end: pull the block below up into this one', scope: 'editor', keys: ['Delete'] },
+
+    'code.newline': { label: 'New line, keeping its indentation', scope: 'code', keys: ['Enter'] },
+    'code.indent': { label: 'Indent lines', scope: 'code', keys: ['Tab'] },
+    'code.outdent': { label: 'Outdent lines', scope: 'code', keys: ['Shift+Tab'] },
+    'code.exit': { label: 'New block below', scope: 'code', keys: ['Mod+Enter'] },
+    'code.previous': { label: 'On the first line: go to the block above', scope: 'code', keys: ['ArrowUp'] },
+    'code.next': { label: 'On the last line: go to the block below', scope: 'code', keys: ['ArrowDown'] },
+    'code.blur': { label: 'Stop editing', scope: 'code', keys: ['Escape'] },
+
+    'selection.clear': { label: 'Clear selection', scope: 'selection', keys: ['Escape'], run: () => clearBlockSelection() },
+    'selection.delete': { label: 'Delete selected blocks', scope: 'selection', keys: ['Backspace', 'Delete'], run: () => deleteSelectedBlocks() },
+    'selection.duplicate': { label: 'Duplicate selected blocks', scope: 'selection', keys: ['Mod+D'], run: () => duplicateSelectedBlocks() },
+    'selection.indent': { label: 'Indent selected blocks', scope: 'selection', keys: ['Tab'], run: () => indentSelectedBlocks() },
+    'selection.outdent': { label: 'Outdent selected blocks', scope: 'selection', keys: ['Shift+Tab'], run: () => outdentSelectedBlocks() },
+    'selection.moveUp': { label: 'Move selected blocks up', scope: 'selection', keys: ['Alt+ArrowUp'], run: () => shiftSelectedBlocks(-1) },
+    'selection.moveDown': { label: 'Move selected blocks down', scope: 'selection', keys: ['Alt+ArrowDown'], run: () => shiftSelectedBlocks(1) },
+    'selection.extendUp': { label: 'Extend selection up', scope: 'selection', keys: ['Shift+ArrowUp'], run: () => extendBlockSelection(-1) },
+    'selection.extendDown': { label: 'Extend selection down', scope: 'selection', keys: ['Shift+ArrowDown'], run: () => extendBlockSelection(1) },
+    'selection.leaveUp': { label: 'Edit the block above the selection', scope: 'selection', keys: ['ArrowUp'], run: () => leaveSelection(-1) },
+    'selection.leaveDown': { label: 'Edit the block below the selection', scope: 'selection', keys: ['ArrowDown'], run: () => leaveSelection(1) },
+    'selection.copy': { label: 'Copy as Markdown', scope: 'selection', keys: ['Mod+C'], run: () => copySelectedBlocks('markdown') },
+    'selection.copyText': { label: 'Copy as text', scope: 'selection', keys: ['Mod+Shift+C'], run: () => copySelectedBlocks('text') },
+
+    'navigation.down': { label: 'Next block', scope: 'navigation', keys: ['J'], run: () => moveNavigationCursor(1) },
+    'navigation.up': { label: 'Previous block', scope: 'navigation', keys: ['K'], run: () => moveNavigationCursor(-1) },
+    'navigation.first': { label: 'First block', scope: 'navigation', keys: ['G G'], run: () => moveNavigationCursor(-Infinity) },
+    'navigation.last': { label: 'Last block', scope: 'navigation', keys: ['Shift+G'], run: () => moveNavigationCursor(Infinity) },
+    'navigation.edit': { label: 'Edit block', scope: 'navigation', keys: ['I', 'Enter'], run: () => editNavigationCursor() },
+    'navigation.insertBelow': { label: 'New block below', scope: 'navigation', keys: ['O'], run: () => insertBelowNavigationCursor() },
+    'navigation.delete': { label: 'Delete block', scope: 'navigation', keys: ['D D'], run: () => deleteNavigationCursor() },
+    'navigation.yank': { label: 'Copy block as Markdown', scope: 'navigation', keys: ['Y Y'], run: () => copySelectedBlocks('markdown') },
+
+    'palette.next': { label: 'Next result', scope: 'palette', keys: ['ArrowDown'], run: () => selectCommandItem(commandPalette.selected + 1) },
+    'palette.previous': { label: 'Previous result', scope: 'palette', keys: ['ArrowUp'], run: () => selectCommandItem(commandPalette.selected - 1) },
+    'palette.run': { label: 'Open or run the result', scope: 'palette', keys: ['Enter'], run: () => runCommandItem(commandPalette.selected) },
+    'palette.close': { label: 'Close the palette', scope: 'palette', keys: ['Escape'], run: () => hideCommandPalette() },
+
+    'markdown.h1': { label: 'Heading 1', scope: 'markdown', keys: ['# '], blockType: 'h1' },
+    'markdown.h2': { label: 'Heading 2', scope: 'markdown', keys: ['## '], blockType: 'h2' },
+    'markdown.h3': { label: 'Heading 3', scope: 'markdown', keys: ['### '], blockType: 'h3' },
+    'markdown.bullet': { label: 'Bullet list', scope: 'markdown', keys: ['* '], blockType: 'bullet' },
+    'markdown.numbered': { label: 'Numbered list', scope: 'markdown', keys: ['1. '], blockType: 'numbered' },
+    'markdown.toggle': { label: 'Toggle list', scope: 'markdown', keys: ['> '], blockType: 'toggle' },
+    'markdown.todo': { label: 'To-do', scope: 'markdown', keys: ['[] '], blockType: 'todo' },
+    'markdown.divider': { label: 'Divider', scope: 'markdown', keys: ['---'], blockType: 'divider' },
+    'markdown.code': { label: 'Code', scope: 'markdown', keys: ['``` '], blockType: 'code' },
+    'markdown.math': { label: 'Math equation', scope: 'markdown', keys: ['$$ '], blockType: 'math' }
+};
+
+// Rebound commands (id -> keys) and whether Vim-style navigation is on
+const keymap = {
+    bindings: new Map(),
+    vimNavigation: false,
+    pending: [],
+    pendingAt: 0,
+    // Editor keys are matched by the block before the document sees them
+    event: null,
+    recent: []
+};
+
+function loadKeymap() {
+    const saved = storageGet('keymap', {});
+    keymap.bindings = new Map(Object.entries(saved.bindings || {}).filter(([id, keys]) =>
+        KEYMAP_COMMANDS[id] && Array.isArray(keys) && keys.every(key => typeof key === 'string')));
+    keymap.vimNavigation = Boolean(saved.vimNavigation);
+}
+
+function saveKeymap() {
+    storageSet('keymap', { bindings: Object.fromEntries(keymap.bindings), vimNavigation: keymap.vimNavigation });
+}
+
+function getCommandKeys(id) {
+    return keymap.bindings.get(id) || KEYMAP_COMMANDS[id].keys;
+}
+
+function setCommandKeys(id, keys) {
+    if (JSON.stringify(keys) === JSON.stringify(KEYMAP_COMMANDS[id].keys)) {
+        keymap.bindings.delete(id);
+    } else {
+        keymap.bindings.set(id, keys);
+    }
+    saveKeymap();
+}
+
+// Vim-style commands only listen while the mode is on
+function isCommandActive(id) {
+    const command = KEYMAP_COMMANDS[id];
+    return keymap.vimNavigation || !(command.vim || command.scope === 'navigation');
+}
+
+// "ctrl+shift+k" -> "Mod+Shift+K"; null when it isn't a key
+function normalizeKeyChord(text) {
+    const parts = text.split('+').map(part => part.trim());
+    // "Mod++" is the plus key
+    if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') parts.splice(-2, 2, '+');
+    const key = parts.pop();
+    const modifiers = parts.map(part => KEY_ALIASES[part.toLowerCase()]);
+    const name = KEY_ALIASES[key.toLowerCase()] || (key.length === 1 ? key.toUpperCase() : null);
+    if (!name || KEY_MODIFIERS.includes(name) || modifiers.some(modifier => !KEY_MODIFIERS.includes(modifier))) return null;
+    return [...KEY_MODIFIERS.filter(modifier => modifiers.includes(modifier)), name].join('+');
+}
+
+function normalizeKeySequence(text) {
+    const chords = text.trim().split(/\s+/).map(normalizeKeyChord);
+    return chords.includes(null) ? null : chords.join(' ');
+}
+
+function eventToKeyChord(e) {
+    if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null;
+    const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    // Shift is part of characters like "?" rather than a modifier
+    const shift = e.shiftKey && !(e.key.length === 1 && e.key !== ' ' && e.key.toLowerCase() === e.key.toUpperCase());
+    return [e.ctrlKey || e.metaKey ? 'Mod' : '', e.altKey ? 'Alt' : '', shift ? 'Shift' : '', key].filter(Boolean).join('+');
+}
+
+// The id of the command a key press triggers among those `accepts` allows, or
+// KEY_SEQUENCE_PENDING when it starts a longer sequence of keys
+function matchShortcut(e, accepts) {
+    const chord = eventToKeyChord(e);
+    if (!chord) return null;
+    if (keymap.event !== e) {
+        keymap.event = e;
+        keymap.recent = Date.now() - keymap.pendingAt < KEY_SEQUENCE_TIMEOUT_MS ? keymap.pending : [];
+    }
+    const recent = keymap.recent;
+    keymap.pending = [];
+    const ids = Object.keys(KEYMAP_COMMANDS).filter(id =>
+        KEYMAP_COMMANDS[id].scope !== 'markdown' && isCommandActive(id) && accepts(KEYMAP_COMMANDS[id]));
+
+    // A key that doesn't continue the sequence starts over on its own
+    for (const sequence of new Set([[...recent, chord].join(' '), chord])) {
+        const match = ids.find(id => getCommandKeys(id).includes(sequence));
+        if (match) return match;
+        if (ids.some(id => getCommandKeys(id).some(keys => keys.startsWith(`${sequence} `)))) {
+            keymap.pending = sequence.split(' ');
+            keymap.pendingAt = Date.now();
+            return KEY_SEQUENCE_PENDING;
+        }
+    }
+    return null;
+}
+
+// Where keys are going: a plain input, a block editor, a button or link (which
+// Enter and Space activate), an open dialog, or none of those
+function getFocusContext(target) {
+    if (target.closest?.('input, textarea, select')) return 'input';
+    if (target.closest?.('[contenteditable="true"]')) return 'editor';
+    if (target.closest?.('button, a[href], summary, [role="button"]')) return 'control';
+    if (document.querySelector('.modal-overlay')) return 'control';
+    return 'none';
+}
+
+function handleShortcutKeydown(e) {
+    if (e.defaultPrevented) return;
+    const context = getFocusContext(e.target);
+    const id = matchShortcut(e, (command) => {
+        if (command.scope === 'global') return (command.contexts || ['none']).includes(context);
+        if (command.scope === 'selection') return context === 'none' && blockSelection.ids.length > 0;
+        return command.scope === 'navigation' && context === 'none' && !state.view;
+    });
+    if (!id) return;
+    e.preventDefault();
+    if (id !== KEY_SEQUENCE_PENDING) KEYMAP_COMMANDS[id].run();
+}
+
+// The block type a markdown trigger typed into an empty block turns it into
+function getMarkdownTriggerType(text) {
+    const id = Object.keys(KEYMAP_COMMANDS).find(id =>
+        KEYMAP_COMMANDS[id].scope === 'markdown' && getCommandKeys(id).includes(text));
+    return id ? KEYMAP_COMMANDS[id].blockType : null;
+}
+
+// The trigger shown in the block type menu: '' when turned off, null for
+// types without one
+function getMarkdownTrigger(type) {
+    const id = Object.keys(KEYMAP_COMMANDS).find(id => KEYMAP_COMMANDS[id].blockType === type);
+    if (!id) return null;
+    return (getCommandKeys(id)[0] || '').replace(/ $/, ' + Space');
+}
+
+function formatKeys(keys, scope) {
+    if (scope === 'markdown') return keys.replace(/ /g, '␣');
+    return keys.split(' ').map(chord => chord.split('+')
+        .map(part => part === 'Mod' ? (IS_MAC ? '⌘' : 'Ctrl') : IS_MAC && part === 'Alt' ? '⌥' : KEY_SYMBOLS[part] || part)
+        .join(IS_MAC ? '' : '+')).join(' ');
+}
+
+// A command's first key for tooltips, or '' when it has none
+function getShortcutLabel(id) {
+    const keys = getCommandKeys(id);
+    return keys.length > 0 ? formatKeys(keys[0], KEYMAP_COMMANDS[id].scope) : '';
+}
+
+// Commands can share keys when they never listen at the same time
+function commandsOverlap(a, b) {
+    if (a.scope === 'markdown' || b.scope === 'markdown') return a.scope === b.scope;
+    const contextsOf = (command) => command.scope === 'global' ? command.contexts || ['none'] :
+        command.scope === 'editor' ? ['editor'] : ['code', 'palette'].includes(command.scope) ? ['input'] : ['none'];
+    const scopes = [a.scope, b.scope];
+    const sameTime = a.scope === b.scope || scopes.includes('global') ||
+        (scopes.includes('selection') && scopes.includes('navigation'));
+    return sameTime && contextsOf(a).some(context => contextsOf(b).includes(context));
+}
+
+// Equal keys, or one sequence starting with the other, can't both work
+function keysClash(a, b) {
+    return a === b || a.startsWith(`${b} `) || b.startsWith(`${a} `);
+}
+
+// [{ id, key }] for other commands' keys that clash with `keys` for command `id`
+function findShortcutConflicts(id, keys) {
+    return Object.keys(KEYMAP_COMMANDS)
+        .filter(other => other !== id && commandsOverlap(KEYMAP_COMMANDS[id], KEYMAP_COMMANDS[other]))
+        .flatMap(other => getCommandKeys(other)
+            .filter(otherKey => keys.some(key => keysClash(key, otherKey)))
+            .map(key => ({ id: other, key })));
+}
+
+// Asks for new keys; keys taken by another command move here once confirmed
+function editShortcut(id) {
+    const command = KEYMAP_COMMANDS[id];
+    const isText = command.scope === 'markdown';
+    const input = prompt(isText ?
+        `Text that turns a block into "${command.label}", separated by commas. End with a space to wait for Space. Leave empty to turn it off.` :
+        `Keys for "${command.label}", separated by commas (e.g. Mod+Shift+K, or G G for keys in turn). Leave empty to turn it off.`,
+    getCommandKeys(id).join(', '));
+    if (input === null) return false;
+
+    const entries = input.split(',').map(entry => isText ? entry.replace(/^\s+/, '') : entry.trim()).filter(entry => entry.trim());
+    const keys = [...new Set(isText ? entries : entries.map(normalizeKeySequence))];
+    const unreadable = entries.find(entry => !isText && !normalizeKeySequence(entry));
+    if (unreadable) {
+        showToast(`"${unreadable}" isn't a key this app knows`);
+        return false;
+    }
+
+    const conflicts = findShortcutConflicts(id, keys);
+    if (conflicts.length > 0) {
+        const taken = conflicts.map(({ id: other, key }) => `${formatKeys(key, command.scope)} (${KEYMAP_COMMANDS[other].label})`);
+        if (!confirm(`Already in use: ${taken.join(', ')}. Use for "${command.label}" instead?`)) return false;
+        conflicts.forEach(({ id: other, key }) => setCommandKeys(other, getCommandKeys(other).filter(k => k !== key)));
+    }
+    setCommandKeys(id, keys);
+    return true;
+}
+
+function toggleVimNavigation() {
+    keymap.vimNavigation = !keymap.vimNavigation;
+    saveKeymap();
+    showToast(keymap.vimNavigation ?
+        `Vim-style navigation on: ${getShortcutLabel('block.leave') || 'Esc'} leaves a block` :
+        'Vim-style navigation off');
+}
+
+// Vim-style navigation moves a one-block selection through the page
+function moveNavigationCursor(step) {
+    const visible = getVisibleBlocks();
+    if (visible.length === 0) return;
+    const current = visible.findIndex(block => block.id === blockSelection.focusId);
+    const index = current === -1 && Number.isFinite(step) ? 0 :
+        Math.max(0, Math.min(visible.length - 1, current + step));
+    const id = visible[index].id;
+    selectBlockRange(id, id);
+    document.getElementById(`block-${id}`)?.scrollIntoView({ block: 'nearest' });
+}
+
+function editNavigationCursor() {
+    const index = getVisibleBlocks().findIndex(block => block.id === blockSelection.focusId);
+    if (index === -1) return;
+    clearBlockSelection();
+    navigateToBlock(index);
+}
+
+// The cursor stays where the block was rather than editing the one above
+function deleteNavigationCursor() {
+    const index = getVisibleBlocks().findIndex(block => block.id === blockSelection.focusId);
+    if (index === -1) return;
+    deleteSelectedBlocks();
+    setTimeout(() => {
+        const visible = getVisibleBlocks();
+        const id = visible[Math.min(index, visible.length - 1)]?.id;
+        if (id) selectBlockRange(id, id);
+    }, 0);
+}
+
+function insertBelowNavigationCursor() {
+    const id = blockSelection.focusId;
+    if (!id) return;
+    clearBlockSelection();
+    addBlock('text', '', { afterId: id });
+}
+
+function showShortcutOverlay() {
+    document.querySelector('.shortcut-overlay')?.remove();
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay shortcut-overlay';
+    const render = () => {
+        const conflicts = new Set(Object.keys(KEYMAP_COMMANDS).filter(id => findShortcutConflicts(id, getCommandKeys(id)).length > 0));
+        overlay.innerHTML = `
+            <div class="modal shortcut-modal">
+                <h2>Keyboard shortcuts</h2>
+                <label class="shortcut-vim">
+                    <input type="checkbox" ${keymap.vimNavigation ? 'checked' : ''}>
+                    Vim-style navigation: move between blocks without editing them
+                </label>
+                ${Object.entries(KEYMAP_SCOPES).map(([scope, title]) => `
+                    <div class="shortcut-section">
+                        <h3>${title}</h3>
+                        ${Object.keys(KEYMAP_COMMANDS).filter(id => KEYMAP_COMMANDS[id].scope === scope).map(id => `
+                            <div class="shortcut-row ${isCommandActive(id) ? '' : 'inactive'} ${conflicts.has(id) ? 'conflict' : ''}"
+                                 data-command-id="${id}" ${conflicts.has(id) ? 'title="Shares a key with another command"' : ''}>
+                                <span class="shortcut-label">${escapeHTML(KEYMAP_COMMANDS[id].label)}</span>
+                                <span class="shortcut-keys">
+                                    ${getCommandKeys(id).map(keys => `<kbd>${escapeHTML(formatKeys(keys, scope))}</kbd>`).join('') ||
+                                        '<span class="shortcut-none">None</span>'}
+                                </span>
+                                <button class="shortcut-edit" data-action="edit" title="Change">✎</button>
+                                ${keymap.bindings.has(id) ? '<button class="shortcut-edit" data-action="reset" title="Restore the default">↺</button>' : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+                <div class="modal-actions">
+                    ${keymap.bindings.size > 0 ? '<button class="modal-btn" data-action="reset-all">Restore all defaults</button>' : ''}
+                    <button class="modal-btn primary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+    };
+
+    const close = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', keyHandler, true);
+    };
+    const keyHandler = (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            close();
+        }
+    };
+    overlay.addEventListener('click', (e) => {
+        const action = e.target.dataset?.action;
+        const id = e.target.closest('.shortcut-row')?.dataset.commandId;
+        if (e.target === overlay || action === 'close') {
+            close();
+        } else if (action === 'edit' && editShortcut(id)) {
+            render();
+        } else if (action === 'reset') {
+            setCommandKeys(id, KEYMAP_COMMANDS[id].keys);
+            render();
+        } else if (action === 'reset-all' && confirm('Restore every shortcut to its default?')) {
+            keymap.bindings.clear();
+            saveKeymap();
+            render();
+        }
+    });
+    overlay.addEventListener('change', (e) => {
+        if (!e.target.matches('.shortcut-vim input')) return;
+        toggleVimNavigation();
+        render();
+    });
+    render();
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', keyHandler, true);
+}
+
+registerCommand({ id: 'app.shortcuts', title: 'Keyboard shortcuts', category: 'Help', icon: '⌨',
+    description: 'See and change every shortcut', keywords: ['keymap', 'hotkeys'], run: () => showShortcutOverlay() });
+registerCommand({ id: 'app.vimNavigation', title: 'Toggle Vim-style navigation', category: 'Help', icon: '⌨',
+    description: 'Move between blocks with J and K', keywords: ['vim'], run: () => toggleVimNavigation() });
+
+// Event handling
+function setupEventListeners() {
+    // Page title editing
+    elements.pageTitle.addEventListener('blur', () => {
+        const page = getPage(state.currentPage);
+        if (!page) return;
+        const newName = elements.pageTitle.textContent.trim();
+        if (!newName || newName === page.name || !renamePage(page.id, newName)) {
+            elements.pageTitle.textContent = page.name;
+        }
+    });
+    
+    elements.pageTitle.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            elements.pageTitle.blur();
+        }
+    });
+
+    // Page creation
+    elements.addPageBtn.addEventListener('click', () => {
+        const name = elements.newPageInput.value.trim();
+        if (name) {
+            startNewPage(name);
+            elements.newPageInput.value = '';
+        }
+    });
+
+    elements.newPageInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && elements.newPageInput.value.trim()) {
+            startNewPage(elements.newPageInput.value.trim());
+            elements.newPageInput.value = '';
+        }
+    });
+
+    // Routing
+    window.addEventListener('hashchange', handleRouting);
+    
+    // Multi-block selection
+    setupBlockSelection();
+    
+    // Links to pages that don't exist yet create them on click
+    elements.blocksContainer.addEventListener('click', (e) => {
+        const link = e.target.closest('.missing-link');
+        if (!link) return;
+        e.preventDefault();
+        const name = link.dataset.missingPage || '';
+        const page = getPageByName(name);
+        if (page) {
+            loadPage(page.id);
+        } else if (name) {
+            createPage(name);
+        }
+    });
+
+    // Theme toggle
+    elements.themeToggle.addEventListener('click', toggleTheme);
+
+    // Sidebar toggle
+    elements.sidebarToggle.addEventListener('click', toggleSidebar);
+
+    // Search
+    elements.searchInput.addEventListener('input', (e) => {
+        renderSearchResults(e.target.value);
+    });
+    
+    elements.searchInput.addEventListener('keydown', handleSearchKeydown);
+    
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-container')) hideSearchResults();
+    });
+
+    // Command palette
+    elements.commandInput.addEventListener('input', (e) => {
+        searchCommands(e.target.value);
+    });
+    
+    elements.commandInput.addEventListener('keydown', handleCommandInputKeydown);
+    
+
+    // Keyboard shortcuts outside block editors (plain inputs keep their native undo)
+    document.addEventListener('keydown', handleShortcutKeydown);
+}
+
+function handleRouting() {
+    const hash = window.location.hash;
+    if (hash.startsWith('#page=')) {
+        const parts = hash.substring(6).split('&');
+        const pageRef = decodeURIComponent(parts[0]);
+        // Links saved before pages were addressed by id still use the name
+        const page = getPage(pageRef) || getPageByName(pageRef);
+        const blockId = parts.length > 1 && parts[1].startsWith('block=') ? parts[1].substring(6) : null;
+        // A block moved since its link was copied is opened on its new page
+        const pageId = blockId && findBlockPageId(blockId, page?.id) || page?.id;
+        if (pageId) loadPage(pageId);
+        
+        if (blockId) {
+            revealBlock(blockId);
+            setTimeout(() => {
+                const blockElement = document.getElementById(blockId);
+                if (blockElement) {
+                    blockElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    blockElement.classList.add('highlighted');
+                    setTimeout(() => blockElement.classList.remove('highlighted'), 2000);
+                }
+            }, 300);
+        }
+    } else if (hash.startsWith('#journal')) {
+        // #journal alone opens today
+        openJournal(decodeURIComponent(hash.substring(9)) || undefined);
+    } else if (views[hash.substring(1)]) {
+        showView(hash.substring(1));
+    } else if (state.pages.length > 0) {
+        loadPage(state.pages[0].id);
+    }
+}
+
+function setupBlockEventListeners() {
+    document.querySelectorAll('.block').forEach(blockElement => {
+        const blockId = blockElement.dataset.blockId;
+        const block = findBlock(blockId);
+        // Scope lookups to this block's own row, not its nested children
+        const row = blockElement.querySelector(':scope > .block-row');
+        const contentElement = row?.querySelector('.block-content');
+
+        // Block controls
+        row?.querySelector('.block-type-selector')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showBlockTypeMenu(blockId, e.target);
+        });
+
+        row?.querySelector('.copy-block-link-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            copyBlockLink(blockId);
+        });
+
+        row?.querySelector('.delete-block-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteBlock(blockId);
+        });
+
+        if (block?.type === 'database') setupDatabaseEvents(blockElement, blockId);
+        if (block?.type === 'board') setupTaskBoardEvents(blockElement);
+        if (block?.type === 'code') setupCodeBlockEvents(blockElement, blockId);
+        if (SOURCE_BLOCK_RENDERERS[block?.type]) setupSourceBlockEvents(blockElement, blockId, block.type);
+        if (block?.type === 'columns') setupColumnsEvents(blockElement, blockId);
+        if (block?.type === 'synced') setupSyncedBlockEvents(blockElement, blockId);
+        if (block?.type === 'callout') {
+            row.querySelector('.callout-icon').addEventListener('click', (e) => {
+                e.stopPropagation();
+                showCalloutMenu(blockId, e.currentTarget);
+            });
+        }
+
+        // Todo checkbox
+        if (block?.type === 'todo') {
+            const checkbox = row.querySelector('.todo-checkbox');
+            checkbox.addEventListener('change', () => {
+                updateBlock(blockId, { checked: checkbox.checked, status: checkbox.checked ? 'Done' : 'Not started' });
+                // Task boards on the page show the new status
+                if (document.querySelector('.task-board')) {
+                    renderBlocks();
+                } else {
+                    row.querySelector('.todo-due').outerHTML = dueBadgeHTML(findBlock(blockId));
+                }
+            });
+        }
+
+        // Content editing
+        if (contentElement) {
+            contentElement.addEventListener('input', () => {
+                // Handle markdown shortcuts
+                const current = findBlock(blockId);
+                const shortcutType = getMarkdownTriggerType(contentElement.textContent.replace(/\u00a0/g, ' '));
+                if (shortcutType && current.type !== shortcutType) {
+                    updateBlock(blockId, { type: shortcutType, content: isRichText(shortcutType) ? [] : '' });
+                    renderBlocks();
+                    setTimeout(() => document.getElementById(blockId)?.focus(), 0);
+                } else if (current.type === 'todo') {
+                    updateBlock(blockId, { content: resolveEditorDateMentions(contentElement) }, { coalesce: true });
+                    row.querySelector('.todo-due').outerHTML = dueBadgeHTML(findBlock(blockId));
+                    refreshTaskBoardCards(blockId);
+                } else {
+                    updateBlock(blockId, { content: readEditorRuns(contentElement) }, { coalesce: true });
+                }
+            });
+
+            contentElement.addEventListener('keydown', handleBlockKeydown(blockId));
+            contentElement.addEventListener('paste', handlePaste);
+
+            // Inline math opens as its source and is rendered again on leaving the block
+            contentElement.addEventListener('click', (e) => {
+                const math = e.target.closest('.inline-math');
+                if (math && contentElement.contains(math)) editInlineMath(math);
+            });
+            contentElement.addEventListener('blur', () => {
+                const current = findBlock(blockId);
+                if (current && runsToText(current.content).includes('$')) {
+                    contentElement.innerHTML = runsToHTML(current.content);
+                }
+            });
+        }
+    });
+}
+
+function handleBlockKeydown(blockId) {
+    return (e) => {
+        const contentElement = e.target;
+        // Look the block up at key time: edits replace block objects in the tree
+        const block = findBlock(blockId);
+        if (!block) return;
+        const index = getVisibleBlocks().findIndex(b => b.id === blockId);
+        const command = matchShortcut(e, c => c.scope === 'editor');
+        if (command === KEY_SEQUENCE_PENDING) {
+            e.preventDefault();
+            return;
+        }
+        
+        // Only keys that act at the caret need the text read back from the editor
+        const atCaret = ['block.split', 'block.joinPrevious', 'block.joinNext'].includes(command);
+        const offsets = atCaret ? getSelectionOffsets(contentElement) : null;
+        const runs = atCaret ? readEditorRuns(contentElement) : block.content;
+        const length = runsToText(runs).length;
+        
+        // Enter key; Shift+Enter inserts a line break within the block
+        if (command === 'block.split') {
+            e.preventDefault();
+            
+            if (offsets && (offsets.end < length || offsets.start < offsets.end)) {
+                // Split at the caret, dropping any selected text
+                transact('Split block', { blockId: block.id }, () => {
+                    updateBlock(block.id, { content: sliceRuns(runs, 0, offsets.start) });
+                    addBlock(block.type, sliceRuns(runs, offsets.end), { afterId: block.id });
+                });
+            } else {
+                const nextType = ['todo', 'bullet', 'numbered'].includes(block.type) ? 
+                    block.type : state.lastBlockType;
+                // With visible children the new block becomes the first child
+                const hasVisibleChildren = block.children?.length > 0 && (block.type !== 'toggle' || block.open);
+                addBlock(nextType, '', { afterId: block.id, asFirstChild: hasVisibleChildren });
+            }
+        }
+        
+        // Tab key
+        else if (command === 'block.indent' || command === 'block.outdent') {
+            e.preventDefault();
+            const moved = command === 'block.outdent' ? outdentBlock(block.id) : indentBlock(block.id);
+            if (moved) setTimeout(() => navigateToBlock(getVisibleBlocks().findIndex(b => b.id === block.id)), 0);
+        }
+        
+        // Slash command
+        else if (e.key === '/' && contentElement.textContent === '/') {
+            e.preventDefault();
+            showBlockTypeMenu(block.id, contentElement);
+        }
+        
+        // Backspace
+        else if (command === 'block.joinPrevious' && contentElement.textContent === '') {
+            e.preventDefault();
+            // Removing an empty parent keeps its children in place
+            deleteBlock(block.id, { keepChildren: true });
+        }
+        
+        // Backspace at the start joins the block onto the previous one
+        else if (command === 'block.joinPrevious' && offsets?.start === 0 && offsets.end === 0) {
+            const previous = getVisibleBlocks()[index - 1];
+            if (!previous || !isRichText(previous.type) || getEnclosingColumn(previous.id) !== getEnclosingColumn(block.id)) return;
+            e.preventDefault();
+            const previousElement = document.getElementById(previous.id);
+            const joinOffset = previousElement ? runsToText(readEditorRuns(previousElement)).length : runsToText(previous.content).length;
+            if (mergeBlocks(previous.id, block.id)) setTimeout(() => focusBlockAt(previous.id, joinOffset), 0);
+        }
+        
+        // Delete at the end pulls the next block up into this one
+        else if (command === 'block.joinNext' && offsets?.start === length && offsets.end === length) {
+            const next = getVisibleBlocks()[index + 1];
+            if (!next || !isRichText(next.type) || getEnclosingColumn(next.id) !== getEnclosingColumn(block.id)) return;
+            e.preventDefault();
+            if (mergeBlocks(block.id, next.id)) setTimeout(() => focusBlockAt(block.id, length), 0);
+        }
+        
+        // Ctrl+B/I/U/E toggle bold, italic, underline and inline code
+        else if (KEYMAP_COMMANDS[command]?.mark) {
+            e.preventDefault();
+            toggleInlineMark(block.id, contentElement, KEYMAP_COMMANDS[command].mark);
+        }
+        
+        // Shift+Up/Down starts selecting whole blocks
+        else if (command === 'block.selectUp' || command === 'block.selectDown') {
+            const next = getVisibleBlocks()[index + (command === 'block.selectUp' ? -1 : 1)];
+            if (!next) return;
+            e.preventDefault();
+            selectBlockRange(block.id, next.id);
+        }
+        
+        // Arrow keys
+        else if (command === 'block.previous') {
+            e.preventDefault();
+            navigateToBlock(index - 1);
+        }
+        else if (command === 'block.next') {
+            e.preventDefault();
+            navigateToBlock(index + 1);
+        }
+        
+        // Ctrl+D to duplicate
+        else if (command === 'block.duplicate') {
+            e.preventDefault();
+            duplicateBlock(block.id);
+        }
+        
+        // Escape leaves the editor for Vim-style navigation
+        else if (command === 'block.leave') {
+            e.preventDefault();
+            selectBlockRange(block.id, block.id);
+        }
+    };
+}
+
+function handlePaste(e) {
+    e.preventDefault();
+    const text = (e.clipboardData || window.clipboardData).getData('text/plain');
+    
+    // Clipboard text is always inserted as text, never as markup
+    if (text.includes('#page=') && text.includes('&block=') && sanitizeUrl(text.trim())) {
+        const url = new URL(text.trim(), window.location.href);
+        const pageId = decodeURIComponent(url.hash.split('&')[0].replace('#page=', ''));
+        const pageName = getPage(pageId)?.name || pageId;
+        document.execCommand('insertHTML', false, 
+            `<a href="${escapeHTML(url.href)}" class="internal-link">${escapeHTML(pageName)} (block)</a>`);
+    } else {
+        document.execCommand('insertHTML', false, escapeHTML(text).replace(/\r?\n/g, '<br>'));
+    }
+}
+
+// Full-text search
+const SEARCH_RESULT_LIMIT = 20;
+const SEARCH_SNIPPET_RADIUS = 60;
+
+// Type weights favour titles and headings over body text
+const searchWeights = { title: 4, h1: 2.5, h2: 2, h3: 1.5 };
+
+// Inverted index over page titles and every block of every page. Pages are
+// re-indexed lazily: saves only mark them dirty until the next query.
+const searchIndex = {
+    built: false,
+    docs: new Map(),
+    terms: new Map(),
+    pageDocs: new Map(),
+    dirtyPages: new Set()
+};
+
+function invalidateSearchIndex(pageId = null) {
+    if (pageId) {
+        searchIndex.dirtyPages.add(pageId);
+    } else {
+        searchIndex.built = false;
+    }
+}
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function ensureSearchIndex() {
+    if (!searchIndex.built) {
+        searchIndex.docs.clear();
+        searchIndex.terms.clear();
+        searchIndex.pageDocs.clear();
+        searchIndex.dirtyPages.clear();
+        state.pages.forEach(page => indexPage(page.id));
+        searchIndex.built = true;
+    } else if (searchIndex.dirtyPages.size > 0) {
+        searchIndex.dirtyPages.forEach(pageId => indexPage(pageId));
+        searchIndex.dirtyPages.clear();
+    }
+}
+
+function indexPage(pageId) {
+    (searchIndex.pageDocs.get(pageId) || []).forEach(removeSearchDoc);
+    searchIndex.pageDocs.delete(pageId);
+
+    const page = getPage(pageId);
+    if (!page) return;
+
+    const blocks = pageId === state.currentPage ? state.blocks : storageGet(`page-${pageId}`, []);
+    const docKeys = [];
+    const addDoc = (key, doc) => {
+        if (!doc.text.trim()) return;
+        addSearchDoc(key, doc);
+        docKeys.push(key);
+    };
+
+    addDoc(`${pageId}:title`, { pageId, blockId: null, type: 'title', text: page.name });
+    forEachBlock(blocks, (block) => {
+        addDoc(`${pageId}:${block.id}`, {
+            pageId,
+            blockId: block.id,
+            type: block.type,
+            text: getBlockText(block)
+        });
+    });
+    searchIndex.pageDocs.set(pageId, docKeys);
+}
+
+function addSearchDoc(key, doc) {
+    const counts = new Map();
+    tokenize(doc.text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    searchIndex.docs.set(key, { ...doc, termCounts: counts });
+    counts.forEach((count, term) => {
+        if (!searchIndex.terms.has(term)) searchIndex.terms.set(term, new Map());
+        searchIndex.terms.get(term).set(key, count);
+    });
+}
+
+function removeSearchDoc(key) {
+    const doc = searchIndex.docs.get(key);
+    if (!doc) return;
+    doc.termCounts.forEach((count, term) => {
+        const postings = searchIndex.terms.get(term);
+        postings?.delete(key);
+        if (postings?.size === 0) searchIndex.terms.delete(term);
+    });
+    searchIndex.docs.delete(key);
+}
+
+// Every query term must match; the last one also matches as a prefix so
+// results update while typing.
+function searchWorkspace(query, limit = SEARCH_RESULT_LIMIT) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    ensureSearchIndex();
+    const docCount = searchIndex.docs.size || 1;
+    let scores = null;
+
+    queryTerms.forEach((queryTerm, i) => {
+        const isLast = i === queryTerms.length - 1;
+        const termScores = new Map();
+
+        searchIndex.terms.forEach((postings, term) => {
+            const exact = term === queryTerm;
+            if (!exact && !(isLast && term.startsWith(queryTerm))) return;
+
+            const idf = Math.log(1 + docCount / postings.size);
+            postings.forEach((count, key) => {
+                const score = count * idf * (exact ? 1 : 0.5);
+                termScores.set(key, Math.max(termScores.get(key) || 0, score));
+            });
+        });
+
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            scores = new Map([...scores]
+                .filter(([key]) => termScores.has(key))
+                .map(([key, score]) => [key, score + termScores.get(key)]));
+        }
+    });
+
+    const phrase = query.trim().toLowerCase();
+    return [...scores].map(([key, score]) => {
+        const doc = searchIndex.docs.get(key);
+        const phraseBonus = queryTerms.length > 1 && doc.text.toLowerCase().includes(phrase) ? 2 : 1;
+        // Shorter blocks that match are more focused on the query
+        const lengthNorm = 1 / Math.sqrt(Math.max(1, doc.termCounts.size) / 10 + 1);
+        return {
+            ...doc,
+            score: score * (searchWeights[doc.type] || 1) * phraseBonus * lengthNorm,
+            snippet: buildSnippet(doc.text, queryTerms)
+        };
+    })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+function buildSnippet(text, queryTerms) {
+    const lower = text.toLowerCase();
+    const firstMatch = queryTerms
+        .map(term => lower.indexOf(term))
+        .filter(pos => pos !== -1)
+        .reduce((min, pos) => Math.min(min, pos), Infinity);
+    const center = firstMatch === Infinity ? 0 : firstMatch;
+    const start = Math.max(0, center - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, center + SEARCH_SNIPPET_RADIUS * 2);
+    const excerpt = text.slice(start, end);
+
+    const pattern = new RegExp(`(${queryTerms.map(escapeRegExp).join('|')})`, 'gi');
+    const highlighted = excerpt.split(pattern)
+        .map((part, i) => i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part))
+        .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+function renderSearchResults(query) {
+    const results = searchWorkspace(query);
+    if (!query.trim()) {
+        hideSearchResults();
+        return;
+    }
+
+    elements.searchResults.style.display = 'block';
+    elements.searchResults.innerHTML = results.length === 0 ?
+        '<div class="search-empty">No results</div>' :
+        results.map((result, i) => {
+            const page = getPage(result.pageId);
+            return `
+                <div class="search-result ${i === 0 ? 'selected' : ''}" data-page-id="${result.pageId}" data-block-id="${result.blockId || ''}">
+                    <div class="search-result-page">${escapeHTML(page.name)}${result.type === 'title' ? '' : ` · ${blockTypes[result.type]?.label || result.type}`}</div>
+                    <div class="search-result-snippet">${result.snippet}</div>
+                </div>
+            `;
+        }).join('');
+
+    elements.searchResults.querySelectorAll('.search-result').forEach(item => {
+        item.addEventListener('click', () => openSearchResult(item));
+    });
+}
+
+function handleSearchKeydown(e) {
+    const items = [...elements.searchResults.querySelectorAll('.search-result')];
+    const current = items.findIndex(item => item.classList.contains('selected'));
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (items.length === 0) return;
+        const next = e.key === 'ArrowDown' ?
+            Math.min(items.length - 1, current + 1) :
+            Math.max(0, current - 1);
+        items.forEach((item, i) => item.classList.toggle('selected', i === next));
+        items[next].scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter' && current !== -1) {
+        e.preventDefault();
+        openSearchResult(items[current]);
+    } else if (e.key === 'Escape') {
+        hideSearchResults();
+        elements.searchInput.blur();
+    }
+}
+
+function openSearchResult(item) {
+    const { pageId, blockId } = item.dataset;
+    hideSearchResults();
+    elements.searchInput.value = '';
+    openBlock(pageId, blockId || null);
+}
+
+function hideSearchResults() {
+    elements.searchResults.style.display = 'none';
+    elements.searchResults.innerHTML = '';
+}
+
+// Navigate through the router so block highlighting is shared with copied links
+function openBlock(pageId, blockId = null) {
+    const hash = blockId ? `#page=${pageId}&block=${blockId}` : `#page=${pageId}`;
+    if (window.location.hash === hash) {
+        handleRouting();
+    } else {
+        window.location.hash = hash;
+    }
+}
+
+// Backlinks and link graph
+// Maintained like the search index: pages are re-scanned lazily after saves.
+const linkIndex = {
+    built: false,
+    bySource: new Map(),
+    dirtyPages: new Set()
+};
+
+let referencesRenderTimer = null;
+// The link graph section stays open across re-renders once opened
+let linkGraphOpen = false;
+
+function invalidateLinkIndex(pageId = null) {
+    if (pageId) {
+        linkIndex.dirtyPages.add(pageId);
+    } else {
+        linkIndex.built = false;
+    }
+}
+
+function ensureLinkIndex() {
+    if (!linkIndex.built) {
+        linkIndex.bySource.clear();
+        linkIndex.dirtyPages.clear();
+        state.pages.forEach(page => indexPageLinks(page.id));
+        linkIndex.built = true;
+    } else if (linkIndex.dirtyPages.size > 0) {
+        linkIndex.dirtyPages.forEach(pageId => indexPageLinks(pageId));
+        linkIndex.dirtyPages.clear();
+    }
+}
+
+function indexPageLinks(pageId) {
+    linkIndex.bySource.delete(pageId);
+    if (!getPage(pageId)) return;
+
+    const blocks = pageId === state.currentPage ? state.blocks : storageGet(`page-${pageId}`, []);
+    const links = [];
+    forEachBlock(blocks, (block) => {
+        const { pageIds, missing } = extractPageLinks(block);
+        const text = getBlockText(block);
+        pageIds.forEach(targetId => links.push({ targetId, blockId: block.id, text }));
+        missing.forEach(targetName => links.push({ targetName, blockId: block.id, text }));
+    });
+    linkIndex.bySource.set(pageId, links);
+}
+
+// Edges of the page graph: { source, target } for every link between existing pages
+function getLinkGraph() {
+    ensureLinkIndex();
+    const edges = [];
+    linkIndex.bySource.forEach((links, source) => {
+        links.filter(link => link.targetId).forEach(link => edges.push({ source, target: link.targetId }));
+    });
+    return { nodes: state.pages.map(page => page.id), edges };
+}
+
+// Pages sit on a circle with an arrow for each page linking to another; pages
+// with more links draw larger. Clicking a page opens it.
+function renderLinkGraph() {
+    const { nodes, edges } = getLinkGraph();
+    const pairs = [...new Set(edges.filter(edge => edge.source !== edge.target).map(edge => `${edge.source}>${edge.target}`))]
+        .map(pair => pair.split('>'));
+    if (pairs.length === 0) return '<div class="references-empty">Link pages with [[Page name]] to see them here</div>';
+
+    const degree = new Map(nodes.map(id => [id, 0]));
+    pairs.forEach(([source, target]) => {
+        degree.set(source, degree.get(source) + 1);
+        degree.set(target, degree.get(target) + 1);
+    });
+
+    const radius = Math.max(120, nodes.length * 18);
+    const margin = 100;
+    const center = radius + margin;
+    const positions = new Map(nodes.map((id, i) => {
+        const angle = (2 * Math.PI * i) / nodes.length - Math.PI / 2;
+        return [id, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle), r: 6 + Math.min(degree.get(id), 8) * 1.5 }];
+    }));
+
+    return `
+        <div class="link-graph-summary">${nodes.length} page${nodes.length === 1 ? '' : 's'} · ${pairs.length} link${pairs.length === 1 ? '' : 's'}</div>
+        <svg class="link-graph" viewBox="0 0 ${center * 2} ${center * 2}" width="${center * 2}">
+            <defs>
+                <marker id="link-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                </marker>
+            </defs>
+            ${pairs.map(([source, target]) => {
+                const from = positions.get(source);
+                const to = positions.get(target);
+                const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+                // Stop at the edge of the target's circle so the arrow stays visible
+                const endX = to.x - ((to.x - from.x) / length) * (to.r + 2);
+                const endY = to.y - ((to.y - from.y) / length) * (to.r + 2);
+                return `<line class="link-graph-edge" x1="${from.x}" y1="${from.y}" x2="${endX}" y2="${endY}" marker-end="url(#link-graph-arrow)"></line>`;
+            }).join('')}
+            ${nodes.map(id => {
+                const { x, y, r } = positions.get(id);
+                // Labels point away from the middle
+                const anchor = Math.abs(x - center) < 1 ? 'middle' : x > center ? 'start' : 'end';
+                const dx = anchor === 'middle' ? 0 : (x > center ? r + 6 : -r - 6);
+                const dy = anchor === 'middle' ? (y > center ? r + 16 : -r - 8) : 4;
+                return `
+                    <g class="link-graph-node ${id === state.currentPage ? 'current' : ''}" data-page-id="${id}">
+                        <circle cx="${x}" cy="${y}" r="${r}"></circle>
+                        <text x="${x + dx}" y="${y + dy}" text-anchor="${anchor}">${escapeHTML(getPage(id).name)}</text>
+                    </g>
+                `;
+            }).join('')}
+        </svg>
+    `;
+}
+
+function getBacklinks(pageId) {
+    ensureLinkIndex();
+    const backlinks = [];
+    linkIndex.bySource.forEach((links, sourcePageId) => {
+        if (sourcePageId === pageId) return;
+        const seen = new Set();
+        links.filter(link => link.targetId === pageId && !seen.has(link.blockId)).forEach(link => {
+            seen.add(link.blockId);
+            backlinks.push({ sourcePageId, blockId: link.blockId, text: link.text });
+        });
+    });
+    return backlinks;
+}
+
+function getMissingLinks(pageId) {
+    ensureLinkIndex();
+    return [...new Set((linkIndex.bySource.get(pageId) || [])
+        .filter(link => link.targetName)
+        .map(link => link.targetName))];
+}
+
+// Blocks mentioning the page name as plain text without linking to it
+function getUnlinkedMentions(pageId) {
+    const page = getPage(pageId);
+    if (!page) return [];
+
+    ensureSearchIndex();
+    const linkedBlocks = new Set(getBacklinks(pageId).map(link => `${link.sourcePageId}:${link.blockId}`));
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(page.name)}($|[^\\p{L}\\p{N}])`, 'iu');
+    const mentions = [];
+    const seen = new Set();
+
+    searchIndex.docs.forEach(doc => {
+        const key = `${doc.pageId}:${doc.blockId}`;
+        if (doc.type === 'title' || doc.pageId === pageId || linkedBlocks.has(key) || seen.has(key)) return;
+        if (pattern.test(doc.text)) {
+            seen.add(key);
+            mentions.push({ sourcePageId: doc.pageId, blockId: doc.blockId, text: doc.text });
+        }
+    });
+    return mentions;
+}
+
+function scheduleReferencesRender() {
+    clearTimeout(referencesRenderTimer);
+    referencesRenderTimer = setTimeout(renderReferences, 500);
+}
+
+function renderReferences() {
+    const page = getPage(state.currentPage);
+    if (!elements.references || !page) return;
+
+    const backlinks = getBacklinks(page.id);
+    const mentions = getUnlinkedMentions(page.id);
+    const missing = getMissingLinks(page.id);
+    const nameTerm = [page.name.toLowerCase()];
+
+    const renderGroup = (refs, withLinkButton) => {
+        const bySource = refs.reduce((groups, ref) => {
+            (groups[ref.sourcePageId] = groups[ref.sourcePageId] || []).push(ref);
+            return groups;
+        }, {});
+        return Object.entries(bySource).map(([sourcePageId, items]) => `
+            <div class="reference-group">
+                <div class="reference-page" data-page-id="${sourcePageId}">📄 ${escapeHTML(getPage(sourcePageId).name)}</div>
+                ${items.map(ref => `
+                    <div class="reference-block" data-page-id="${sourcePageId}" data-block-id="${ref.blockId}">
+                        <span class="reference-text">${buildSnippet(ref.text, nameTerm)}</span>
+                        ${withLinkButton ? '<button class="link-mention-btn" title="Turn into a link">Link</button>' : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    };
+
+    elements.references.innerHTML = `
+        <div class="references-section">
+            <h3>Linked references (${backlinks.length})</h3>
+            ${backlinks.length ? renderGroup(backlinks, false) : '<div class="references-empty">No pages link here yet</div>'}
+        </div>
+        ${mentions.length ? `
+            <div class="references-section">
+                <h3>Unlinked mentions (${mentions.length})</h3>
+                ${renderGroup(mentions, true)}
+            </div>
+        ` : ''}
+        ${missing.length ? `
+            <div class="references-section">
+                <h3>Links to missing pages</h3>
+                ${missing.map(name => `
+                    <div class="missing-page-item">
+                        <span>${escapeHTML(name)}</span>
+                        <button class="create-missing-page-btn" data-name="${escapeHTML(name)}">Create page</button>
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+        <details class="references-section link-graph-section" ${linkGraphOpen ? 'open' : ''}>
+            <summary>Link graph</summary>
+            <div class="link-graph-body">${linkGraphOpen ? renderLinkGraph() : ''}</div>
+        </details>
+    `;
+
+    // The graph covers every page, so it's only drawn while open
+    const graphSection = elements.references.querySelector('.link-graph-section');
+    graphSection.addEventListener('toggle', () => {
+        if (linkGraphOpen === graphSection.open) return;
+        linkGraphOpen = graphSection.open;
+        renderReferences();
+    });
+
+    elements.references.querySelectorAll('.reference-page, .link-graph-node').forEach(item => {
+        item.addEventListener('click', () => loadPage(item.dataset.pageId));
+    });
+
+    elements.references.querySelectorAll('.reference-block').forEach(item => {
+        item.addEventListener('click', () => openBlock(item.dataset.pageId, item.dataset.blockId));
+    });
+
+    elements.references.querySelectorAll('.link-mention-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const { pageId, blockId } = btn.closest('.reference-block').dataset;
+            linkMention(pageId, blockId, page.id);
+        });
+    });
+
+    elements.references.querySelectorAll('.create-missing-page-btn').forEach(btn => {
+        btn.addEventListener('click', () => createPage(btn.dataset.name));
+    });
+}
+
+// Replace the first plain-text mention of the target page in a block with a link
+function linkMention(sourcePageId, blockId, targetId) {
+    const target = getPage(targetId);
+    const isCurrent = sourcePageId === state.currentPage;
+    const blocks = isCurrent ? state.blocks : storageGet(`page-${sourcePageId}`, []);
+    const block = findBlock(blockId, blocks);
+    if (!target || !block || !isRichText(block.type)) return;
+
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(target.name)})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+    let linked = false;
+    // Only plain text is linked, never text that is already a link or code
+    const runs = block.content.flatMap(run => {
+        if (linked || run.link || run.pageId || run.missingPage || run.marks?.includes('code')) return [run];
+        const match = run.text.match(pattern);
+        if (!match) return [run];
+        linked = true;
+        const start = match.index + match[1].length;
+        const end = start + match[2].length;
+        return [
+            { ...run, text: run.text.slice(0, start) },
+            { marks: run.marks, pageId: target.id, text: target.name },
+            { ...run, text: run.text.slice(end) }
+        ];
+    });
+    if (!linked) return;
+
+    transact('Link mention', { pageIds: isCurrent ? [] : [sourcePageId] }, () => {
+        block.content = normalizeRuns(runs);
+        block.updatedAt = new Date().toISOString();
+        if (isCurrent) {
+            saveBlocks();
+            renderBlocks();
+        } else {
+            storageSet(`page-${sourcePageId}`, blocks);
+            invalidateSearchIndex(sourcePageId);
+            invalidateLinkIndex(sourcePageId);
+            renderReferences();
+        }
+    });
+}
+
+// Markdown import and export
+// Blocks map onto CommonMark/GFM: list nesting uses four spaces per indent
+// level, toggles become <details> and tables become GFM pipe tables.
+const MARKDOWN_INDENT = '    ';
+
+function pageToMarkdown(pageId) {
+    const blocks = pageId === state.currentPage ? state.blocks : storageGet(`page-${pageId}`, []);
+    return blocksToMarkdown(blocks);
+}
+
+function blocksToMarkdown(blocks) {
+    const numberCounters = [];
+    const lines = [];
+    let previousType = null;
+
+    flattenBlocksForMarkdown(blocks).forEach(({ block, indent }) => {
+        const isListItem = ['bullet', 'numbered', 'todo'].includes(block.type);
+        const prefix = isListItem ? MARKDOWN_INDENT.repeat(indent) : '';
+
+        // Numbering restarts whenever a list is interrupted at the same level
+        if (block.type === 'numbered') {
+            numberCounters.length = indent + 1;
+            numberCounters[indent] = (numberCounters[indent] || 0) + 1;
+        } else {
+            numberCounters.length = isListItem ? Math.min(numberCounters.length, indent) : 0;
+        }
+
+        // Consecutive list items stay in one list; everything else is separated by a blank line
+        if (lines.length > 0 && !(isListItem && ['bullet', 'numbered', 'todo'].includes(previousType))) {
+            lines.push('');
+        }
+        previousType = block.type;
+
+        lines.push(...blockToMarkdown(block, prefix, numberCounters[indent]));
+    });
+
+    return lines.join('\n').trim() + '\n';
+}
+
+// Markdown only nests list items, so children of other blocks follow at their parent's level.
+// Toggles render their own children inside <details>; columns are written one after another.
+function flattenBlocksForMarkdown(blocks, indent = 0) {
+    return blocks.flatMap(block => {
+        if (isLayoutBlock(block)) return flattenBlocksForMarkdown(block.children || [], indent);
+        const entry = { block, indent };
+        if (block.type === 'toggle' || !block.children?.length) return [entry];
+        const isListItem = ['bullet', 'numbered', 'todo'].includes(block.type);
+        return [entry, ...flattenBlocksForMarkdown(block.children, isListItem ? indent + 1 : indent)];
+    });
+}
+
+function blockToMarkdown(block, prefix, number) {
+    const content = typeof block.content === 'string' ? block.content : '';
+    const inline = () => runsToMarkdown(block.content);
+
+    switch (block.type) {
+        case 'h1':
+            return [`# ${inline()}`];
+        case 'h2':
+            return [`## ${inline()}`];
+        case 'h3':
+            return [`### ${inline()}`];
+        case 'bullet':
+            return [`${prefix}- ${inline()}`];
+        case 'numbered':
+            return [`${prefix}${number || 1}. ${inline()}`];
+        case 'todo':
+            return [`${prefix}- [${block.checked ? 'x' : ' '}] ${inline()}`];
+        case 'quote':
+            return inline().split('<br>').map(line => `> ${line}`);
+        case 'callout':
+            return [`> [!${CALLOUT_COLORS[getCalloutColor(block)].alert}]`, ...inline().split('<br>').map(line => `> ${line}`)];
+        case 'synced': {
+            // The original's content, as the synced block shows it
+            const source = getSyncedContent(block);
+            return source ? blocksToMarkdown([source]).trimEnd().split('\n') : [];
+        }
+        case 'divider':
+            return ['---'];
+        case 'code': {
+            const code = getCodeText(block);
+            const fence = code.includes('```') ? '~~~' : '```';
+            return [`${fence}${block.language || ''}`, ...code.split('\n'), fence];
+        }
+        case 'math':
+            return ['$$', ...content.split('\n'), '$$'];
+        case 'diagram':
+            return ['```mermaid', ...content.split('\n'), '```'];
+        case 'image':
+            return content ? [`![Image](${content})`] : [];
+        case 'embed':
+            return content ? [`<iframe src="${escapeHTML(content)}"></iframe>`] : [];
+        case 'database':
+            return databaseToMarkdown(block.content);
+        case 'board':
+            return [];
+        case 'toggle':
+            return [
+                `<details><summary>${inline()}</summary>`,
+                '',
+                ...blocksToMarkdown(block.children || []).trimEnd().split('\n'),
+                '',
+                '</details>'
+            ];
+        default:
+            return [inline()];
+    }
+}
+
+function parseTableRows(content) {
+    return content.split('\n')
+        .filter(row => row.trim())
+        .map(row => row.replace(/^\s*\|/, '').replace(/\|\s*$/, '').split('|').map(cell => cell.trim()));
+}
+
+function databaseToMarkdown(database) {
+    if (!database?.columns?.length) return [];
+    const cellToMarkdown = (column, value) => {
+        if (column.type === 'checkbox') return value ? '[x]' : '[ ]';
+        if (column.type === 'page') return getPage(value) ? `[[${getPage(value).name}]]` : '';
+        return formatCellValue(column, value).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    };
+    const formatRow = (cells) => `| ${cells.join(' | ')} |`;
+
+    return [
+        formatRow(database.columns.map(column => column.name.replace(/\|/g, '\\|'))),
+        formatRow(database.columns.map(() => '---')),
+        ...database.rows.map(row => formatRow(database.columns.map(column => cellToMarkdown(column, row.cells[column.id]))))
+    ];
+}
+
+function runsToMarkdown(runs) {
+    return Array.isArray(runs) ? htmlToMarkdownInline(runsToHTML(runs)) : '';
+}
+
+function htmlToMarkdownInline(html) {
+    const body = new DOMParser().parseFromString(`<!doctype html><body>${html}`, 'text/html').body;
+    return nodeToMarkdown(body).replace(/\u00a0/g, ' ').trim();
+}
+
+function nodeToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const inner = () => [...node.childNodes].map(nodeToMarkdown).join('');
+    switch (node.tagName.toLowerCase()) {
+        case 'strong':
+        case 'b':
+            return `**${inner()}**`;
+        case 'em':
+        case 'i':
+            return `*${inner()}*`;
+        case 'u':
+            return `<u>${inner()}</u>`;
+        case 'del':
+        case 's':
+        case 'strike':
+            return `~~${inner()}~~`;
+        case 'code':
+            return `\`${node.textContent}\``;
+        case 'br':
+            return '<br>';
+        case 'div':
+        case 'p':
+            return node.previousSibling ? `<br>${inner()}` : inner();
+        case 'span':
+            return node.classList.contains('inline-math') ? node.dataset.math : inner();
+        case 'a': {
+            const page = getPage(node.dataset.pageId);
+            if (page) return `[[${page.name}]]`;
+            if (node.dataset.missingPage !== undefined) return `[[${node.dataset.missingPage}]]`;
+            return `[${inner()}](${node.getAttribute('href') || ''})`;
+        }
+        default:
+            return inner();
+    }
+}
+
+// Inline markdown to the HTML stored in block content
+function markdownInlineToHTML(text) {
+    // Code and inline math are set aside so their text isn't formatted
+    const literals = [];
+    const setAside = (html) => {
+        literals.push(html);
+        return `\u0000${literals.length - 1}\u0000`;
+    };
+    let html = text
+        .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${escapeHTML(code)}</code>`))
+        .replace(INLINE_MATH_PATTERN, (match) => setAside(escapeHTML(match)));
+
+    html = escapeHTML(html)
+        // Simple formatting tags emitted by the exporter
+        .replace(/&lt;(\/?)(u|br)&gt;/gi, '<$1$2>')
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1">')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2" target="_blank">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_([^_]+)_(?=[^\w]|$)/g, '$1<em>$2</em>')
+        .replace(/~~([^~]+)~~/g, '<del>$1</del>')
+        .replace(/\u0000(\d+)\u0000/g, (match, i) => literals[i]);
+
+    return linkPageReferences(html);
+}
+
+function markdownInlineToRuns(text) {
+    return linkRunReferences(htmlToRuns(markdownInlineToHTML(text)));
+}
+
+function markdownToBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const listIndents = lines
+        .map(line => line.match(/^( +)(?:[-*+]|\d+[.)])\s/))
+        .filter(Boolean)
+        .map(match => match[1].length);
+    const indentUnit = listIndents.length ? Math.min(...listIndents) : 2;
+    return parseMarkdownLines(lines, indentUnit);
+}
+
+function parseMarkdownLines(lines, indentUnit) {
+    const blocks = [];
+    let paragraph = [];
+    let i = 0;
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(createBlock('text', markdownInlineToRuns(paragraph.join(' '))));
+            paragraph = [];
+        }
+    };
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        let match;
+
+        if (!trimmed) {
+            flushParagraph();
+            i++;
+        } else if ((match = trimmed.match(/^(```|~~~)\s*([\w+#-]*)/))) {
+            flushParagraph();
+            const fence = match[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+            i++;
+            if (match[2].toLowerCase() === 'mermaid') {
+                blocks.push(createBlock('diagram', code.join('\n')));
+            } else {
+                const block = createBlock('code', escapeHTML(code.join('\n')));
+                if (match[2]) block.language = match[2].toLowerCase();
+                blocks.push(block);
+            }
+        } else if (trimmed.startsWith('$$')) {
+            flushParagraph();
+            // $$ on its own line opens a block closed by a line ending in $$
+            const math = [trimmed.slice(2)];
+            while (!math[math.length - 1].trimEnd().endsWith('$$') && i + 1 < lines.length) math.push(lines[++i]);
+            i++;
+            blocks.push(createBlock('math', math.join('\n').replace(/\$\$\s*$/, '').trim()));
+        } else if ((match = trimmed.match(/^<details>\s*(?:<summary>(.*?)<\/summary>)?/i))) {
+            flushParagraph();
+            let depth = 1;
+            const inner = [];
+            i++;
+            while (i < lines.length) {
+                if (/^\s*<details>/i.test(lines[i])) depth++;
+                if (/^\s*<\/details>/i.test(lines[i]) && --depth === 0) break;
+                inner.push(lines[i++]);
+            }
+            i++;
+            blocks.push(createBlock('toggle', markdownInlineToRuns(match[1] || ''), parseMarkdownLines(inner, indentUnit)));
+        } else if ((match = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/))) {
+            flushParagraph();
+            const level = Math.min(3, match[1].length);
+            blocks.push(createBlock(`h${level}`, markdownInlineToRuns(match[2])));
+            i++;
+        } else if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+            flushParagraph();
+            blocks.push(createBlock('divider'));
+            i++;
+        } else if ((match = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/))) {
+            flushParagraph();
+            const indent = listIndent(match[1], indentUnit);
+            blocks.push({ ...createBlock('todo', markdownInlineToRuns(match[3])), checked: match[2] !== ' ', indent });
+            i++;
+        } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/))) {
+            flushParagraph();
+            const type = /\d/.test(match[2]) ? 'numbered' : 'bullet';
+            blocks.push({ ...createBlock(type, markdownInlineToRuns(match[3])), indent: listIndent(match[1], indentUnit) });
+            i++;
+        } else if (trimmed.startsWith('>')) {
+            flushParagraph();
+            const quote = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quote.push(lines[i++].trim().replace(/^>\s?/, ''));
+            }
+            // GitHub alerts ("> [!NOTE]") are callouts
+            const alert = quote[0].match(/^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*$/i);
+            if (alert) {
+                const callout = createBlock('callout', markdownInlineToRuns(quote.slice(1).join('<br>')));
+                callout.color = CALLOUT_ALERT_COLORS[alert[1].toUpperCase()];
+                blocks.push(callout);
+            } else {
+                blocks.push(createBlock('quote', markdownInlineToRuns(quote.join('<br>'))));
+            }
+        } else if (trimmed.startsWith('|') && /^\|?\s*:?-{3,}/.test((lines[i + 1] || '').trim())) {
+            flushParagraph();
+            const rows = [trimmed];
+            i += 2;
+            while (i < lines.length && lines[i].trim().startsWith('|')) rows.push(lines[i++].trim());
+            blocks.push(createBlock('database', markdownTableToDatabase(rows.map(splitMarkdownTableRow))));
+        } else if ((match = trimmed.match(/^!\[[^\]]*\]\(([^)\s]+)\)$/))) {
+            flushParagraph();
+            blocks.push(createBlock('image', match[1]));
+            i++;
+        } else if ((match = trimmed.match(/^<iframe[^>]*\ssrc="([^"]+)"[^>]*>\s*(<\/iframe>)?$/i))) {
+            flushParagraph();
+            blocks.push(createBlock('embed', decodeHTMLEntities(match[1])));
+            i++;
+        } else {
+            paragraph.push(trimmed);
+            i++;
+        }
+    }
+    flushParagraph();
+    // List items carry their indent until here; nesting turns it into children
+    return nestBlocks(blocks);
+}
+
+// Column types are inferred from the cells, so exported databases import with the same types
+function markdownTableToDatabase(rows) {
+    const [header = [], ...body] = rows;
+    const width = Math.max(1, ...rows.map(row => row.length));
+    const columns = Array.from({ length: width }, (_, i) => {
+        const cells = body.map(row => (row[i] || '').trim()).filter(Boolean);
+        const all = (pattern) => cells.length > 0 && cells.every(cell => pattern.test(cell));
+        let type = 'text';
+        if (all(/^\[[ xX]\]$/)) type = 'checkbox';
+        else if (all(/^-?\d+(\.\d+)?$/)) type = 'number';
+        else if (all(/^\d{4}-\d{2}-\d{2}$/)) type = 'date';
+        else if (cells.every(cell => getPageByName(cell.match(/^\[\[(.+)\]\]$/)?.[1].trim()))) type = cells.length ? 'page' : 'text';
+        return { id: generateId(), name: htmlToText(markdownInlineToHTML(header[i] || '')).trim() || `Column ${i + 1}`, type };
+    });
+
+    const toValue = (column, cell) => {
+        const text = (cell || '').trim();
+        switch (column.type) {
+            case 'checkbox':
+                return /^\[[xX]\]$/.test(text);
+            case 'number':
+                return text ? Number(text) : null;
+            case 'page':
+                return text ? getPageByName(text.slice(2, -2).trim()).id : '';
+            case 'date':
+                return text;
+            default:
+                return htmlToText(markdownInlineToHTML(text).replace(/<br>/gi, '\n'));
+        }
+    };
+    return createDatabaseContent(columns, body.map(row => createDatabaseRow(
+        Object.fromEntries(columns.map((column, i) => [column.id, toValue(column, row[i])]))
+    )));
+}
+
+function listIndent(whitespace, indentUnit) {
+    const width = whitespace.replace(/\t/g, '    ').length;
+    return Math.round(width / indentUnit);
+}
+
+function splitMarkdownTableRow(row) {
+    return row.replace(/^\|/, '').replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function markdownFileName(name) {
+    return `${name.replace(/[\\/:*?"<>|]/g, '_').trim() || 'Untitled'}.md`;
+}
+
+// Markdown files for a page and, optionally, its subpage tree as nested folders
+function collectMarkdownFiles(pageId, includeSubpages, folder = '') {
+    const page = getPage(pageId);
+    if (!page) return [];
+
+    const baseName = markdownFileName(page.name).replace(/\.md$/, '');
+    const files = [{ path: `${folder}${baseName}.md`, content: pageToMarkdown(pageId) }];
+    if (includeSubpages) {
+        state.pages.filter(p => p.parentId === pageId).forEach(child => {
+            files.push(...collectMarkdownFiles(child.id, true, `${folder}${baseName}/`));
+        });
+    }
+    return files;
+}
+
+function exportPageAsMarkdown(pageId, includeSubpages = false) {
+    const page = getPage(pageId);
+    if (!page) return;
+
+    const files = collectMarkdownFiles(pageId, includeSubpages);
+    if (files.length === 1) {
+        downloadFile(files[0].path, files[0].content, 'text/markdown');
+    } else {
+        downloadFile(markdownFileName(page.name).replace(/\.md$/, '.zip'), createZip(files), 'application/zip');
+    }
+}
+
+function exportWorkspaceAsMarkdown() {
+    const files = state.pages
+        .filter(page => !page.parentId)
+        .flatMap(page => collectMarkdownFiles(page.id, true));
+    downloadFile('workspace-markdown.zip', createZip(files), 'application/zip');
+}
+
+function importMarkdownFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.md,.markdown,text/markdown,text/plain';
+    input.multiple = true;
+    input.onchange = async (e) => {
+        const files = [...e.target.files];
+        if (files.length === 0) return;
+
+        const documents = await Promise.all(files.map(async file => ({
+            name: file.name.replace(/\.(md|markdown|txt)$/i, ''),
+            markdown: await file.text()
+        })));
+        importMarkdownDocuments(documents);
+    };
+    input.click();
+}
+
+// Pages are added before parsing so [[links]] between imported files resolve
+function importMarkdownDocuments(documents) {
+    const pages = [];
+    documents.forEach(doc => {
+        const taken = new Set(pages.map(page => page.name));
+        let name = uniquePageName(doc.name);
+        for (let n = 2; taken.has(name); n++) name = uniquePageName(`${doc.name} (${n})`);
+        pages.push(newPageRecord(name));
+    });
+
+    transact('Import Markdown', { pageIds: pages.map(page => page.id) }, () => {
+        state.pages.push(...pages);
+        savePages();
+
+        documents.forEach((doc, i) => {
+            const blocks = markdownToBlocks(doc.markdown);
+            storageSet(`page-${pages[i].id}`, blocks.length ? blocks : [createBlock('text', '')]);
+        });
+
+        loadPage(pages[0].id);
+    });
+    showToast(`Imported ${documents.length} page${documents.length === 1 ? '' : 's'}`);
+}
+
+function uniquePageName(name) {
+    const base = name.trim() || 'Untitled';
+    let candidate = base;
+    for (let n = 2; getPageByName(candidate); n++) candidate = `${base} (${n})`;
+    return candidate;
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Minimal uncompressed ("stored") ZIP writer for multi-file exports
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ path, content }) => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(local.buffer, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central.buffer, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        });
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+registerCommand({ id: 'import.markdown', title: 'Import Markdown', category: 'Import and export', icon: '⬆',
+    description: 'Create pages from .md files', run: () => importMarkdownFiles() });
+registerCommand({ id: 'export.pageMarkdown', title: 'Export page as Markdown', category: 'Import and export', icon: '⬇',
+    description: 'Download this page as a .md file', when: ({ pageId }) => Boolean(pageId),
+    run: ({ pageId }) => exportPageAsMarkdown(pageId) });
+registerCommand({ id: 'export.pageTreeMarkdown', title: 'Export page and subpages as Markdown', category: 'Import and export', icon: '⬇',
+    description: 'Download a .zip with one .md file per page',
+    when: ({ pageId }) => state.pages.some(page => pageId && page.parentId === pageId),
+    run: ({ pageId }) => exportPageAsMarkdown(pageId, true) });
+registerCommand({ id: 'export.workspaceMarkdown', title: 'Export workspace as Markdown', category: 'Import and export', icon: '⬇',
+    description: 'Download every page as .md files in a .zip', run: () => exportWorkspaceAsMarkdown() });
+
+// Workspace backup and restore
+// A backup is a single JSON document. Bump BACKUP_SCHEMA_VERSION when its
+// shape changes and teach migrateBackup() to upgrade older files.
+const BACKUP_FORMAT = 'mejakerja-backup';
+const BACKUP_SCHEMA_VERSION = 5;
+
+function createWorkspaceBackup() {
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        pages: state.pages,
+        // Uploaded images are stored as data URLs inside their blocks, so they travel with the page
+        blocks: Object.fromEntries(state.pages.map(page => [
+            page.id,
+            page.id === state.currentPage ? state.blocks : storageGet(`page-${page.id}`, [])
+        ])),
+        favorites: state.favorites,
+        recentPages: state.recentPages,
+        templates: getTemplates(),
+        history: Object.fromEntries([...state.pages.map(page => page.id), ...getTrashedPageIds()]
+            .map(id => [id, getVersions(id)])
+            .filter(([, versions]) => versions.length > 0)),
+        trash: getTrash(),
+        // Trashed pages keep their blocks in storage until the trash is purged
+        trashedBlocks: Object.fromEntries(getTrashedPageIds().map(id => [id, storageGet(`page-${id}`, [])])),
+        settings: {
+            theme: state.theme,
+            keymap: storageGet('keymap', {}),
+            trashRetentionDays: getTrashRetentionDays(),
+            journal: getJournalSettings()
+        }
+    };
+}
+
+function exportWorkspaceBackup() {
+    const backup = createWorkspaceBackup();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`mejakerja-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    showToast(`Exported ${backup.pages.length} page${backup.pages.length === 1 ? '' : 's'}`);
+}
+
+function migrateBackup(backup) {
+    // Upgrades run in order, each taking the backup one version forward
+    if (backup?.schemaVersion === 1 && backup.blocks && typeof backup.blocks === 'object') {
+        // Version 2 nests blocks as children instead of flat lists with an indent level
+        backup = {
+            ...backup,
+            schemaVersion: 2,
+            blocks: Object.fromEntries(Object.entries(backup.blocks)
+                .map(([id, blocks]) => [id, Array.isArray(blocks) ? nestBlocks(blocks) : blocks]))
+        };
+    }
+    if (backup?.schemaVersion === 2 && backup.blocks && typeof backup.blocks === 'object') {
+        // Version 3 stores text blocks as runs instead of HTML
+        backup = {
+            ...backup,
+            schemaVersion: 3,
+            blocks: Object.fromEntries(Object.entries(backup.blocks)
+                .map(([id, blocks]) => [id, Array.isArray(blocks) ? blocks.map(migrateBlockContent) : blocks]))
+        };
+    }
+    if (backup?.schemaVersion === 3 && backup.blocks && typeof backup.blocks === 'object') {
+        // Version 4 replaces pipe-delimited table blocks with database blocks
+        backup = {
+            ...backup,
+            schemaVersion: 4,
+            blocks: Object.fromEntries(Object.entries(backup.blocks)
+                .map(([id, blocks]) => [id, Array.isArray(blocks) ? blocks.map(migrateTableBlock) : blocks]))
+        };
+    }
+    if (backup?.schemaVersion === 4) {
+        // Version 5 adds the trash and page history; older backups restore without them
+        backup = { ...backup, schemaVersion: 5 };
+    }
+    return backup;
+}
+
+// Returns a list of problems; an empty list means the backup can be restored
+function validateBackup(backup) {
+    const errors = [];
+    if (!backup || typeof backup !== 'object') return ['File is not a workspace backup'];
+    if (backup.format !== BACKUP_FORMAT) errors.push('File is not a workspace backup');
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+        errors.push('Backup has no schema version');
+    } else if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        errors.push('Backup was made by a newer version of the app');
+    }
+    if (!Array.isArray(backup.pages)) errors.push('Backup has no page list');
+    if (!backup.blocks || typeof backup.blocks !== 'object') errors.push('Backup has no page contents');
+    if (errors.length) return errors;
+
+    const ids = new Set();
+    backup.pages.forEach((page, i) => {
+        if (!page || typeof page.id !== 'string' || typeof page.name !== 'string' || !page.name.trim()) {
+            errors.push(`Page ${i + 1} is missing an id or name`);
+            return;
+        }
+        // Ids end up in attributes and URLs, so only plain identifiers are accepted
+        if (!isSafeId(page.id) || (page.parentId && !isSafeId(page.parentId))) {
+            errors.push(`Page ${i + 1} has an invalid id`);
+        }
+        if (ids.has(page.id)) errors.push(`Page id "${page.id}" appears more than once`);
+        ids.add(page.id);
+    });
+    backup.pages.forEach(page => {
+        if (page?.parentId && !ids.has(page.parentId)) errors.push(`"${page.name}" refers to a missing parent page`);
+    });
+
+    Object.entries(backup.blocks).forEach(([pageId, blocks]) => {
+        if (!ids.has(pageId)) errors.push(`Contents found for unknown page "${pageId}"`);
+        validateBlockList(blocks, `Page "${pageId}"`, errors);
+    });
+
+    ['favorites', 'recentPages', 'templates', 'trash'].forEach(key => {
+        if (backup[key] !== undefined && !Array.isArray(backup[key])) errors.push(`"${key}" must be a list`);
+    });
+    // Templates are copied with fresh ids when used, so only their contents are checked
+    (Array.isArray(backup.templates) ? backup.templates : []).forEach((template, i) => {
+        if (!template || typeof template.name !== 'string' || !Array.isArray(template.pages) ||
+            !template.pages.every(page => page && typeof page.name === 'string') ||
+            !template.blocks || typeof template.blocks !== 'object') {
+            errors.push(`Template ${i + 1} is invalid`);
+            return;
         }
+        Object.values(template.blocks).forEach(blocks => validateBlockList(blocks, `Template "${template.name}"`, errors));
     });
-}
 
-function handleRouting() {
-    const hash = window.location.hash;
-    if (hash.startsWith('#page=')) {
-        const parts = hash.substring(6).split('&');
-        const pageName = decodeURIComponent(parts[0]);
-        loadPage(pageName);
-        
-        if (parts.length > 1 && parts[1].startsWith('block=')) {
-            const blockId = parts[1].substring(6);
-            setTimeout(() => {
-                const blockElement = document.getElementById(blockId);
-                if (blockElement) {
-                    blockElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    blockElement.classList.add('highlighted');
-                    setTimeout(() => blockElement.classList.remove('highlighted'), 2000);
+    const trash = Array.isArray(backup.trash) ? backup.trash : [];
+    trash.forEach((entry, i) => {
+        if (!entry || !isSafeId(entry.id) || typeof entry.deletedAt !== 'string') {
+            errors.push(`Trash item ${i + 1} is invalid`);
+        } else if (entry.kind === 'page') {
+            if (!Array.isArray(entry.pages) || entry.pages.length === 0 ||
+                !entry.pages.every(page => page && isSafeId(page.id) && typeof page.name === 'string')) {
+                errors.push(`Trash item ${i + 1} is invalid`);
+            }
+        } else if (entry.kind === 'block' && isSafeId(entry.pageId)) {
+            validateBlockList([entry.block], `Trash item ${i + 1}`, errors);
+        } else {
+            errors.push(`Trash item ${i + 1} is invalid`);
+        }
+    });
+    if (backup.trashedBlocks !== undefined) {
+        if (!backup.trashedBlocks || typeof backup.trashedBlocks !== 'object') {
+            errors.push('"trashedBlocks" must be an object');
+        } else {
+            const trashedIds = new Set(trash
+                .filter(entry => entry?.kind === 'page' && Array.isArray(entry.pages))
+                .flatMap(entry => entry.pages.map(page => page?.id)));
+            Object.entries(backup.trashedBlocks).forEach(([pageId, blocks]) => {
+                if (!trashedIds.has(pageId)) errors.push(`Contents found for unknown trashed page "${pageId}"`);
+                validateBlockList(blocks, `Trashed page "${pageId}"`, errors);
+            });
+        }
+    }
+    if (backup.history !== undefined) {
+        if (!backup.history || typeof backup.history !== 'object') {
+            errors.push('"history" must be an object');
+        } else {
+            const pageIds = new Set([...ids, ...Object.keys(backup.trashedBlocks || {})]);
+            Object.entries(backup.history).forEach(([pageId, versions]) => {
+                if (!pageIds.has(pageId)) errors.push(`History found for unknown page "${pageId}"`);
+                if (!Array.isArray(versions) || !versions.every(version =>
+                    version && isSafeId(version.id) && typeof version.savedAt === 'string')) {
+                    errors.push(`History of page "${pageId}" is invalid`);
+                    return;
                 }
-            }, 300);
+                versions.forEach(version => validateBlockList(version.blocks, `History of page "${pageId}"`, errors));
+            });
         }
-    } else if (state.pages.length > 0) {
-        loadPage(state.pages[0].name);
     }
+    const journal = backup.settings?.journal;
+    if (journal !== undefined && !(journal && typeof journal === 'object' &&
+        [journal.pageId, journal.templateId].every(id => id === null || id === undefined || isSafeId(id)))) {
+        errors.push('Journal settings are invalid');
+    }
+    const retention = backup.settings?.trashRetentionDays;
+    if (retention !== undefined && !(Number.isInteger(retention) && retention > 0)) {
+        errors.push('Trash retention must be a whole number of days');
+    }
+    return [...new Set(errors)];
 }
 
-function setupBlockEventListeners() {
-    document.querySelectorAll('.block').forEach(blockElement => {
-        const blockId = blockElement.dataset.blockId;
-        const block = state.blocks.find(b => b.id === blockId);
-        const contentElement = blockElement.querySelector('.block-content');
-        const index = parseInt(contentElement?.dataset.blockIndex || 0);
+function validateBlockList(blocks, label, errors) {
+    if (!Array.isArray(blocks)) {
+        errors.push(`${label} has contents that are not a block list`);
+        return;
+    }
+    forEachBlock(blocks, block => {
+        if (!block || !isSafeId(block.id) || typeof block.type !== 'string') {
+            errors.push(`${label} contains an invalid block`);
+        } else if (isRichText(block.type) && !(Array.isArray(block.content) &&
+            block.content.every(run => run && typeof run.text === 'string'))) {
+            errors.push(`${label} contains a block with invalid text`);
+        } else if (block.type === 'database' && !isValidDatabase(block.content)) {
+            errors.push(`${label} contains an invalid database`);
+        } else if (block.type === 'synced' && block.content &&
+            !(isSafeId(block.content.pageId) && isSafeId(block.content.blockId))) {
+            errors.push(`${label} contains a synced block with an invalid link`);
+        }
+    });
+}
 
-        // Block controls
-        blockElement.querySelector('.block-type-selector')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            showBlockTypeMenu(blockId, e.target);
-        });
+function isValidDatabase(database) {
+    return Boolean(database) && Array.isArray(database.columns) && Array.isArray(database.rows) &&
+        Array.isArray(database.views) && database.views.length > 0 &&
+        database.columns.every(column => column && isSafeId(column.id) && DATABASE_COLUMN_TYPES[column.type]) &&
+        database.rows.every(row => row && isSafeId(row.id) && row.cells && typeof row.cells === 'object') &&
+        database.views.every(view => view && isSafeId(view.id));
+}
 
-        blockElement.querySelector('.copy-block-link-btn')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            copyBlockLink(blockId);
-        });
+function isSafeId(id) {
+    return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
 
-        blockElement.querySelector('.delete-block-btn')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            deleteBlock(blockId);
-        });
+function findBackupConflicts(backup) {
+    return backup.pages
+        .map(page => ({ page, existing: getPage(page.id) || getPageByName(page.name) }))
+        .filter(({ existing }) => existing);
+}
 
-        // Todo checkbox
-        if (block?.type === 'todo') {
-            const checkbox = blockElement.querySelector('.todo-checkbox');
-            checkbox.addEventListener('change', () => {
-                const newContent = checkbox.checked ? 
-                    `~${block.content.replace(/^~/, '')}` : 
-                    block.content.replace(/^~/, '');
-                updateBlock(blockId, { content: newContent });
-            });
+function importWorkspaceBackup() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch {
+            showToast('Could not read backup: the file is not valid JSON');
+            return;
         }
 
-        // Content editing
-        if (contentElement) {
-            contentElement.addEventListener('input', () => {
-                // Handle markdown shortcuts
-                if (contentElement.textContent === '# ' && block.type !== 'h1') {
-                    updateBlock(blockId, { type: 'h1', content: '' });
-                } else if (contentElement.textContent === '## ' && block.type !== 'h2') {
-                    updateBlock(blockId, { type: 'h2', content: '' });
-                } else if (contentElement.textContent === '### ' && block.type !== 'h3') {
-                    updateBlock(blockId, { type: 'h3', content: '' });
-                } else if (contentElement.textContent === '* ' && block.type !== 'bullet') {
-                    updateBlock(blockId, { type: 'bullet', content: '' });
-                } else if (contentElement.textContent === '1. ' && block.type !== 'numbered') {
-                    updateBlock(blockId, { type: 'numbered', content: '' });
-                } else if (contentElement.textContent === '> ' && block.type !== 'toggle') {
-                    updateBlock(blockId, { type: 'toggle', content: '' });
-                } else if (contentElement.textContent === '[] ' && block.type !== 'todo') {
-                    updateBlock(blockId, { type: 'todo', content: '' });
-                } else if (contentElement.textContent === '---' && block.type !== 'divider') {
-                    updateBlock(blockId, { type: 'divider', content: '' });
-                } else if (contentElement.textContent === '``` ' && block.type !== 'code') {
-                    updateBlock(blockId, { type: 'code', content: '' });
-                } else {
-                    updateBlock(blockId, { content: contentElement.innerHTML });
-                }
-            });
+        const errors = validateBackup(backup);
+        if (errors.length) {
+            showToast(`Invalid backup: ${errors.slice(0, 3).join('; ')}`, 5000);
+            return;
+        }
+        showRestoreDialog(migrateBackup(backup));
+    };
+    input.click();
+}
 
-            contentElement.addEventListener('keydown', handleBlockKeydown(block, index));
-            contentElement.addEventListener('paste', handlePaste);
+function showRestoreDialog(backup) {
+    const conflicts = findBackupConflicts(backup);
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal">
+            <h2>Restore workspace</h2>
+            <p>
+                Backup from ${escapeHTML(new Date(backup.exportedAt || Date.now()).toLocaleString())}
+                with ${backup.pages.length} page${backup.pages.length === 1 ? '' : 's'}.
+            </p>
+            ${conflicts.length ? `
+                <p>${conflicts.length} page${conflicts.length === 1 ? '' : 's'} already exist${conflicts.length === 1 ? 's' : ''} in this workspace:</p>
+                <ul class="modal-list">
+                    ${conflicts.map(({ page }) => `<li>${escapeHTML(page.name)}</li>`).join('')}
+                </ul>
+                <p class="modal-hint">Merging keeps both copies and renames the imported ones.</p>
+            ` : ''}
+            <div class="modal-actions">
+                <button class="modal-btn" data-action="cancel">Cancel</button>
+                <button class="modal-btn" data-action="replace">Replace workspace</button>
+                <button class="modal-btn primary" data-action="merge">Merge</button>
+            </div>
+        </div>
+    `;
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        const action = e.target.dataset?.action;
+        if (e.target === overlay || action === 'cancel') {
+            close();
+        } else if (action === 'merge') {
+            close();
+            restoreWorkspaceBackup(backup, 'merge');
+        } else if (action === 'replace') {
+            if (!confirm('Replace the whole workspace with this backup? Current pages will be removed.')) return;
+            close();
+            restoreWorkspaceBackup(backup, 'replace');
         }
     });
+    document.body.appendChild(overlay);
 }
 
-function handleBlockKeydown(block, index) {
-    return (e) => {
-        const contentElement = e.target;
-        
-        // Enter key
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            const selection = window.getSelection();
-            const range = selection.getRangeAt(0);
-            const caretOffset = range.startOffset;
-            const currentContent = contentElement.innerHTML;
-            
-            if (caretOffset > 0 && caretOffset < currentContent.length) {
-                const beforeText = currentContent.substring(0, caretOffset);
-                const afterText = currentContent.substring(caretOffset);
-                updateBlock(block.id, { content: beforeText });
-                addBlock(block.type, afterText, block.indent, index + 1);
-            } else {
-                const nextType = ['todo', 'bullet', 'numbered'].includes(block.type) ? 
-                    block.type : state.lastBlockType;
-                addBlock(nextType, '', block.indent, index + 1);
+function restoreWorkspaceBackup(backup, mode) {
+    const incoming = mode === 'merge' ? prepareBackupForMerge(backup) : backup;
+    // Trashed pages' blocks are included so an undo brings them back too
+    const affectedIds = [...new Set([
+        ...state.pages.map(page => page.id),
+        ...incoming.pages.map(page => page.id),
+        ...(mode === 'replace' && incoming.trash ? [...getTrashedPageIds(), ...getTrashedPageIds(incoming.trash)] : [])
+    ])];
+
+    transact(mode === 'merge' ? 'Merge backup' : 'Replace workspace', { pageIds: affectedIds, trash: mode === 'replace' }, () => {
+        if (mode === 'replace') {
+            state.pages.forEach(page => storageRemove(`page-${page.id}`));
+            state.pages = incoming.pages.map(page => ({ ...page }));
+            state.favorites = (incoming.favorites || []).filter(id => getPage(id));
+            state.recentPages = (incoming.recentPages || []).filter(id => getPage(id));
+            if (incoming.settings?.theme) {
+                state.theme = incoming.settings.theme;
+                storageSet('theme', state.theme);
+                applyTheme();
             }
+            if (incoming.settings?.keymap) {
+                storageSet('keymap', incoming.settings.keymap);
+                loadKeymap();
+            }
+            if (incoming.settings?.journal) saveJournalSettings(incoming.settings.journal);
+            if (incoming.settings?.trashRetentionDays) storageSet('trashRetentionDays', incoming.settings.trashRetentionDays);
+            // Backups made before the trash existed leave the current one alone
+            if (incoming.trash) {
+                getTrashedPageIds().forEach(id => storageRemove(`page-${id}`));
+                saveTrash(incoming.trash);
+                Object.entries(incoming.trashedBlocks || {}).forEach(([id, blocks]) => storageSet(`page-${id}`, blocks));
+            }
+        } else {
+            state.pages.push(...incoming.pages);
+            state.favorites = [...new Set([...state.favorites, ...(incoming.favorites || [])])];
         }
-        
-        // Tab key
-        else if (e.key === 'Tab') {
-            e.preventDefault();
-            const newIndent = e.shiftKey ? 
-                Math.max(0, block.indent - 1) : 
-                Math.min(4, block.indent + 1);
-            updateBlock(block.id, { indent: newIndent });
-            renderBlocks();
-            setTimeout(() => contentElement.focus(), 0);
-        }
-        
-        // Slash command
-        else if (e.key === '/' && contentElement.textContent === '/') {
-            e.preventDefault();
-            showBlockTypeMenu(block.id, contentElement);
-        }
-        
-        // Backspace
-        else if (e.key === 'Backspace' && contentElement.textContent === '') {
-            e.preventDefault();
-            deleteBlock(block.id);
-        }
-        
-        // Arrow keys
-        else if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            navigateToBlock(index - 1);
-        }
-        else if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            navigateToBlock(index + 1);
-        }
-        
-        // Ctrl+D to duplicate
-        else if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
-            e.preventDefault();
-            duplicateBlock(block.id);
+        if (incoming.templates) {
+            const templates = mode === 'replace' ? [] : getTemplates();
+            const known = new Set(templates.map(template => template.id));
+            saveTemplates([...templates, ...incoming.templates.filter(template => !known.has(template.id))]);
         }
-    };
+
+        incoming.pages.forEach(page => {
+            storageSet(`page-${page.id}`, incoming.blocks[page.id] || []);
+        });
+        Object.entries(incoming.history || {}).forEach(([id, versions]) => storageSet(`history-${id}`, versions));
+
+        savePages();
+        saveFavorites();
+        saveRecentPages();
+        renderFavorites();
+
+        const nextPage = mode === 'merge' && getPage(state.currentPage) ? state.currentPage : state.pages[0]?.id;
+        if (nextPage) loadPage(nextPage);
+    });
+
+    showToast(mode === 'merge' ?
+        `Merged ${incoming.pages.length} page${incoming.pages.length === 1 ? '' : 's'} from backup` :
+        'Workspace restored from backup');
 }
 
-function handlePaste(e) {
-    e.preventDefault();
-    const text = (e.clipboardData || window.clipboardData).getData('text/plain');
-    
-    if (text.includes('#page=') && text.includes('&block=')) {
-        const url = new URL(text);
-        const pageName = decodeURIComponent(url.hash.split('&')[0].replace('#page=', ''));
-        document.execCommand('insertHTML', false, 
-            `<a href="${text}" class="internal-link">${pageName} (block)</a>`);
-    } else {
-        document.execCommand('insertHTML', false, text);
-    }
+// Give imported pages fresh ids when they collide and unique names when a
+// page with the same name exists. Blocks always get fresh ids: a backup of
+// this same workspace would otherwise put blocks with equal ids on two pages.
+// Links inside the backup follow the new ids.
+function prepareBackupForMerge(backup) {
+    const idMap = new Map();
+    backup.pages.forEach(page => idMap.set(page.id, getPage(page.id) ? generateId() : page.id));
+    const blocks = Object.fromEntries(Object.entries(backup.blocks)
+        .map(([id, pageBlocks]) => [id, pageBlocks.map(block => cloneBlockTree(block, idMap))]));
+    // Versions reuse the ids given to the current blocks, so comparing them still lines up
+    const renumber = (block) => {
+        if (!idMap.has(block.id)) idMap.set(block.id, generateId());
+        return { ...block, id: idMap.get(block.id), children: (block.children || []).map(renumber) };
+    };
+    // Trashed pages aren't merged, so neither is their history
+    const history = Object.fromEntries(Object.entries(backup.history || {})
+        .filter(([id]) => backup.pages.some(page => page.id === id))
+        .map(([id, versions]) => [idMap.get(id), versions.map(version =>
+            ({ ...version, blocks: remapBlockIds(version.blocks.map(renumber), idMap) }))]));
+
+    const takenNames = new Set(state.pages.map(page => page.name));
+    const pages = backup.pages.map(page => {
+        let name = page.name;
+        for (let n = 1; takenNames.has(name); n++) name = `${page.name} (imported${n > 1 ? ` ${n}` : ''})`;
+        takenNames.add(name);
+        return {
+            ...page,
+            id: idMap.get(page.id),
+            name,
+            parentId: page.parentId ? idMap.get(page.parentId) : null
+        };
+    });
+
+    return {
+        ...backup,
+        pages,
+        blocks: Object.fromEntries(Object.entries(blocks)
+            .map(([id, pageBlocks]) => [idMap.get(id), remapBlockIds(pageBlocks, idMap)])),
+        history,
+        favorites: (backup.favorites || []).map(id => idMap.get(id)).filter(Boolean)
+    };
 }
 
+registerCommand({ id: 'export.backup', title: 'Export workspace backup', category: 'Import and export', icon: '💾',
+    description: 'Download every page and setting as one JSON file', run: () => exportWorkspaceBackup() });
+registerCommand({ id: 'import.backup', title: 'Restore workspace from backup', category: 'Import and export', icon: '♻',
+    description: 'Merge or replace pages from a backup file', keywords: ['import backup'], run: () => importWorkspaceBackup() });
+
 // UI components
-function showBlockTypeMenu(blockId, targetElement) {
-    const block = state.blocks.find(b => b.id === blockId);
+// With several `blockIds` (a block selection) every one of them is converted
+function showBlockTypeMenu(blockId, targetElement, blockIds = [blockId]) {
+    const block = findBlock(blockId);
     if (!block) return;
     
     const menu = document.createElement('div');
@@ -954,14 +7982,18 @@ function showBlockTypeMenu(blockId, targetElement) {
                     <div style="font-weight: 500; font-size: 14px">${label}</div>
                     <div style="font-size: 12px; color: var(--text-secondary); margin-top: 2px">${description}</div>
                 </div>
-                <div style="font-size: 11px; color: var(--text-tertiary); padding-left: 12px">${shortcut}</div>
+                <div style="font-size: 11px; color: var(--text-tertiary); padding-left: 12px">${escapeHTML(getMarkdownTrigger(type) ?? shortcut)}</div>
             </div>
         `;
 
         item.addEventListener('click', () => {
-            updateBlock(blockId, { type });
+            menu.remove();
+            if (blockIds.length > 1 || type === 'columns' || block.type === 'columns') {
+                turnBlocksInto(blockIds, type);
+                return;
+            }
+            updateBlock(blockId, { type, content: convertBlockContent(findBlock(blockId), type) });
             renderBlocks();
-            document.body.removeChild(menu);
             setTimeout(() => document.getElementById(blockId)?.focus(), 0);
         });
 
@@ -987,17 +8019,77 @@ function showBlockTypeMenu(blockId, targetElement) {
     setTimeout(() => searchInput.focus(), 0);
     const clickHandler = (e) => {
         if (!menu.contains(e.target)) {
-            document.body.removeChild(menu);
+            menu.remove();
             document.removeEventListener('click', clickHandler);
         }
     };
     setTimeout(() => document.addEventListener('click', clickHandler), 0);
 }
 
+// Command palette
+// A command whose id is also in KEYMAP_COMMANDS shows that command's keys.
+const COMMAND_RECENT_LIMIT = 5;
+const COMMAND_PAGE_LIMIT = 8;
+
+const commandPalette = {
+    context: null,
+    items: [],
+    selected: 0
+};
+
+// Higher is better; null when the characters of `query` don't all appear in
+// order. Runs of consecutive characters and the starts of words count most,
+// characters skipped on the way count against.
+function fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) return 0;
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+        score += 1 - Math.min(index - from, 5) * 0.2;
+        if (index === previous + 1) score += 2;
+        if (index === 0 || /[\s\-_/.(]/.test(haystack[index - 1])) score += 3;
+        previous = index;
+        from = index + 1;
+    }
+    if (haystack.startsWith(query.toLowerCase().trim())) score += 5;
+    // Shorter texts win ties
+    return score - haystack.length * 0.01;
+}
+
+// Titles count fully, keywords and the category less
+function scoreCommand(command, query) {
+    const texts = [[command.title, 1], ...command.keywords.map(keyword => [keyword, 0.8]), [command.category, 0.5]];
+    const scores = texts
+        .map(([text, weight]) => (fuzzyScore(query, text) ?? NaN) * weight)
+        .filter(score => !Number.isNaN(score));
+    return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+function getRecentCommands() {
+    return storageGet('recentCommands', []).filter(id => commandRegistry.has(id));
+}
+
+function recordRecentCommand(id) {
+    storageSet('recentCommands', [id, ...getRecentCommands().filter(recent => recent !== id)].slice(0, COMMAND_RECENT_LIMIT));
+}
+
 function showCommandPalette() {
+    // Opening it again keeps the context it was opened with
+    if (elements.commandPalette.style.display !== 'block') {
+        commandPalette.context = {
+            pageId: state.view ? null : state.currentPage,
+            blockId: getFocusedBlockId(),
+            selectedIds: [...blockSelection.ids]
+        };
+    }
     elements.commandPalette.style.display = 'block';
     elements.commandInput.value = '';
-    elements.commandResults.innerHTML = '';
+    searchCommands('');
     elements.commandInput.focus();
 }
 
@@ -1005,88 +8097,127 @@ function hideCommandPalette() {
     elements.commandPalette.style.display = 'none';
 }
 
+function commandItem(command) {
+    return {
+        section: command.category,
+        icon: command.icon,
+        title: escapeHTML(command.title),
+        description: escapeHTML(command.description),
+        shortcut: KEYMAP_COMMANDS[command.id] ? getShortcutLabel(command.id) : '',
+        commandId: command.id,
+        run: () => command.run(commandPalette.context)
+    };
+}
+
+// With no query: recent commands, then every available command by category.
+// Otherwise ranked commands and pages, whichever has the better match first,
+// then blocks that match.
 function searchCommands(query) {
     const normalizedQuery = query.toLowerCase().trim();
-    elements.commandResults.innerHTML = '';
-    
-    if (!normalizedQuery) return;
-    
-    // Add page creation command
-    if ('create page'.includes(normalizedQuery) || 'new page'.includes(normalizedQuery)) {
-        addCommandItem({
+    const context = commandPalette.context || { pageId: state.currentPage, blockId: null, selectedIds: [] };
+    // Features register in file order, so commands are grouped by category here
+    const categories = [...new Set([...commandRegistry.values()].map(command => command.category))];
+    const available = [...commandRegistry.values()]
+        .filter(command => command.when(context))
+        .sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category));
+
+    if (!normalizedQuery) {
+        const recent = getRecentCommands().map(id => commandRegistry.get(id)).filter(command => available.includes(command));
+        commandPalette.items = [
+            ...recent.map(command => ({ ...commandItem(command), section: 'Recent' })),
+            ...available.filter(command => !recent.includes(command)).map(commandItem)
+        ];
+    } else {
+        const recent = getRecentCommands();
+        const commands = available
+            .map(command => ({ command, score: scoreCommand(command, normalizedQuery) }))
+            .filter(({ score }) => score !== null)
+            // Recently used commands rank a little higher
+            .map(({ command, score }) => ({ command, score: score + (recent.includes(command.id) ? 2 - recent.indexOf(command.id) * 0.3 : 0) }))
+            .sort((a, b) => b.score - a.score);
+
+        const pages = state.pages
+            .map(page => ({ page, score: fuzzyScore(normalizedQuery, page.name) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, COMMAND_PAGE_LIMIT);
+        const commandItems = commands.map(({ command }) => ({ ...commandItem(command), section: 'Commands' }));
+        const pageItems = pages.map(({ page }) => ({
+            section: 'Pages',
             icon: '📄',
-            title: 'Create new page',
-            description: 'Add a new page to your workspace',
-            action: () => {
-                const name = prompt('Page name:');
-                if (name) createPage(name);
-                hideCommandPalette();
-            }
-        });
-    }
-    
-    // Add theme toggle command
-    if ('toggle theme'.includes(normalizedQuery) || 'dark mode'.includes(normalizedQuery)) {
-        addCommandItem({
-            icon: state.theme === 'light' ? '🌙' : '☀️',
-            title: `Toggle ${state.theme === 'light' ? 'dark' : 'light'} mode`,
-            description: 'Switch between light and dark theme',
-            action: () => {
-                toggleTheme();
-                hideCommandPalette();
-            }
-        });
+            title: `Go to "${escapeHTML(page.name)}"`,
+            description: `Open ${escapeHTML(page.name)} page`,
+            run: () => loadPage(page.id)
+        }));
+
+        const blocks = searchWorkspace(query, 5)
+            .filter(result => result.type !== 'title')
+            .map(result => ({
+                section: 'In pages',
+                icon: '🔍',
+                title: result.snippet,
+                description: `In ${escapeHTML(getPage(result.pageId).name)}`,
+                run: () => openBlock(result.pageId, result.blockId)
+            }));
+        const pagesFirst = pages.length > 0 && (commands.length === 0 || pages[0].score > commands[0].score);
+        commandPalette.items = [...(pagesFirst ? [...pageItems, ...commandItems] : [...commandItems, ...pageItems]), ...blocks];
     }
-    
-    // Add sidebar toggle command
-    if ('toggle sidebar'.includes(normalizedQuery)) {
-        addCommandItem({
-            icon: state.sidebarCollapsed ? '→' : '←',
-            title: `Toggle sidebar`,
-            description: 'Show or hide the sidebar',
-            action: () => {
-                toggleSidebar();
-                hideCommandPalette();
-            }
+    commandPalette.selected = 0;
+    renderCommandResults();
+}
+
+function renderCommandResults() {
+    const { items, selected } = commandPalette;
+    elements.commandResults.innerHTML = items.length === 0 ? '<div class="command-empty">No matching commands</div>' :
+        items.map((item, index) => `
+            ${item.section !== items[index - 1]?.section ? `<div class="command-section">${escapeHTML(item.section)}</div>` : ''}
+            <div class="command-item ${index === selected ? 'selected' : ''}" data-index="${index}" role="option" aria-selected="${index === selected}">
+                <div style="display: flex; align-items: center; gap: 12px; padding: 8px 12px">
+                    <span style="font-size: 16px">${item.icon}</span>
+                    <div style="flex: 1">
+                        <div style="font-weight: 500; font-size: 14px">${item.title}</div>
+                        ${item.description ? `<div style="font-size: 12px; color: var(--text-secondary); margin-top: 2px">${item.description}</div>` : ''}
+                    </div>
+                    ${item.shortcut ? `<kbd class="command-shortcut">${escapeHTML(item.shortcut)}</kbd>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+    elements.commandResults.querySelectorAll('.command-item').forEach(element => {
+        const index = Number(element.dataset.index);
+        element.addEventListener('click', () => runCommandItem(index));
+        element.addEventListener('mousemove', () => {
+            if (commandPalette.selected !== index) selectCommandItem(index);
         });
-    }
-    
-    // Add page search
-    state.pages.forEach(page => {
-        if (page.name.toLowerCase().includes(normalizedQuery)) {
-            addCommandItem({
-                icon: '📄',
-                title: `Go to "${page.name}"`,
-                description: `Open ${page.name} page`,
-                action: () => {
-                    loadPage(page.name);
-                    hideCommandPalette();
-                }
-            });
-        }
     });
 }
 
-function addCommandItem({ icon, title, description, action }) {
-    const item = document.createElement('div');
-    item.className = 'command-item';
-    item.tabIndex = 0;
-    item.innerHTML = `
-        <div style="display: flex; align-items: center; gap: 12px; padding: 8px 12px">
-            <span style="font-size: 16px">${icon}</span>
-            <div>
-                <div style="font-weight: 500; font-size: 14px">${title}</div>
-                <div style="font-size: 12px; color: var(--text-secondary); margin-top: 2px">${description}</div>
-            </div>
-        </div>
-    `;
-    
-    item.addEventListener('click', action);
-    item.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') action();
+function selectCommandItem(index) {
+    const count = commandPalette.items.length;
+    if (count === 0) return;
+    // Arrow keys wrap around at either end
+    commandPalette.selected = (index + count) % count;
+    elements.commandResults.querySelectorAll('.command-item').forEach(element => {
+        const isSelected = Number(element.dataset.index) === commandPalette.selected;
+        element.classList.toggle('selected', isSelected);
+        element.setAttribute('aria-selected', isSelected);
+        if (isSelected) element.scrollIntoView({ block: 'nearest' });
     });
-    
-    elements.commandResults.appendChild(item);
+}
+
+function runCommandItem(index) {
+    const item = commandPalette.items[index];
+    if (!item) return;
+    hideCommandPalette();
+    if (item.commandId) recordRecentCommand(item.commandId);
+    item.run();
+}
+
+function handleCommandInputKeydown(e) {
+    const id = matchShortcut(e, command => command.scope === 'palette');
+    if (!id) return;
+    e.preventDefault();
+    if (id !== KEY_SEQUENCE_PENDING) KEYMAP_COMMANDS[id].run();
 }
 
 function showToast(message, duration = 2000) {
@@ -1104,7 +8235,7 @@ function showToast(message, duration = 2000) {
 // Theme and layout
 function toggleTheme() {
     state.theme = state.theme === 'light' ? 'dark' : 'light';
-    localStorage.setItem('theme', state.theme);
+    storageSet('theme', state.theme);
     applyTheme();
     
     // Update toggle button icon
@@ -1147,24 +8278,229 @@ function toggleSidebar() {
     elements.sidebarToggle.textContent = state.sidebarCollapsed ? '→' : '←';
 }
 
+registerCommand({ id: 'app.toggleTheme', title: 'Toggle dark mode', category: 'View', icon: '🌙',
+    description: 'Switch between light and dark theme', keywords: ['theme', 'light mode'], run: () => toggleTheme() });
+registerCommand({ id: 'app.toggleSidebar', title: 'Toggle sidebar', category: 'View', icon: '◧',
+    description: 'Show or hide the sidebar', run: () => toggleSidebar() });
+
 // Utilities
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substring(2);
 }
 
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function decodeHTMLEntities(text) {
+    return new DOMParser().parseFromString(`<!doctype html><body>${text}`, 'text/html').body.textContent;
+}
+
+// HTML sanitization
+// Block content is rendered with innerHTML, so everything stored or pasted is
+// filtered through an allowlist of inline tags, attributes and URL schemes.
+const SANITIZE_ALLOWED_TAGS = {
+    a: ['href', 'class', 'title', 'target', 'rel', 'data-page-id', 'data-missing-page'],
+    strong: [], b: [], em: [], i: [], u: [], del: [], s: [], strike: [],
+    code: [], mark: [], sub: [], sup: [], br: [], span: ['class'], div: [], p: []
+};
+const SANITIZE_ALLOWED_CLASSES = new Set(['internal-link', 'missing-link']);
+// Removed with their contents rather than unwrapped
+const SANITIZE_DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript',
+    'svg', 'math', 'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select', 'title'
+]);
+const SAFE_URL_SCHEMES = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+function sanitizeHTML(html) {
+    if (typeof html !== 'string' || html === '') return '';
+    const body = new DOMParser().parseFromString(`<!doctype html><body>${html}`, 'text/html').body;
+    sanitizeNode(body);
+    return body.innerHTML;
+}
+
+function sanitizeNode(parent) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        if (SANITIZE_DROPPED_TAGS.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeNode(node);
+        const allowedAttributes = SANITIZE_ALLOWED_TAGS[tag];
+        if (!allowedAttributes) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        [...node.attributes].forEach(({ name, value }) => {
+            if (!allowedAttributes.includes(name)) {
+                node.removeAttribute(name);
+            } else if (name === 'href') {
+                const href = sanitizeUrl(value);
+                href ? node.setAttribute('href', href) : node.removeAttribute('href');
+            } else if (name === 'class') {
+                const classes = value.split(/\s+/).filter(cls => SANITIZE_ALLOWED_CLASSES.has(cls));
+                classes.length ? node.setAttribute('class', classes.join(' ')) : node.removeAttribute('class');
+            } else if (name === 'target' && value !== '_blank') {
+                node.removeAttribute('target');
+            }
+        });
+        if (tag === 'a' && node.getAttribute('target') === '_blank') {
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+// Returns the URL if it is relative or uses an allowed scheme, otherwise ''
+function sanitizeUrl(url, { allowDataImages = false } = {}) {
+    if (typeof url !== 'string') return '';
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const trimmed = url.trim();
+    const compact = trimmed.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    if (!compact) return '';
+
+    if (allowDataImages && SAFE_DATA_IMAGE.test(trimmed)) return trimmed;
+
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return trimmed;
+    return SAFE_URL_SCHEMES.has(scheme[1].toLowerCase() + ':') ? trimmed : '';
+}
+
+// Embeds run in a sandbox; same-origin pages never get allow-same-origin,
+// which together with allow-scripts would let them escape the sandbox.
+function embedFrameHTML(url) {
+    let sameOrigin = true;
+    try {
+        const parsed = new URL(url, window.location.href);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return '';
+        sameOrigin = parsed.origin === window.location.origin;
+    } catch {
+        return '';
+    }
+    const sandbox = ['allow-scripts', 'allow-popups', 'allow-presentation', 'allow-forms'];
+    if (!sameOrigin) sandbox.push('allow-same-origin');
+    return `<iframe src="${escapeHTML(url)}" sandbox="${sandbox.join(' ')}" referrerpolicy="no-referrer" loading="lazy" frameborder="0"></iframe>`;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse without a live document so images and handlers in content never run
+function htmlToText(html) {
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent;
+}
+
+function getBlockText(block) {
+    if (isRichText(block.type)) {
+        // Page links read as the page's current name
+        return (Array.isArray(block.content) ? block.content : [])
+            .map(run => (run.pageId && getPage(run.pageId)?.name) || run.text).join('');
+    }
+    const content = typeof block.content === 'string' ? block.content : '';
+    switch (block.type) {
+        case 'divider':
+        case 'image':
+        case 'embed':
+        case 'board':
+        case 'columns':
+        case 'column':
+        case 'synced':
+            return '';
+        case 'code':
+            return getCodeText(block);
+        case 'math':
+        case 'diagram':
+            return content;
+        case 'database':
+            return block.content?.columns ? getDatabaseText(block.content) : '';
+        default:
+            return htmlToText(content);
+    }
+}
+
+// Visit every block, including nested children, depth first
+function forEachBlock(blocks, fn) {
+    blocks.forEach(block => {
+        fn(block);
+        if (Array.isArray(block.children)) forEachBlock(block.children, fn);
+    });
+}
+
 function copyBlockLink(blockId) {
     if (!state.currentPage) return;
     
-    const url = `${window.location.origin}${window.location.pathname}#page=${encodeURIComponent(state.currentPage)}&block=${blockId}`;
+    const url = `${window.location.origin}${window.location.pathname}#page=${state.currentPage}&block=${blockId}`;
     navigator.clipboard.writeText(url).then(() => {
-        state.copiedBlockLink = { page: state.currentPage, blockId };
         showToast('Block link copied to clipboard');
     });
 }
 
-function processContent(content) {
+function pageLinkHTML(page) {
+    return `<a href="#page=${page.id}" class="internal-link" data-page-id="${page.id}">${escapeHTML(page.name)}</a>`;
+}
+
+function missingPageLinkHTML(pageName) {
+    return `<a href="#" class="internal-link missing-link" data-missing-page="${escapeHTML(pageName)}" title="Create this page">${escapeHTML(pageName)}</a>`;
+}
+
+// Store [[Page Name]] references to existing pages as id-based links
+function linkPageReferences(content) {
+    if (typeof content !== 'string') return content;
+    return content
+        .replace(/\[\[([^\]]+)\]\]/g, (match, pageName) => {
+            const page = getPageByName(pageName.trim());
+            return page ? pageLinkHTML(page) : match;
+        })
+        .replace(/<a [^>]*data-missing-page="([^"]*)"[^>]*>.*?<\/a>/g, (match, encodedName) => {
+            const page = getPageByName(decodeHTMLEntities(encodedName));
+            return page ? pageLinkHTML(page) : match;
+        });
+}
+
+// Page links in a text block's runs or a database's page columns
+function extractPageLinks(block) {
+    const links = { pageIds: [], missing: [] };
+    if (block.type === 'database') {
+        if (block.content?.columns) links.pageIds.push(...getDatabasePageIds(block.content));
+        return links;
+    }
+    if (!Array.isArray(block.content)) return links;
+
+    block.content.forEach(run => {
+        if (run.pageId) {
+            if (getPage(run.pageId)) links.pageIds.push(run.pageId);
+        } else if (run.missingPage) {
+            const page = getPageByName(run.text);
+            if (page) {
+                links.pageIds.push(page.id);
+            } else {
+                links.missing.push(run.text);
+            }
+        }
+    });
+    return links;
+}
+
+// Content saved before text blocks stored runs was HTML mixed with
+// markdown-like syntax that was applied when rendering
+function legacyContentToHTML(content) {
     // Process markdown-like syntax
-    let processed = content
+    const processed = content
         // Bold
         .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
         // Italic
@@ -1176,27 +8512,35 @@ function processContent(content) {
         // Inline code
         .replace(/`([^`]+)`/g, '<code>$1</code>')
         // Links
-        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, url) => {
+            const href = sanitizeUrl(decodeHTMLEntities(url));
+            return href ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${text}</a>` : text;
+        })
+        // Saved page links: refresh the text from the page's current name
+        .replace(/<a [^>]*data-page-id="([^"]+)"[^>]*>.*?<\/a>/g, (match, pageId) => {
+            const page = getPage(pageId);
+            return page ? pageLinkHTML(page) : match;
+        })
+        // Links to missing pages become real links once the page exists
+        .replace(/<a [^>]*data-missing-page="([^"]*)"[^>]*>.*?<\/a>/g, (match, encodedName) => {
+            const pageName = decodeHTMLEntities(encodedName);
+            const page = getPageByName(pageName);
+            return page ? pageLinkHTML(page) : missingPageLinkHTML(pageName);
+        })
         // Page links
         .replace(/\[\[([^\]]+)\]\]/g, (match, pageName) => {
-            return `<a href="#page=${encodeURIComponent(pageName)}" class="internal-link">${pageName}</a>`;
-        });
-    
-    // Process block links
-    if (state.copiedBlockLink) {
-        const regex = new RegExp(`(${window.location.origin}${window.location.pathname}#page=${encodeURIComponent(state.copiedBlockLink.page)}&block=${state.copiedBlockLink.blockId})`, 'g');
-        processed = processed.replace(regex, (match) => {
-            return `<a href="${match}" class="internal-link">${state.copiedBlockLink.page} (block)</a>`;
+            const page = getPageByName(pageName.trim());
+            return page ? pageLinkHTML(page) : missingPageLinkHTML(pageName.trim());
         });
-    }
     
-    return processed;
+    return sanitizeHTML(processed);
 }
 
 function navigateToBlock(index) {
-    if (index < 0 || index >= state.blocks.length) return;
+    const visibleBlocks = getVisibleBlocks();
+    if (index < 0 || index >= visibleBlocks.length) return;
     
-    const blockId = state.blocks[index].id;
+    const blockId = visibleBlocks[index].id;
     const element = document.getElementById(blockId);
     if (element) {
         element.focus();
@@ -1216,7 +8560,7 @@ function setupDragAndDrop() {
     
     blocks.forEach(block => {
         // Make only the handle draggable
-        const handle = block.querySelector('.block-handle');
+        const handle = block.querySelector(':scope > .block-row .block-handle');
         if (handle) {
             handle.addEventListener('mousedown', () => {
                 block.draggable = true;
@@ -1230,6 +8574,8 @@ function setupDragAndDrop() {
         }
         
         block.addEventListener('dragstart', (e) => {
+            // Nested blocks sit inside their parent's element
+            e.stopPropagation();
             e.dataTransfer.setData('text/plain', block.dataset.blockId);
             block.classList.add('dragging');
         });
@@ -1239,12 +8585,18 @@ function setupDragAndDrop() {
         });
     });
     
+    // The container outlives re-renders, so only bind its listeners once
+    if (elements.blocksContainer.dataset.dragReady) return;
+    elements.blocksContainer.dataset.dragReady = 'true';
+    
     elements.blocksContainer.addEventListener('dragover', (e) => {
         e.preventDefault();
         const draggingBlock = document.querySelector('.dragging');
         if (!draggingBlock) return;
         
-        const afterElement = getDragAfterElement(elements.blocksContainer, e.clientY);
+        // Within a column only its own blocks are drop targets
+        const column = e.target.closest?.('.block.column');
+        const afterElement = getDragAfterElement(column || elements.blocksContainer, e.clientY);
         
         document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
         if (afterElement) afterElement.classList.add('drag-over');
@@ -1253,29 +8605,32 @@ function setupDragAndDrop() {
     elements.blocksContainer.addEventListener('drop', (e) => {
         e.preventDefault();
         const id = e.dataTransfer.getData('text/plain');
-        const blockIndex = state.blocks.findIndex(b => b.id === id);
-        if (blockIndex === -1) return;
+        if (!findBlock(id)) return;
         
-        const block = state.blocks[blockIndex];
-        state.blocks.splice(blockIndex, 1);
-        
-        const afterElement = getDragAfterElement(elements.blocksContainer, e.clientY);
-        if (afterElement) {
-            const afterIndex = state.blocks.findIndex(b => b.id === afterElement.dataset.blockId);
-            state.blocks.splice(afterIndex, 0, block);
+        const column = e.target.closest?.('.block.column');
+        const afterElement = getDragAfterElement(column || elements.blocksContainer, e.clientY);
+        document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        // Below a column's last block the block goes to the end of that column
+        const parentId = column && !afterElement ? column.dataset.blockId : null;
+        // Dragging one of several selected blocks moves them all
+        if (blockSelection.ids.length > 1 && blockSelection.ids.includes(id)) {
+            moveSelectedBlocks(afterElement?.dataset.blockId || null, parentId);
         } else {
-            state.blocks.push(block);
+            moveBlock(id, afterElement?.dataset.blockId || null, parentId);
         }
-        
-        document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-        saveBlocks();
-        renderBlocks();
     });
 }
 
 function getDragAfterElement(container, y) {
-    const elements = [...container.querySelectorAll('.block:not(.dragging)')];
+    // Measure rows rather than whole blocks so parents don't span their children
+    const rows = [...container.querySelectorAll('.block:not(.dragging) > .block-row')]
+        .filter(row => !row.closest('.dragging'));
     
+    return getElementAfter(rows, y)?.closest('.block');
+}
+
+// The first element whose vertical midpoint is below y
+function getElementAfter(elements, y) {
     return elements.reduce((closest, child) => {
         const box = child.getBoundingClientRect();
         const offset = y - box.top - box.height / 2;
@@ -0,0 +1,67 @@
+// Service worker
+// Serves the app from a precache so it works offline. Cached files are
+// revalidated in the background; when a newer copy arrives the open tabs are
+// told, and they offer to reload. Bump CACHE_VERSION when the file list
+// changes.
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `mejakerja-${CACHE_VERSION}`;
+const PRECACHE = ['./', 'index.html', 'app.js', 'style.css', 'manifest.webmanifest', 'icon.svg'];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('mejakerja-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// A new worker waits until the page accepts the update
+self.addEventListener('message', (e) => {
+    if (e.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (e) => {
+    const url = new URL(e.request.url);
+    if (e.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Every page address is the same app; the hash picks the page
+    const request = e.request.mode === 'navigate' ? new Request('./') : e.request;
+    e.respondWith(caches.open(CACHE_NAME).then(async cache => {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const refresh = revalidate(cache, request, cached);
+        if (cached) {
+            e.waitUntil(refresh);
+            return cached;
+        }
+        return await refresh || Response.error();
+    }));
+});
+
+async function revalidate(cache, request, cached) {
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (!response.ok) return response;
+        if (cached && await isSameBody(cached.clone(), response.clone())) return response;
+
+        await cache.put(request, response.clone());
+        if (cached) notifyClients({ type: 'update-available', url: request.url });
+        return response;
+    } catch {
+        // Offline: the cached copy, if any, is all there is
+        return null;
+    }
+}
+
+async function isSameBody(a, b) {
+    const [textA, textB] = await Promise.all([a.text(), b.text()]);
+    return textA === textB;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}